@@ -0,0 +1,161 @@
+/**
+ * 分片写入方式的基准测试：比较默认的“分片文件 + 合并”和预分配写入（UPLOAD_WRITE_MODE=preallocate）
+ *
+ * 在临时目录中使用本地存储后端，按服务端处理原生接口上传的步骤模拟一次完整的上传，不经过HTTP：
+ *   chunks：请求体边写边计算MD5写入暂存目录 -> 移动到会话中保存为 chunk-N -> 完成时合并并计算整文件摘要
+ *   preallocate：初始化时预分配目标文件 -> 请求体边计算MD5边按偏移写入 -> 增量计算整文件摘要 -> 完成时rename
+ *
+ * 用法：node scripts/benchmark-upload.cjs [文件大小，默认1G] [分片大小，默认5M] [轮数，默认3]
+ * 环境变量 BENCHMARK_DIR 指定测试目录（默认系统临时目录），应与实际部署的上传目录位于同一类磁盘上。
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createStorage, objectKey, sessionKey } = require('../server/storage/index.cjs');
+const PreallocatedUploads = require('../server/preallocated.cjs');
+const { parseSize } = require('../server/policy.cjs');
+
+const fileSize = parseSize(process.argv[2], 1024 * 1024 * 1024);
+const chunkSize = parseSize(process.argv[3], 5 * 1024 * 1024);
+const rounds = Number(process.argv[4]) || 3;
+const chunkCount = Math.ceil(fileSize / chunkSize);
+
+// 请求体按64KB一块到达，与HTTP请求的数据块大小接近
+const BLOCK_SIZE = 64 * 1024;
+// 预先生成的随机数据，各分片轮流使用，避免生成数据的耗时影响结果
+const blocks = Array.from({ length: 16 }, () => crypto.randomBytes(BLOCK_SIZE));
+
+// 模拟一个分片的请求体
+function chunkBody(chunkIndex) {
+  const length = Math.min(chunkSize, fileSize - chunkIndex * chunkSize);
+  return Readable.from((function* () {
+    for (let offset = 0, i = chunkIndex; offset < length; offset += BLOCK_SIZE, i++) {
+      yield blocks[i % blocks.length].subarray(0, Math.min(BLOCK_SIZE, length - offset));
+    }
+  })());
+}
+
+// 与 hashingDiskStorage 相同：边写入暂存文件边计算MD5
+async function receiveToSpool(body, spoolPath) {
+  const hash = crypto.createHash('md5');
+  body.on('data', data => hash.update(data));
+  await pipeline(body, fs.createWriteStream(spoolPath));
+  return hash.digest('hex');
+}
+
+async function runChunks(storage, spoolDir, uploadId) {
+  const started = process.hrtime.bigint();
+  for (let i = 0; i < chunkCount; i++) {
+    const spoolPath = path.join(spoolDir, `temp-${uploadId}-${i}`);
+    const hash = await receiveToSpool(chunkBody(i), spoolPath);
+    await storage.put(sessionKey(uploadId, `chunk-${i}`), spoolPath);
+    await storage.put(sessionKey(uploadId, `chunk-${i}.hash`), Buffer.from(hash));
+  }
+  const uploaded = process.hrtime.bigint();
+
+  const chunkKeys = Array.from({ length: chunkCount }, (_, i) => sessionKey(uploadId, `chunk-${i}`));
+  const { hash } = await storage.merge(chunkKeys, objectKey(`bench/${uploadId}`));
+  await storage.removePrefix(sessionKey(uploadId));
+  const completed = process.hrtime.bigint();
+
+  return { uploaded, completed, started, hash };
+}
+
+async function runPreallocate(storage, uploadId) {
+  const uploads = new PreallocatedUploads({ storage, uploadTasks: { save() {} } });
+  const taskInfo = { uploadId, fileSize, chunkSize, chunkCount, uploadedChunks: [] };
+
+  const started = process.hrtime.bigint();
+  await uploads.create(uploadId, fileSize);
+  for (let i = 0; i < chunkCount; i++) {
+    await uploads.writeChunk(taskInfo, i, chunkBody(i));
+    taskInfo.uploadedChunks.push(i);
+    // 服务端不等待摘要计算，这里同样不等待
+    uploads.advance(taskInfo);
+  }
+  const uploaded = process.hrtime.bigint();
+
+  const hash = await uploads.digest(taskInfo);
+  await storage.rename(uploads.dataKey(uploadId), objectKey(`bench/${uploadId}`));
+  await storage.removePrefix(sessionKey(uploadId));
+  const completed = process.hrtime.bigint();
+
+  return { uploaded, completed, started, hash };
+}
+
+function ms(from, to) {
+  return Number(to - from) / 1e6;
+}
+
+function formatRow(name, results) {
+  const average = key => results.reduce((sum, result) => sum + result[key], 0) / results.length;
+  const total = average('total');
+  return [
+    name.padEnd(12),
+    `${average('upload').toFixed(0)} ms`.padStart(12),
+    `${average('complete').toFixed(0)} ms`.padStart(12),
+    `${total.toFixed(0)} ms`.padStart(12),
+    `${(fileSize / 1024 / 1024 / (total / 1000)).toFixed(1)} MB/s`.padStart(14)
+  ].join('');
+}
+
+async function main() {
+  const baseDir = await fsp.mkdtemp(path.join(process.env.BENCHMARK_DIR || os.tmpdir(), 'upload-benchmark-'));
+  // 与服务端相同，暂存目录同时作为存储后端写入过程中的暂存目录
+  const spoolDir = path.join(baseDir, 'pending');
+  const storage = createStorage({
+    backend: 'local',
+    local: {
+      directories: {
+        uploads: path.join(baseDir, 'uploads'),
+        sessions: path.join(baseDir, 'temp')
+      },
+      stagingDir: spoolDir
+    }
+  });
+
+  console.log(`文件大小 ${fileSize} 字节，分片大小 ${chunkSize} 字节，共 ${chunkCount} 个分片，${rounds} 轮，目录 ${baseDir}`);
+
+  const results = { chunks: [], preallocate: [] };
+  try {
+    for (let round = 0; round < rounds; round++) {
+      // 两种方式交替执行，减少页缓存和磁盘状态对先后顺序的影响
+      for (const mode of round % 2 === 0 ? ['chunks', 'preallocate'] : ['preallocate', 'chunks']) {
+        const uploadId = `${mode}-${round}`;
+        const result = mode === 'chunks'
+          ? await runChunks(storage, spoolDir, uploadId)
+          : await runPreallocate(storage, uploadId);
+        results[mode].push({
+          upload: ms(result.started, result.uploaded),
+          complete: ms(result.uploaded, result.completed),
+          total: ms(result.started, result.completed),
+          hash: result.hash
+        });
+        await storage.remove(objectKey(`bench/${uploadId}`));
+      }
+    }
+  } finally {
+    await fsp.rm(baseDir, { recursive: true, force: true });
+  }
+
+  // 两种方式写入的内容相同，整文件摘要必须一致
+  const hashes = new Set(results.chunks.concat(results.preallocate).map(result => result.hash));
+  if (hashes.size !== 1) {
+    throw new Error(`两种方式得到的文件摘要不一致: ${Array.from(hashes).join(', ')}`);
+  }
+
+  console.log(['方式'.padEnd(12), '上传分片'.padStart(10), '完成上传'.padStart(10), '合计'.padStart(10), '吞吐量'.padStart(11)].join(''));
+  console.log(formatRow('chunks', results.chunks));
+  console.log(formatRow('preallocate', results.preallocate));
+  console.log(`文件摘要: ${Array.from(hashes)[0]}`);
+}
+
+main().catch(error => {
+  console.error('基准测试失败:', error);
+  process.exit(1);
+});
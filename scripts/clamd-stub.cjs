@@ -0,0 +1,92 @@
+/**
+ * 本地测试用的 clamd 模拟服务：实现 clamd 协议中的 PING、VERSION 和 INSTREAM 命令，
+ * 内容中包含EICAR测试字符串时报告发现病毒，用于在没有安装ClamAV的环境中测试病毒扫描钩子。
+ *
+ * 用法：node scripts/clamd-stub.cjs [端口，默认3310]
+ * 之后启动服务时配置 POST_UPLOAD_HOOKS=clamav（CLAMAV_PORT 与这里的端口一致）。
+ */
+
+const net = require('net');
+const { logger } = require('../server/logger.cjs');
+
+const port = Number(process.argv[2]) || 3310;
+
+// EICAR 标准反病毒测试文件的内容
+const EICAR = Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*');
+const SIGNATURE = 'Eicar-Test-Signature';
+// 与 clamd 默认的 StreamMaxLength 一致
+const STREAM_MAX_LENGTH = 25 * 1024 * 1024;
+
+function handleConnection(socket) {
+  let buffer = Buffer.alloc(0);
+  // 命令的结束符：z前缀为\0，n前缀为换行
+  let terminator = null;
+  let streaming = false;
+  let received = 0;
+  // 上一块数据的结尾，用于匹配跨块的EICAR字符串
+  let tail = Buffer.alloc(0);
+  let found = false;
+
+  const reply = message => {
+    socket.end(`${message}${terminator}`);
+  };
+
+  const readCommand = () => {
+    const delimiter = buffer[0] === 0x7a ? '\0' : '\n';
+    const end = buffer.indexOf(delimiter);
+    if (end < 0) return;
+    terminator = delimiter;
+
+    const command = buffer.subarray(1, end).toString('utf8');
+    buffer = buffer.subarray(end + 1);
+    if (command === 'PING') {
+      reply('PONG');
+    } else if (command === 'VERSION') {
+      reply('ClamAV 0.0.0-stub');
+    } else if (command === 'INSTREAM') {
+      streaming = true;
+      readStream();
+    } else {
+      reply('UNKNOWN COMMAND');
+    }
+  };
+
+  const readStream = () => {
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32BE(0);
+      if (length === 0) {
+        logger.info('扫描完成', { bytes: received, found });
+        reply(found ? `stream: ${SIGNATURE} FOUND` : 'stream: OK');
+        streaming = false;
+        return;
+      }
+      if (buffer.length < 4 + length) return;
+
+      const block = buffer.subarray(4, 4 + length);
+      buffer = buffer.subarray(4 + length);
+      received += length;
+      if (received > STREAM_MAX_LENGTH) {
+        reply('INSTREAM size limit exceeded. ERROR');
+        streaming = false;
+        return;
+      }
+      const data = Buffer.concat([tail, block]);
+      found = found || data.includes(EICAR);
+      tail = data.subarray(Math.max(0, data.length - EICAR.length + 1));
+    }
+  };
+
+  socket.on('data', data => {
+    buffer = Buffer.concat([buffer, data]);
+    if (streaming) {
+      readStream();
+    } else if (!terminator) {
+      readCommand();
+    }
+  });
+  socket.on('error', error => logger.warn('连接出错', { err: error }));
+}
+
+net.createServer(handleConnection).listen(port, () => {
+  logger.info(`clamd 模拟服务已启动，监听端口 ${port}`, { port });
+});
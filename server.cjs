@@ -3,160 +3,534 @@ const multer = require('multer');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+const PersistentMap = require('./server/persistent-map.cjs');
+const hashingDiskStorage = require('./server/hashing-storage.cjs');
+const { parseChunkEncoding, decodeChunkStream, decodingStorageEngine } = require('./server/chunk-encoding.cjs');
+const {
+  CHUNK_SIZING_ADAPTIVE,
+  isAdaptive,
+  getChunkRange,
+  checkChunkSize,
+  resolveChunkRange,
+  getLayoutChunkCount,
+  getUploadedBytes,
+  recoverChunkRanges
+} = require('./server/chunk-layout.cjs');
+const { writeHashedFile } = hashingDiskStorage;
+const { ERROR_CODES, UploadError } = require('./server/errors.cjs');
+const createTusRouter = require('./server/tus.cjs');
+const createS3Router = require('./server/s3.cjs');
+const UploadSweeper = require('./server/sweeper.cjs');
+const { sendFile } = require('./server/download.cjs');
+const createFilesRouter = require('./server/files.cjs');
+const ChunkStore = require('./server/chunk-store.cjs');
+const PreallocatedUploads = require('./server/preallocated.cjs');
+const MergeJobs = require('./server/merge-jobs.cjs');
+const UploadEvents = require('./server/upload-events.cjs');
+const MetricsRegistry = require('./server/metrics.cjs');
+const PostProcessing = require('./server/post-processing.cjs');
+const { createHooks } = require('./server/hooks/index.cjs');
+const { logger, requestLogger } = require('./server/logger.cjs');
+const { FileCatalog, normalizeFileName } = require('./server/file-catalog.cjs');
+const { createAuthMiddleware, requireAdmin, parseApiKeys, isValidUserId, safeEqual } = require('./server/auth.cjs');
+const { UploadPolicy, HEAD_SIZE, parseSize, parseList, parseExtensions, parseUserQuotas } = require('./server/policy.cjs');
+const { createStorage, hashObject, objectKey, sessionKey, chunkKey, UPLOADS_PREFIX, SESSIONS_PREFIX } = require('./server/storage/index.cjs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // 增加超时限制，处理大文件上传可能需要更长时间
+// 原生接口的合并在后台任务中进行，不再占用请求；tus和S3接口的完成请求仍然需要等待合并
 app.timeout = 1800000; // 30分钟超时
 
-// 中间件配置
-app.use(cors());
-app.use(express.json({ limit: '10mb' })); // 增加请求体大小限制
-app.use(express.static('dist'));
+// 存储上传文件的目录
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const TEMP_DIR = path.join(__dirname, 'temp');
+// 持久化数据目录（上传任务和文件目录），可通过环境变量 DATA_DIR 配置
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, 'data');
+// 存储模式：file（默认，合并为完整文件）或 dedup（分片按内容去重保存，文件保存为分片清单）
+const STORAGE_MODE = process.env.STORAGE_MODE === 'dedup' ? 'dedup' : 'file';
+// dedup模式下的分片存储目录，可通过环境变量 CHUNK_DIR 配置
+const CHUNK_DIR = process.env.CHUNK_DIR
+  ? path.resolve(process.env.CHUNK_DIR)
+  : path.join(__dirname, 'chunks');
+// 请求体先写入本地暂存目录（边写边计算摘要），校验通过后再交给存储后端
+const SPOOL_DIR = path.join(TEMP_DIR, 'pending');
+
+// 分片写入方式：chunks（默认，分片保存为独立的文件，完成时合并）或 preallocate
+// （初始化时预分配目标文件，分片按偏移直接写入，完成时无需合并），preallocate 只支持本地存储后端和file存储模式
+const UPLOAD_WRITE_MODE = process.env.UPLOAD_WRITE_MODE === 'preallocate' ? 'preallocate' : 'chunks';
+
+// 存储后端：local（默认，本地磁盘）、memory（内存，用于测试）或 s3（S3兼容的对象存储，例如MinIO）
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+const STORAGE_CONFIG = {
+  backend: STORAGE_BACKEND,
+  local: {
+    directories: { uploads: UPLOAD_DIR, sessions: TEMP_DIR, chunks: CHUNK_DIR },
+    stagingDir: SPOOL_DIR
+  },
+  s3: {
+    endpoint: process.env.STORAGE_S3_ENDPOINT,
+    region: process.env.STORAGE_S3_REGION,
+    bucket: process.env.STORAGE_S3_BUCKET,
+    prefix: process.env.STORAGE_S3_PREFIX,
+    accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+    // MinIO等自建服务通常需要path-style寻址
+    forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE !== 'false'
+  }
+};
+
+// 单个文件大小限制，默认10GB，支持 K/M/G/T 后缀
+const MAX_FILE_SIZE = parseSize(process.env.UPLOAD_MAX_FILE_SIZE, 10 * 1024 * 1024 * 1024);
+// 原生接口允许的分片大小，默认256KB～64MB（到达文件末尾的分片可以更小），支持 K/M/G/T 后缀
+// 上限至少是下限的两倍，客户端总能把剩余的数据分成大小合法的分片
+const MIN_CHUNK_SIZE = parseSize(process.env.UPLOAD_MIN_CHUNK_SIZE, 256 * 1024);
+const CHUNK_SIZE_LIMITS = {
+  min: MIN_CHUNK_SIZE,
+  max: Math.max(parseSize(process.env.UPLOAD_MAX_CHUNK_SIZE, 64 * 1024 * 1024), MIN_CHUNK_SIZE * 2)
+};
+// 上传会话无活动后的过期时间，默认24小时（原生接口、tus和S3接口共用）
+const SESSION_TTL = Number(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+// 暂存目录（temp/pending）中的临时文件超过该时间没有写入即视为遗留文件，默认1小时
+const PENDING_FILE_TTL = Number(process.env.PENDING_FILE_TTL_MS) || 60 * 60 * 1000;
+// 清理过期会话的间隔，默认10分钟
+const SWEEP_INTERVAL = Number(process.env.SWEEP_INTERVAL_MS) || 10 * 60 * 1000;
+// 合并任务结束后保留的时间，期间可以查询合并结果，默认1小时
+const MERGE_JOB_RETENTION = Number(process.env.MERGE_JOB_RETENTION_MS) || 60 * 60 * 1000;
+// Server-Sent Events 连接的心跳间隔，避免代理因长时间没有数据断开连接
+const SSE_HEARTBEAT_INTERVAL = 15 * 1000;
+// /metrics 接口的访问令牌（Authorization: Bearer <令牌>），不配置时不需要认证
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// S3兼容接口：路径前缀、桶名称和静态访问密钥
+const S3_PREFIX = '/s3';
+const S3_BUCKET = process.env.S3_BUCKET || 'backups';
+const S3_CREDENTIALS = {
+  accessKeyId: process.env.S3_ACCESS_KEY_ID || 'backup',
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || 'backup-secret'
+};
+// S3兼容接口以访问密钥ID作为用户ID
+if (!isValidUserId(S3_CREDENTIALS.accessKeyId)) {
+  throw new Error(`S3访问密钥ID不能作为用户ID使用: ${S3_CREDENTIALS.accessKeyId}`);
+}
+
+// 认证：API Key（格式 <密钥>:<用户ID>[:admin]，逗号分隔）和/或本地校验的JWT
+const AUTH_CONFIG = {
+  apiKeys: parseApiKeys(process.env.AUTH_API_KEYS),
+  jwtSecret: process.env.AUTH_JWT_SECRET,
+  jwtPublicKey: process.env.AUTH_JWT_PUBLIC_KEY_FILE
+    ? fs.readFileSync(process.env.AUTH_JWT_PUBLIC_KEY_FILE, 'utf8')
+    : undefined,
+  jwtIssuer: process.env.AUTH_JWT_ISSUER,
+  jwtAudience: process.env.AUTH_JWT_AUDIENCE
+};
+// 启用认证之前上传的文件和会话归属的用户
+const LEGACY_OWNER = process.env.AUTH_LEGACY_OWNER || 'admin';
+if (!isValidUserId(LEGACY_OWNER)) {
+  throw new Error(`AUTH_LEGACY_OWNER 不是合法的用户ID: ${LEGACY_OWNER}`);
+}
+
+// 上传策略：配额（0或不配置为不限制）、扩展名和按文件内容识别的类型，逗号分隔
+const POLICY_CONFIG = {
+  maxFileSize: MAX_FILE_SIZE,
+  userQuota: parseSize(process.env.UPLOAD_USER_QUOTA),
+  userQuotas: parseUserQuotas(process.env.UPLOAD_USER_QUOTAS),
+  globalQuota: parseSize(process.env.UPLOAD_GLOBAL_QUOTA),
+  allowedExtensions: parseExtensions(process.env.UPLOAD_ALLOWED_EXTENSIONS),
+  blockedExtensions: parseExtensions(process.env.UPLOAD_BLOCKED_EXTENSIONS),
+  allowedTypes: parseList(process.env.UPLOAD_ALLOWED_TYPES),
+  blockedTypes: parseList(process.env.UPLOAD_BLOCKED_TYPES)
+};
+
+// 每个文件默认保留的版本数（上传同名文件时追加新版本），可以按文件单独设置
+const FILE_KEEP_VERSIONS = Math.max(1, parseInt(process.env.FILE_KEEP_VERSIONS, 10) || 5);
 
-// 启用请求日志
+// 上传完成后的处理钩子（逗号分隔，按顺序执行）：clamav、checksum、metadata、webhook，不配置时不处理
+// 阻塞钩子全部通过之前文件处于隔离状态，不能下载也不能用于秒传，默认只有clamav是阻塞钩子
+const HOOKS_CONFIG = {
+  names: parseList(process.env.POST_UPLOAD_HOOKS),
+  blocking: process.env.POST_UPLOAD_BLOCKING_HOOKS === undefined
+    ? undefined
+    : parseList(process.env.POST_UPLOAD_BLOCKING_HOOKS),
+  clamav: {
+    host: process.env.CLAMAV_HOST,
+    port: Number(process.env.CLAMAV_PORT) || undefined,
+    socketPath: process.env.CLAMAV_SOCKET,
+    timeout: Number(process.env.CLAMAV_TIMEOUT_MS) || undefined
+  },
+  webhook: {
+    url: process.env.POST_UPLOAD_WEBHOOK_URL,
+    secret: process.env.POST_UPLOAD_WEBHOOK_SECRET
+  }
+};
+// 钩子出错时的最大尝试次数和第一次重试前的等待时间（之后每次加倍）
+const HOOK_MAX_ATTEMPTS = Number(process.env.POST_UPLOAD_HOOK_ATTEMPTS) || 3;
+const HOOK_RETRY_DELAY = Number(process.env.POST_UPLOAD_HOOK_RETRY_MS) || 5000;
+
+// 整文件摘要格式：十六进制MD5
+const FILE_HASH_PATTERN = /^[0-9a-f]{32}$/;
+// 端到端加密上传的加密清单（JSON）的最大大小，清单由客户端加密，服务端只保存
+const MAX_ENCRYPTION_MANIFEST_SIZE = 1024 * 1024;
+
+// 中间件配置
+// 请求日志：分配请求ID（响应头 X-Request-Id），响应结束时记录方法、路径、状态码和耗时
+app.use(requestLogger(logger, { quietPaths: ['/metrics'] }));
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+  res.on('finish', () => {
+    uploadMetrics.httpRequests.inc({ method: req.method, route: getRouteLabel(req), status: res.statusCode });
+  });
   next();
 });
+// tus协议的OPTIONS请求本身就是接口的一部分，不能被cors当作预检请求直接结束，
+// 这里只设置CORS响应头，预检请求由后续路由（或Express自动的OPTIONS处理）响应
+app.use(cors({ preflightContinue: true }));
+// 增加请求体大小限制；S3兼容接口的请求体是对象数据本身，不能按JSON解析
+app.use(express.json({
+  limit: '10mb',
+  type: req => !(req.path === S3_PREFIX || req.path.startsWith(`${S3_PREFIX}/`)) && Boolean(req.is('application/json'))
+}));
+app.use(express.static('dist'));
 
-// 存储上传文件的目录
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-const TEMP_DIR = path.join(__dirname, 'temp');
+// 确保暂存目录存在，其他目录由本地存储后端按需创建
+if (!fs.existsSync(SPOOL_DIR)) {
+  fs.mkdirSync(SPOOL_DIR, { recursive: true });
+}
+
+// 分片、合并后的文件和分片存储都通过存储后端读写
+const storage = createStorage(STORAGE_CONFIG);
 
-// 确保上传目录存在
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+// 没有配置任何认证方式时，生成一个管理员API Key保存在数据目录中，避免接口在无认证的情况下暴露
+if (AUTH_CONFIG.apiKeys.size === 0 && !AUTH_CONFIG.jwtSecret && !AUTH_CONFIG.jwtPublicKey) {
+  const keyPath = path.join(DATA_DIR, 'admin-api-key');
+  if (!fs.existsSync(keyPath)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(keyPath, crypto.randomBytes(24).toString('base64url'), { mode: 0o600 });
+  }
+  AUTH_CONFIG.apiKeys.set(fs.readFileSync(keyPath, 'utf8').trim(), { id: LEGACY_OWNER, admin: true });
+  logger.warn('未配置认证方式，已启用管理员API Key', { owner: LEGACY_OWNER, keyPath });
 }
-if (!fs.existsSync(TEMP_DIR)) {
-  fs.mkdirSync(TEMP_DIR, { recursive: true });
+
+// /api 和 /uploads 下的所有接口都需要认证；S3兼容接口使用自己的签名认证
+const authenticate = createAuthMiddleware(AUTH_CONFIG);
+app.use(['/api', '/uploads'], authenticate);
+app.use('/api/admin', requireAdmin);
+
+// 存储上传状态（持久化到 DATA_DIR，重启后可恢复）
+const uploadTasks = new PersistentMap(DATA_DIR, 'upload-tasks');
+
+// 文件目录：逻辑文件名、版本历史和每个版本的内容摘要（用于秒传），持久化到 DATA_DIR
+const catalog = new FileCatalog({ dataDir: DATA_DIR, keepVersions: FILE_KEEP_VERSIONS });
+
+// 分片级去重存储，仅在dedup模式下启用
+const chunkStore = STORAGE_MODE === 'dedup'
+  ? new ChunkStore({ storage, dataDir: DATA_DIR })
+  : null;
+
+// 预分配写入，仅在配置启用且存储后端和存储模式支持时可用，只用于原生接口的上传
+const preallocated = UPLOAD_WRITE_MODE === 'preallocate' && !chunkStore && PreallocatedUploads.isSupported(storage)
+  ? new PreallocatedUploads({ storage, uploadTasks })
+  : null;
+if (UPLOAD_WRITE_MODE === 'preallocate' && !preallocated) {
+  logger.warn('预分配写入只支持本地存储后端和file存储模式，已改用分片合并的方式');
 }
 
-// 存储上传状态
-const uploadTasks = new Map();
+// 上传策略，各上传协议创建会话和收到文件开头的数据时检查
+const policy = new UploadPolicy({
+  ...POLICY_CONFIG,
+  uploadTasks,
+  getStoredUsage
+});
+
+// 上传会话的实时事件，通过 /api/events 推送
+const uploadEvents = new UploadEvents();
+
+// Prometheus 指标，通过 /metrics 提供给Prometheus抓取
+const metrics = new MetricsRegistry();
+const uploadMetrics = {
+  httpRequests: metrics.counter('http_requests_total', '处理的HTTP请求数', ['method', 'route', 'status']),
+  sessionsActive: metrics.gauge('upload_sessions_active', '进行中的上传会话数', ['protocol'], gauge => {
+    const counts = { native: 0, tus: 0, s3: 0 };
+    uploadTasks.forEach(taskInfo => {
+      // tus会话完成后保留供HEAD查询，不再计入
+      if (!taskInfo.completedAt) {
+        const protocol = getProtocol(taskInfo);
+        counts[protocol] = (counts[protocol] || 0) + 1;
+      }
+    });
+    Object.entries(counts).forEach(([protocol, count]) => gauge.set({ protocol }, count));
+  }),
+  sessionsExpired: metrics.counter('upload_sessions_expired_total', '过期被清理的上传会话数', ['protocol']),
+  chunksReceived: metrics.counter('upload_chunks_received_total', '保存到会话中的分片数', ['protocol']),
+  chunksRejected: metrics.counter('upload_chunks_rejected_total', '被拒绝的分片数，code为错误码', ['protocol', 'code']),
+  bytesIngested: metrics.counter('upload_bytes_ingested_total', '保存到会话中的分片字节数', ['protocol']),
+  compressedChunkBytes: metrics.counter('upload_compressed_chunk_bytes_total', '压缩上传的分片字节数，stage为received（收到的压缩数据）或decoded（解压后）', ['encoding', 'stage']),
+  mergeDuration: metrics.histogram('upload_merge_duration_seconds', '完成上传（合并、校验并保存文件）的耗时', ['protocol', 'status']),
+  instantLookups: metrics.counter('upload_instant_lookups_total', '按文件摘要查找秒传的次数，result为hit或miss', ['result']),
+  tempDirBytes: metrics.gauge('upload_temp_dir_bytes', '临时目录占用的空间（会话分片和暂存文件）', [], async gauge => {
+    gauge.set({}, await getDirectorySize(TEMP_DIR));
+  }),
+  tempDirFreeBytes: metrics.gauge('upload_temp_dir_free_bytes', '临时目录所在文件系统的可用空间', [], async gauge => {
+    const stats = await fs.promises.statfs(TEMP_DIR);
+    gauge.set({}, stats.bavail * stats.bsize);
+  }),
+  processMemory: metrics.gauge('process_resident_memory_bytes', '进程占用的物理内存', [], gauge => {
+    gauge.set({}, process.memoryUsage().rss);
+  }),
+  hookRuns: metrics.counter('upload_hook_runs_total', '处理钩子执行结束的次数，status为passed、rejected或failed', ['hook', 'status']),
+  filesQuarantined: metrics.gauge('upload_files_quarantined', '处于隔离状态的文件版本数（检查中、被拒绝或检查失败）', [], gauge => {
+    let count = 0;
+    catalog.list().forEach(entry => {
+      count += entry.versions.filter(PostProcessing.isQuarantined).length;
+    });
+    gauge.set({}, count);
+  }),
+  processStartTime: metrics.gauge('process_start_time_seconds', '进程启动的时间（Unix时间戳，秒）', [], gauge => {
+    gauge.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+  })
+};
+
+// 原生接口完成上传时的后台合并任务，任务的进度和结果同时作为会话事件发布
+const mergeJobs = new MergeJobs({
+  retention: MERGE_JOB_RETENTION,
+  onEvent: (event, job) => uploadEvents.publish(`merge.${event}`, job, describeMergeEvent(event, job))
+});
+
+// 上传完成后的处理流水线：新版本保存后依次执行处理钩子，阻塞钩子通过之前版本处于隔离状态
+const postProcessing = new PostProcessing({
+  hooks: createHooks(HOOKS_CONFIG),
+  catalog,
+  openVersion: createStoredFileStream,
+  maxAttempts: HOOK_MAX_ATTEMPTS,
+  retryDelay: HOOK_RETRY_DELAY,
+  onHookFinished: (hook, record) => uploadMetrics.hookRuns.inc({ hook: hook.name, status: record.status })
+});
 
-// 存储文件哈希信息，用于秒传功能
-const fileHashMap = new Map();
+// 定期清理过期会话和遗留的临时文件
+const sweeper = new UploadSweeper({
+  uploadTasks,
+  storage,
+  spoolDir: SPOOL_DIR,
+  sessionTtl: SESSION_TTL,
+  pendingTtl: PENDING_FILE_TTL,
+  onSessionExpired: taskInfo => {
+    logger.info('上传会话已过期', { uploadId: taskInfo.uploadId, protocol: getProtocol(taskInfo) });
+    uploadMetrics.sessionsExpired.inc({ protocol: getProtocol(taskInfo) });
+    if (preallocated) {
+      preallocated.forget(taskInfo.uploadId);
+    }
+    uploadEvents.publish('session.expired', taskInfo, {
+      fileName: taskInfo.fileName || null,
+      protocol: taskInfo.protocol || 'native',
+      uploadedCount: taskInfo.uploadedChunks ? taskInfo.uploadedChunks.length : 0,
+      totalCount: taskInfo.chunkCount || null
+    });
+  }
+});
 
-// 配置multer存储
-const storage = multer.diskStorage({
+// 配置multer存储，写入的同时计算分片的MD5
+const chunkStorage = hashingDiskStorage({
   destination: function (req, file, cb) {
-    console.log('Multer destination:', { body: req.body });
-    
     // 由于是通过手动处理，这里可能req.body还没有被解析
-    // 使用一个临时目录先
-    const tempDir = path.join(TEMP_DIR, 'pending');
-    
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-    
-    cb(null, tempDir);
+    // 先写入暂存目录，校验通过后再保存到存储后端
+    cb(null, SPOOL_DIR);
   },
   filename: function (req, file, cb) {
-    console.log('Multer filename:', { body: req.body, file });
-    // 生成一个临时文件名
-    cb(null, `temp-${Date.now()}-${file.originalname}`);
+    // 生成一个临时文件名；同一文件的多个分片会同时上传，文件名不能只由时间和原文件名组成
+    cb(null, `temp-${Date.now()}-${uuidv4()}`);
   }
 });
 
-// 文件大小限制为10GB
+// 文件大小限制为10GB；预分配写入时，属于预分配上传的分片直接写入目标文件，不经过暂存目录；
+// 压缩上传的分片边接收边解压
 const upload = multer({
-  storage,
+  storage: decodingStorageEngine(
+    preallocated ? preallocated.storageEngine(chunkStorage, resolvePreallocatedChunk) : chunkStorage,
+    resolveChunkEncoding
+  ),
   limits: {
-    fileSize: 10 * 1024 * 1024 * 1024 // 10GB
+    fileSize: MAX_FILE_SIZE
   }
 });
 
+// 查询当前令牌对应的用户，前端登录时用来校验令牌
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    code: 0,
+    message: '认证成功',
+    data: req.user
+  });
+});
+
 // 初始化上传任务
-app.post('/api/upload/init', (req, res) => {
+app.post('/api/upload/init', async (req, res) => {
   try {
-    console.log('收到初始化上传请求:', req.body);
+    const request = parseUploadRequest(req.body);
+    const { fileName, fileSize } = request;
+    let { chunkSize, chunkCount } = request;
+    let { chunksInfo } = req.body;
+    
+    // 自适应大小的分片：分片的大小和数量由客户端在上传过程中决定，每个分片请求声明自己的区间
+    const adaptive = req.body.chunkSizing === CHUNK_SIZING_ADAPTIVE;
+    if (adaptive) {
+      // dedup模式按分片摘要共享分片，分片边界随网络状况变化时相同的内容也无法共享
+      if (chunkStore) {
+        return res.status(400).json({
+          code: 400,
+          message: '分片去重模式下不支持自适应分片大小'
+        });
+      }
+      chunkSize = null;
+      chunkCount = null;
+      chunksInfo = [];
+    } else if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkCount !== Math.ceil(fileSize / chunkSize)) {
+      return res.status(400).json({
+        code: 400,
+        message: '分片大小或分片数量不合法'
+      });
+    } else {
+      checkChunkSize(chunkSize, fileSize, CHUNK_SIZE_LIMITS);
+    }
+    
+    // 文件大小、扩展名和内容类型不符合策略时，在创建会话之前拒绝
+    checkUploadFile(req.body, fileName, fileSize);
+    
+    const encryption = parseEncryptionManifest(req.body.encryption);
     
-    const { fileName, fileSize, chunkSize, chunkCount, chunksInfo } = req.body;
+    // 整文件摘要，与分片大小无关
+    const fileHash = typeof req.body.fileHash === 'string' ? req.body.fileHash.toLowerCase() : null;
+    if (fileHash && !FILE_HASH_PATTERN.test(fileHash)) {
+      return res.status(400).json({
+        code: 400,
+        message: '文件摘要格式错误，应为32位十六进制MD5'
+      });
+    }
     
-    // 如果提供了分片哈希信息，检查是否可以秒传
-    if (chunksInfo && chunksInfo.length > 0) {
-      // 计算整个文件的指纹
-      const fileHash = chunksInfo.map(chunk => chunk.hash).join('_');
-      console.log('计算的文件指纹:', fileHash);
+    // 如果提供了整文件摘要，检查是否可以秒传
+    if (fileHash) {
+      // 检查当前用户是否已有相同文件（秒传），秒传只在用户自己文件的当前版本中匹配
+      const existingFile = catalog.findByHash(req.user.id, fileHash);
       
-      // 检查是否存在相同文件（秒传）
-      if (fileHashMap.has(fileHash)) {
-        const existingFile = fileHashMap.get(fileHash);
+      // 检查文件是否实际存在，不存在时按普通上传处理，失效的目录条目在下次启动时清除
+      if (existingFile && await statStoredFile(req.user.id, existingFile.name)) {
+        req.log.info('文件已存在，启用秒传', { fileName, existingFile: existingFile.name, fileHash });
+        uploadMetrics.instantLookups.inc({ result: 'hit' });
         
-        // 检查文件是否实际存在
-        const filePath = path.join(UPLOAD_DIR, existingFile.fileName);
-        if (fs.existsSync(filePath)) {
-          console.log('文件已存在，启用秒传功能:', existingFile.fileName);
-          
-          // 创建一个新的上传ID，但标记为秒传
-          const uploadId = uuidv4();
-          
-          res.json({
-            code: 0,
-            message: '文件已存在，启用秒传',
-            data: {
-              uploadId,
-              shouldSkipUpload: true,
-              existingFile: existingFile.fileName
-            }
-          });
-          return;
-        }
+        // 创建一个新的上传ID，但标记为秒传
+        const uploadId = uuidv4();
+        
+        uploadEvents.publish('instant.hit', { owner: req.user.id, uploadId }, {
+          fileName,
+          existingFile: existingFile.name,
+          fileSize,
+          fileHash
+        });
+        
+        res.json({
+          code: 0,
+          message: '文件已存在，启用秒传',
+          data: {
+            uploadId,
+            shouldSkipUpload: true,
+            existingFile: existingFile.name,
+            downloadUrl: downloadUrl(existingFile.name)
+          }
+        });
+        return;
       }
     }
     
+    if (fileHash) {
+      uploadMetrics.instantLookups.inc({ result: 'miss' });
+    }
+    
+    // 秒传不占用新的空间，只有需要上传时才检查配额
+    await checkUploadQuota(req.user.id, fileName, fileSize);
+    
     // 生成唯一的上传ID
     const uploadId = uuidv4();
-    const uploadDir = path.join(TEMP_DIR, uploadId);
-    
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
     
     // 存储上传任务信息
     const taskInfo = {
       uploadId,
       fileName,
-      fileSize: Number(fileSize),
-      chunkSize: Number(chunkSize),
-      chunkCount: Number(chunkCount),
+      fileSize,
+      chunkSize,
+      chunkCount,
       uploadedChunks: [],
       chunksInfo: chunksInfo || [],
-      createdAt: Date.now()
+      owner: req.user.id,
+      uploader: req.user.id,
+      createdAt: Date.now(),
+      lastActivity: Date.now()
     };
     
-    // 如果提供了分片信息，存储每个分片的哈希
-    if (chunksInfo && chunksInfo.length > 0) {
-      taskInfo.fileHash = chunksInfo.map(chunk => chunk.hash).join('_');
+    // 存储整文件摘要，合并后用于校验
+    if (fileHash) {
+      taskInfo.fileHash = fileHash;
+    }
+    
+    // 自适应分片：chunkRanges 记录每个分片登记的区间 [偏移量, 大小]
+    if (adaptive) {
+      taskInfo.chunkSizing = CHUNK_SIZING_ADAPTIVE;
+      taskInfo.chunkRanges = [];
+    }
+    
+    // 端到端加密：上传的是密文，加密清单随文件版本保存，下载时由客户端解密
+    if (encryption) {
+      taskInfo.encryption = encryption;
+    }
+    
+    // dedup模式：分片存储中已有的分片无需再上传，合并时直接引用
+    if (chunkStore) {
+      taskInfo.dedupChunks = getDedupChunks(taskInfo);
+      taskInfo.uploadedChunks.push(...taskInfo.dedupChunks);
+    }
+    
+    // 预分配写入：分片直接写入目标文件，完成时无需合并
+    if (preallocated) {
+      taskInfo.preallocated = true;
     }
     
     uploadTasks.set(uploadId, taskInfo);
     
-    // 获取此文件是否有之前上传的分片
-    const uploadedChunks = [];
-    
-    // 检查是否有已上传的分片
-    if (fs.existsSync(uploadDir)) {
-      const files = fs.readdirSync(uploadDir);
-      files.forEach(file => {
-        if (file.startsWith('chunk-')) {
-          const chunkIndex = parseInt(file.split('-')[1]);
-          uploadedChunks.push(chunkIndex);
-          taskInfo.uploadedChunks.push(chunkIndex);
-        }
-      });
+    // 在会话中保存一份任务元数据，即使持久化数据丢失也能从存储后端重建会话
+    await writeTaskMeta(taskInfo);
+    
+    if (taskInfo.preallocated) {
+      await preallocated.create(uploadId, fileSize);
     }
     
-    console.log('上传初始化成功:', {
-      uploadId, 
-      fileName, 
+    // 获取此文件是否有之前上传的分片
+    const uploadedChunks = await scanUploadedChunks(uploadId);
+    uploadedChunks.forEach(chunkIndex => {
+      if (!taskInfo.uploadedChunks.includes(chunkIndex)) {
+        taskInfo.uploadedChunks.push(chunkIndex);
+      }
+    });
+    
+    uploadEvents.publish('session.created', taskInfo, {
+      fileName,
+      fileSize,
+      chunkSize,
+      chunkCount,
+      uploadedCount: taskInfo.uploadedChunks.length
+    });
+    
+    req.log.info('上传初始化成功', {
+      uploadId,
+      fileName,
+      fileSize,
+      fileHash,
       chunkCount,
       uploadedChunks: uploadedChunks.length,
-      hasChunksInfo: chunksInfo && chunksInfo.length > 0
+      dedupChunks: taskInfo.dedupChunks ? taskInfo.dedupChunks.length : 0,
+      hasChunksInfo: chunksInfo && chunksInfo.length > 0,
+      encrypted: Boolean(encryption)
     });
     
     res.json({
@@ -164,11 +538,24 @@ app.post('/api/upload/init', (req, res) => {
       message: '上传初始化成功',
       data: {
         uploadId,
-        uploadedChunks
+        uploadedChunks,
+        dedupChunks: taskInfo.dedupChunks || [],
+        preallocated: Boolean(taskInfo.preallocated),
+        chunkSizing: adaptive ? CHUNK_SIZING_ADAPTIVE : 'fixed',
+        chunkSizeLimits: describeChunkSizeLimits()
       }
     });
   } catch (error) {
-    console.error('上传初始化错误:', error);
+    if (error instanceof UploadError) {
+      req.log.warn('上传请求不符合策略', { err: error, fileName: req.body.fileName });
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        data: error.data
+      });
+    }
+    
+    req.log.error('上传初始化错误', { err: error });
     res.status(500).json({
       code: 500,
       message: '上传初始化失败',
@@ -177,15 +564,85 @@ app.post('/api/upload/init', (req, res) => {
   }
 });
 
-// 上传分片
+// 上传前检查文件是否符合上传策略（大小、类型和配额），不创建会话，前端在计算摘要之前调用
+// 请求体：{ fileName, fileSize, fileHead }，fileHead 为文件开头最多512字节的base64，用于识别内容类型
+// 响应中除了配额，chunkSizeLimits 为允许的分片大小和是否支持自适应分片，前端据此决定如何切分文件
+app.post('/api/upload/check', async (req, res) => {
+  try {
+    const { fileName, fileSize } = parseUploadRequest(req.body);
+    checkUploadFile(req.body, fileName, fileSize);
+    await checkUploadQuota(req.user.id, fileName, fileSize);
+    
+    res.json({
+      code: 0,
+      message: '文件符合上传策略',
+      data: {
+        ...await policy.getUsage(req.user.id),
+        chunkSizeLimits: describeChunkSizeLimits()
+      }
+    });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        data: error.data
+      });
+    }
+    
+    req.log.error('检查上传策略出错', { err: error });
+    res.status(500).json({
+      code: 500,
+      message: '检查上传策略失败',
+      error: error.message
+    });
+  }
+});
+
+// 查询当前用户的配额使用情况和上传策略
+app.get('/api/quota', async (req, res) => {
+  try {
+    const usage = await policy.getUsage(req.user.id);
+    
+    res.json({
+      code: 0,
+      message: '获取配额成功',
+      data: {
+        ...usage,
+        // 全局的已用空间只对管理员可见
+        global: req.user.admin ? usage.global : { quota: usage.global.quota, remaining: usage.global.remaining },
+        policy: policy.describe()
+      }
+    });
+  } catch (error) {
+    req.log.error('获取配额出错', { err: error });
+    res.status(500).json({
+      code: 500,
+      message: '获取配额失败',
+      error: error.message
+    });
+  }
+});
+
+// 上传分片（multipart/form-data，字段 file）
+// 表单字段在文件之后时只能先把文件写入暂存目录，之后才能读到 uploadId 和 chunkIndex，建议使用下面的原始二进制接口
 app.post('/api/upload/chunk', (req, res) => {
-  console.log('收到分片上传请求的headers:', req.headers);
-  
   try {
     // 使用单个上传处理
-    upload.single('file')(req, res, function(err) {
+    upload.single('file')(req, res, async function(err) {
       if (err) {
-        console.error('Multer错误:', err);
+        // 预分配写入时，文件开头的数据不符合策略会在写入前被拒绝
+        if (err instanceof UploadError) {
+          if (req.body && req.body.uploadId) {
+            recordChunkRejected(req, { owner: req.user.id, uploadId: req.body.uploadId }, req.body.chunkIndex, err);
+          }
+          return res.status(err.status).json({
+            code: err.code,
+            message: err.message,
+            data: err.data
+          });
+        }
+        req.log.error('接收分片出错', { err });
         return res.status(500).json({
           code: 500,
           message: '文件上传处理错误',
@@ -193,15 +650,11 @@ app.post('/api/upload/chunk', (req, res) => {
         });
       }
       
+      let taskInfo = null;
       try {
-        console.log('文件上传成功，处理req.body:', req.body);
-        console.log('上传的文件信息:', req.file);
-        
         // 文件应该已经上传成功
         const { uploadId, chunkIndex, chunkHash } = req.body;
         
-        console.log('分片上传参数:', { uploadId, chunkIndex, chunkHash });
-        
         if (!uploadId || uploadId === 'undefined' || chunkIndex === undefined) {
           return res.status(400).json({
             code: 400,
@@ -210,16 +663,16 @@ app.post('/api/upload/chunk', (req, res) => {
           });
         }
         
-        const taskInfo = uploadTasks.get(uploadId);
+        taskInfo = getOwnTask(req, uploadId);
         
         if (!taskInfo) {
+          if (req.file) {
+            removeReceivedChunk(req.file);
+          }
           return res.status(404).json({
             code: 404,
             message: '上传任务不存在',
-            data: { 
-              uploadId,
-              availableTasks: Array.from(uploadTasks.keys())
-            }
+            data: { uploadId }
           });
         }
         
@@ -231,64 +684,32 @@ app.post('/api/upload/chunk', (req, res) => {
           });
         }
         
-        // 如果提供了分片哈希，对比验证哈希值
-        if (chunkHash && taskInfo.chunksInfo && taskInfo.chunksInfo.length > 0) {
-          const chunkInfo = taskInfo.chunksInfo.find(c => c.index.toString() === chunkIndex.toString());
-          if (chunkInfo && chunkInfo.hash !== chunkHash) {
-            console.warn('分片哈希不匹配:', {
-              expected: chunkInfo.hash,
-              received: chunkHash
-            });
-            // 注意：这里我们不阻止上传，但可以记录警告
-          }
-        }
-        
-        // 将临时文件移动到正确的位置
-        const chunkDir = path.join(TEMP_DIR, uploadId);
-        if (!fs.existsSync(chunkDir)) {
-          fs.mkdirSync(chunkDir, { recursive: true });
-        }
-        
-        const targetPath = path.join(chunkDir, `chunk-${chunkIndex}`);
-        fs.renameSync(req.file.path, targetPath);
-        
-        // 如果提供了分片哈希，保存到文件中
-        if (chunkHash) {
-          const hashFilePath = path.join(chunkDir, `chunk-${chunkIndex}.hash`);
-          fs.writeFileSync(hashFilePath, chunkHash);
-        }
+        // 自适应分片按表单中的 chunkOffset、chunkSize 登记区间（字段在文件之前时，接收文件之前已经登记）
+        resolveRequestChunkRange(taskInfo, chunkIndex, req.body.chunkOffset, req.body.chunkSize);
         
-        // 更新已上传的分片信息
-        const chunkIndexNum = Number(chunkIndex);
-        if (!taskInfo.uploadedChunks.includes(chunkIndexNum)) {
-          taskInfo.uploadedChunks.push(chunkIndexNum);
+        // 编码字段在文件之后时，分片以压缩的形式写入了暂存文件，校验之前先解压
+        const encoding = parseChunkEncoding(req.body.chunkEncoding);
+        if (encoding && !req.file.contentEncoding) {
+          req.file = await decodeSpooledChunk(taskInfo, chunkIndex, req.file, encoding);
         }
         
-        console.log('分片上传成功: ', {
-          chunkIndex: chunkIndexNum,
-          uploadedCount: taskInfo.uploadedChunks.length,
-          totalCount: taskInfo.chunkCount
-        });
-        
         res.json({
           code: 0,
           message: '分片上传成功',
-          data: {
-            uploadedCount: taskInfo.uploadedChunks.length,
-            totalCount: taskInfo.chunkCount
-          }
+          data: await acceptChunk(taskInfo, chunkIndex, req.file, chunkHash)
         });
       } catch (innerError) {
-        console.error('处理上传的分片时出错:', innerError);
-        res.status(500).json({
-          code: 500,
-          message: '处理上传的分片时出错',
-          error: innerError.message
-        });
+        if (req.file) {
+          removeReceivedChunk(req.file);
+        }
+        if (taskInfo) {
+          recordChunkRejected(req, taskInfo, req.body.chunkIndex, innerError);
+        }
+        sendChunkError(req, res, innerError);
       }
     });
   } catch (error) {
-    console.error('上传分片出错:', error);
+    req.log.error('上传分片出错', { err: error });
     res.status(500).json({
       code: 500,
       message: '分片上传失败',
@@ -297,212 +718,1530 @@ app.post('/api/upload/chunk', (req, res) => {
   }
 });
 
-// 合并文件
-app.post('/api/upload/complete', async (req, res) => {
+// 上传分片（原始二进制，请求体即分片内容，Content-Type: application/octet-stream）
+// 读取请求体之前先校验会话、分片序号和 Content-Length，边接收边计算MD5写入暂存文件（预分配写入时直接写入目标文件）
+// 分片哈希通过 X-Chunk-Hash 请求头传递（十六进制MD5），初始化时已声明分片哈希的可以省略
+// 自适应分片通过 X-Chunk-Offset、X-Chunk-Size 请求头声明分片在文件中的偏移量和大小
+// 请求体可以压缩（Content-Encoding: gzip 或 deflate），边接收边解压，大小和哈希按解压后的数据校验
+app.put('/api/upload/:uploadId/chunks/:chunkIndex', async (req, res) => {
+  const { uploadId, chunkIndex } = req.params;
+  let taskInfo = null;
+  let received = null;
+  
   try {
-    const { uploadId, fileName, totalChunks } = req.body;
-    console.log('收到合并文件请求:', { uploadId, fileName, totalChunks });
-    
-    const taskInfo = uploadTasks.get(uploadId);
-    
+    taskInfo = getOwnTask(req, uploadId);
     if (!taskInfo) {
-      console.error('上传任务不存在:', uploadId);
       return res.status(404).json({
         code: 404,
-        message: '上传任务不存在'
+        message: '上传任务不存在',
+        data: { uploadId }
       });
     }
-
-    console.log('任务信息:', {
-      uploadId,
-      fileName: taskInfo.fileName,
-      fileSize: taskInfo.fileSize,
-      uploadedChunks: taskInfo.uploadedChunks.length,
-      totalChunks: taskInfo.chunkCount
-    });
-    
-    // 安全的文件名
-    const safeFileName = fileName.replace(/[^a-zA-Z0-9_\-\.]/g, '_');
-    const uploadDir = path.join(TEMP_DIR, uploadId);
-    const filePath = path.join(UPLOAD_DIR, safeFileName);
     
-    // 检查所有分片是否都已上传
-    if (taskInfo.uploadedChunks.length !== taskInfo.chunkCount) {
-      console.error('文件分片不完整:', {
-        uploaded: taskInfo.uploadedChunks.length,
-        required: taskInfo.chunkCount,
-        missing: getMissingChunks(taskInfo.uploadedChunks, taskInfo.chunkCount)
-      });
-      
-      return res.status(400).json({
-        code: 400,
-        message: '文件分片不完整，无法合并',
-        data: {
-          uploaded: taskInfo.uploadedChunks.length,
-          total: taskInfo.chunkCount,
-          missing: getMissingChunks(taskInfo.uploadedChunks, taskInfo.chunkCount)
-        }
+    const chunkIndexNum = Number(chunkIndex);
+    const expectedSize = resolveRequestChunkRange(taskInfo, chunkIndexNum,
+      req.headers['x-chunk-offset'], req.headers['x-chunk-size']).size;
+    const contentLength = req.headers['content-length'];
+    const encoding = parseChunkEncoding(req.headers['content-encoding']);
+    // 压缩的请求体只有比分片小时才有意义，前端不会发送压缩后没有变小的分片
+    const lengthMismatch = contentLength !== undefined &&
+      (encoding ? Number(contentLength) > expectedSize : Number(contentLength) !== expectedSize);
+    if (lengthMismatch) {
+      throw new UploadError(400, 400, '分片序号或分片大小与初始化时声明的不一致', {
+        chunkIndex,
+        size: contentLength !== undefined ? Number(contentLength) : null,
+        expectedSize
       });
     }
     
-    // 检查所有分片文件是否存在
-    const missingFiles = [];
-    for (let i = 0; i < taskInfo.chunkCount; i++) {
-      const chunkPath = path.join(uploadDir, `chunk-${i}`);
-      if (!fs.existsSync(chunkPath)) {
-        missingFiles.push(i);
-      }
-    }
+    // 预分配写入直接改动目标文件，合并过程中需要在写入之前拒绝
+    assertNotMerging(uploadId);
     
-    if (missingFiles.length > 0) {
-      console.error('有分片文件丢失:', missingFiles);
-      return res.status(400).json({
-        code: 400,
-        message: '部分分片文件丢失，无法合并',
-        data: { missingFiles }
-      });
+    const stats = {};
+    const body = encoding ? decodeChunkStream(req, encoding, expectedSize, stats) : req;
+    if (taskInfo.preallocated) {
+      const target = getPreallocatedTarget(taskInfo, chunkIndexNum);
+      received = {
+        ...await preallocated.writeChunk(taskInfo, chunkIndexNum, body, target.inspectHead),
+        preallocated: true
+      };
+    } else {
+      // 暂存文件以会话和分片序号命名，加上随机后缀，同一分片同时重试的请求不会写入同一个文件
+      const spoolPath = path.join(SPOOL_DIR, `${uploadId}-${chunkIndexNum}-${uuidv4()}`);
+      received = { path: spoolPath };
+      Object.assign(received, await writeHashedFile(body, spoolPath, expectedSize));
     }
-    
-    console.log('开始合并文件到:', filePath);
-    
-    try {
-      // 使用流式合并，避免一次性读取全部文件到内存
-      await mergeChunksWithStream(uploadDir, filePath, taskInfo.chunkCount);
-      
-      // 检查合并后的文件大小是否正确
-      const stats = fs.statSync(filePath);
-      console.log('文件合并完成，大小:', stats.size);
-      
-      if (stats.size !== taskInfo.fileSize) {
-        console.warn('合并后的文件大小与原始文件大小不一致:', {
-          expected: taskInfo.fileSize,
-          actual: stats.size,
-          difference: taskInfo.fileSize - stats.size
-        });
-      }
-      
-      // 如果有文件哈希，存储到哈希映射中用于后续秒传
-      if (taskInfo.fileHash) {
-        fileHashMap.set(taskInfo.fileHash, {
-          fileName: safeFileName,
-          fileSize: stats.size,
-          uploadTime: Date.now()
-        });
-        console.log('已存储文件哈希用于秒传:', taskInfo.fileHash);
-      }
-      
-      // 清理临时分片
-      console.log('清理临时目录:', uploadDir);
-      fs.rmdirSync(uploadDir, { recursive: true });
-      
-      // 删除任务信息
-      uploadTasks.delete(uploadId);
-      
-      res.json({
-        code: 0,
-        message: '文件合并成功',
-        data: {
-          fileName: safeFileName,
-          fileSize: stats.size,
-          filePath: `/uploads/${safeFileName}`
-        }
-      });
-    } catch (mergeError) {
-      console.error('合并文件过程中出错:', mergeError);
-      return res.status(500).json({
-        code: 500,
-        message: `合并文件失败: ${mergeError.message}`,
-        error: mergeError.message
-      });
+    if (encoding) {
+      received.contentEncoding = encoding;
+      received.encodedSize = stats.encodedSize;
     }
-  } catch (error) {
-    console.error('文件合并请求处理出错:', error);
-    res.status(500).json({
-      code: 500,
-      message: '文件合并失败',
-      error: error.message
+    
+    res.json({
+      code: 0,
+      message: '分片上传成功',
+      data: await acceptChunk(taskInfo, chunkIndex, received, req.headers['x-chunk-hash'])
     });
+  } catch (error) {
+    if (received) {
+      removeReceivedChunk(received);
+    }
+    if (taskInfo) {
+      recordChunkRejected(req, taskInfo, chunkIndex, error);
+    }
+    sendChunkError(req, res, error);
   }
 });
 
-// 辅助函数：获取缺失的分片索引
-function getMissingChunks(uploadedChunks, totalChunks) {
-  const missing = [];
-  for (let i = 0; i < totalChunks; i++) {
-    if (!uploadedChunks.includes(i)) {
-      missing.push(i);
-    }
+// 辅助函数：会话的上传协议
+function getProtocol(taskInfo) {
+  return taskInfo.protocol || 'native';
+}
+
+// 辅助函数：请求匹配的路由，作为指标的标签（不使用实际路径，避免上传ID等产生大量标签值）
+function getRouteLabel(req) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
   }
-  return missing;
+  return req.baseUrl || 'other';
+}
+
+// 辅助函数：统计保存到会话中的分片，所有上传协议共用
+function countChunkReceived(taskInfo, size) {
+  const protocol = getProtocol(taskInfo);
+  uploadMetrics.chunksReceived.inc({ protocol });
+  uploadMetrics.bytesIngested.inc({ protocol }, size);
+}
+
+// 辅助函数：统计被拒绝的分片，所有上传协议共用
+function countChunkRejected(taskInfo, code) {
+  uploadMetrics.chunksRejected.inc({ protocol: getProtocol(taskInfo), code });
 }
 
-// 辅助函数：使用流式合并文件，减少内存使用
-async function mergeChunksWithStream(sourceDir, targetPath, totalChunks) {
-  // 确保目标目录存在
-  const targetDir = path.dirname(targetPath);
-  if (!fs.existsSync(targetDir)) {
-    fs.mkdirSync(targetDir, { recursive: true });
+// 辅助函数：目录及其子目录中文件的总大小，扫描过程中被删除的文件忽略
+async function getDirectorySize(dir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
   }
   
-  // 创建写入流
-  const writeStream = fs.createWriteStream(targetPath);
-  
-  try {
-    for (let i = 0; i < totalChunks; i++) {
-      const chunkPath = path.join(sourceDir, `chunk-${i}`);
-      
-      // 检查文件是否存在
-      if (!fs.existsSync(chunkPath)) {
-        throw new Error(`分片 ${i} 文件不存在: ${chunkPath}`);
+  let size = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      try {
+        size += (await fs.promises.stat(entryPath)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
       }
-      
-      // 逐个分片流式写入
-      await new Promise((resolve, reject) => {
-        const readStream = fs.createReadStream(chunkPath);
-        
-        readStream.on('error', (err) => {
-          console.error(`读取分片 ${i} 出错:`, err);
-          reject(new Error(`读取分片 ${i} 失败: ${err.message}`));
-        });
-        
-        writeStream.on('error', (err) => {
-          console.error(`写入分片 ${i} 到目标文件出错:`, err);
-          reject(new Error(`写入分片 ${i} 失败: ${err.message}`));
-        });
-        
-        readStream.pipe(writeStream, { end: false });
-        readStream.on('end', () => {
-          console.log(`分片 ${i + 1}/${totalChunks} 合并完成`);
-          resolve();
-        });
-      });
     }
-    
-    // 关闭写入流
-    await new Promise((resolve, reject) => {
-      writeStream.end();
-      writeStream.on('finish', resolve);
-      writeStream.on('error', reject);
+  }
+  return size;
+}
+
+// 辅助函数：记录分片被拒绝（日志、指标），并发布分片被拒绝的事件
+function recordChunkRejected(req, session, chunkIndex, error) {
+  const chunkIndexNum = Number(chunkIndex);
+  const code = error instanceof UploadError ? error.code : 500;
+  countChunkRejected(session, code);
+  req.log.warn('分片被拒绝', {
+    uploadId: session.uploadId,
+    chunkIndex: Number.isInteger(chunkIndexNum) ? chunkIndexNum : chunkIndex,
+    err: error,
+    data: error instanceof UploadError ? error.data : undefined
+  });
+  uploadEvents.publish('chunk.rejected', session, {
+    chunkIndex: Number.isInteger(chunkIndexNum) ? chunkIndexNum : null,
+    code,
+    message: error.message
+  });
+}
+
+// 辅助函数：分片接口的错误响应
+function sendChunkError(req, res, error) {
+  if (error instanceof UploadError) {
+    return res.status(error.status).json({
+      code: error.code,
+      message: error.message,
+      data: error.data
+    });
+  }
+  req.log.error('处理上传的分片时出错', { err: error });
+  res.status(500).json({
+    code: 500,
+    message: '处理上传的分片时出错',
+    error: error.message
+  });
+}
+
+// 辅助函数：分片的预期大小，分片序号不合法（或自适应分片的区间尚未登记）时返回null
+function getExpectedChunkSize(taskInfo, chunkIndexNum) {
+  const range = getChunkRange(taskInfo, chunkIndexNum);
+  return range ? range.size : null;
+}
+
+// 辅助函数：确定分片请求对应的区间，自适应分片新登记了区间时保存会话
+// offset、size 为请求声明的偏移量和大小（请求头或表单字段），区间不合法时抛出UploadError
+function resolveRequestChunkRange(taskInfo, chunkIndex, offset, size) {
+  const range = resolveChunkRange(taskInfo, Number(chunkIndex), offset, size, CHUNK_SIZE_LIMITS);
+  if (range.reserved) {
+    uploadTasks.save(taskInfo.uploadId);
+  }
+  return range;
+}
+
+// 辅助函数：服务端允许的分片大小，dedup模式下不支持自适应分片
+function describeChunkSizeLimits() {
+  return {
+    min: CHUNK_SIZE_LIMITS.min,
+    max: CHUNK_SIZE_LIMITS.max,
+    adaptive: !chunkStore
+  };
+}
+
+// 辅助函数：合并过程中分片不能再改变
+function assertNotMerging(uploadId) {
+  if (mergeJobs.findRunning(uploadId)) {
+    throw new UploadError(409, 409, '文件正在合并，不能再上传分片');
+  }
+}
+
+// 辅助函数：校验收到的分片并保存到会话中，两种分片上传接口共用
+// received 为 { path, size, hash }，预分配写入时为 { size, hash, writeId, preallocated: true }（已写入目标文件），
+// 压缩上传时另有 contentEncoding 和 encodedSize，size 和 hash 都是解压后的
+// 校验失败时抛出UploadError，由调用方删除收到的数据
+//
+// 同一会话的多个分片可以同时上传：保存分片是异步的，期间会话可能被取消、过期或开始合并，
+// 保存之后重新检查，已经不能接受的分片不会再记入会话；记录已上传分片本身是同步的，不会相互覆盖
+async function acceptChunk(taskInfo, chunkIndex, received, chunkHash) {
+  const uploadId = taskInfo.uploadId;
+  
+  assertNotMerging(uploadId);
+  
+  // 分片序号和大小必须与初始化时声明的一致，保证保存的数据不会超过声明的文件大小
+  const chunkIndexNum = Number(chunkIndex);
+  const expectedSize = getExpectedChunkSize(taskInfo, chunkIndexNum);
+  if (expectedSize === null || received.size !== expectedSize) {
+    throw new UploadError(400, 400, '分片序号或分片大小与初始化时声明的不一致', {
+      chunkIndex,
+      size: received.size,
+      expectedSize
+    });
+  }
+  
+  // 校验服务端实际收到的字节：优先使用初始化时声明的分片哈希，其次使用本次请求携带的哈希
+  const chunkInfo = (taskInfo.chunksInfo || []).find(c => c.index.toString() === chunkIndex.toString());
+  const expectedHash = (chunkInfo && chunkInfo.hash) || chunkHash;
+  
+  if (expectedHash && expectedHash !== received.hash) {
+    throw new UploadError(422, ERROR_CODES.CHUNK_HASH_MISMATCH, '分片内容校验失败，请重新上传该分片', {
+      chunkIndex: chunkIndexNum,
+      expected: expectedHash,
+      actual: received.hash
+    });
+  }
+  
+  // 第一个分片保存之前按文件开头的数据检查内容类型（直接写入目标文件的分片在写入前已经检查过）
+  if (chunkIndexNum === 0 && !received.preallocated) {
+    await inspectUploadHead(taskInfo, received.path);
+  }
+  
+  let writeId = received.writeId;
+  // 分片先保存为会话中的临时对象，重新检查会话之后才替换 chunk-N：
+  // 重复上传已记录的分片时，不会覆盖合并正在读取的数据（会话恢复只识别 chunk-N，残留的临时对象随会话删除）
+  const pendingKey = sessionKey(uploadId, `chunk-${chunkIndexNum}.pending-${uuidv4()}`);
+  if (taskInfo.preallocated) {
+    // 表单中的字段在文件之后时无法直接写入，从暂存文件复制到目标文件中的位置
+    if (!received.preallocated) {
+      ({ writeId } = await preallocated.writeChunk(taskInfo, chunkIndexNum, fs.createReadStream(received.path)));
+      fs.rmSync(received.path, { force: true });
+    }
+  } else {
+    await storage.put(pendingKey, received.path);
+  }
+  
+  try {
+    // 保存期间会话被取消或过期清理：删除刚保存的分片，不再恢复会话
+    if (uploadTasks.get(uploadId) !== taskInfo) {
+      throw new UploadError(404, 404, '上传任务不存在或已取消', { uploadId });
+    }
+    // 保存期间开始了合并（之前的请求已经补齐了分片），合并使用的是已记录的分片，本次保存的数据不再使用
+    assertNotMerging(uploadId);
+  } catch (error) {
+    if (!taskInfo.preallocated) {
+      await storage.remove(pendingKey).catch(() => {});
+    }
+    throw error;
+  }
+  // 写入期间同一分片又被另一个请求写入，目标文件中的数据以后开始的写入为准
+  if (taskInfo.preallocated && !preallocated.isLatestWrite(taskInfo, chunkIndexNum, writeId)) {
+    throw new UploadError(409, ERROR_CODES.CHUNK_WRITE_CONFLICT, '该分片正在被另一个请求重新写入', {
+      chunkIndex: chunkIndexNum
+    });
+  }
+  
+  if (!taskInfo.preallocated) {
+    await storage.rename(pendingKey, sessionKey(uploadId, `chunk-${chunkIndexNum}`));
+    // 保存服务端计算的分片哈希
+    await storage.put(sessionKey(uploadId, `chunk-${chunkIndexNum}.hash`), Buffer.from(received.hash));
+  }
+  
+  // 更新已上传的分片信息
+  if (!taskInfo.uploadedChunks.includes(chunkIndexNum)) {
+    taskInfo.uploadedChunks.push(chunkIndexNum);
+  }
+  taskInfo.lastActivity = Date.now();
+  uploadTasks.save(uploadId);
+  
+  // 预分配写入：趁分片还在页缓存中，继续计算整文件摘要
+  if (taskInfo.preallocated) {
+    preallocated.advance(taskInfo);
+  }
+  
+  countChunkReceived(taskInfo, received.size);
+  if (received.contentEncoding) {
+    uploadMetrics.compressedChunkBytes.inc({ encoding: received.contentEncoding, stage: 'received' }, received.encodedSize);
+    uploadMetrics.compressedChunkBytes.inc({ encoding: received.contentEncoding, stage: 'decoded' }, received.size);
+  }
+  logger.debug('分片上传成功', {
+    uploadId,
+    chunkIndex: chunkIndexNum,
+    contentEncoding: received.contentEncoding || null,
+    uploadedCount: taskInfo.uploadedChunks.length,
+    totalCount: taskInfo.chunkCount
+  });
+  
+  uploadEvents.publish('chunk.received', taskInfo, {
+    chunkIndex: chunkIndexNum,
+    size: received.size,
+    uploadedCount: taskInfo.uploadedChunks.length,
+    totalCount: taskInfo.chunkCount
+  });
+  
+  return {
+    uploadedCount: taskInfo.uploadedChunks.length,
+    totalCount: taskInfo.chunkCount
+  };
+}
+
+// 合并文件
+app.post('/api/upload/complete', async (req, res) => {
+  try {
+    const { uploadId } = req.body;
+    const taskInfo = getOwnTask(req, uploadId);
+    
+    if (!taskInfo) {
+      return res.status(404).json({
+        code: 404,
+        message: '上传任务不存在'
+      });
+    }
+
+    // 检查所有分片是否都已上传；自适应分片还需要登记的分片已经到达文件末尾，此时才能确定分片数
+    const chunkCount = getLayoutChunkCount(taskInfo);
+    if (chunkCount === null || taskInfo.uploadedChunks.length !== chunkCount) {
+      return res.status(400).json({
+        code: 400,
+        message: '文件分片不完整，无法合并',
+        data: {
+          uploaded: taskInfo.uploadedChunks.length,
+          total: chunkCount,
+          missing: getMissingChunks(taskInfo.uploadedChunks, chunkCount === null ? (taskInfo.chunkRanges || []).length : chunkCount),
+          uploadedBytes: getUploadedBytes(taskInfo)
+        }
+      });
+    }
+    taskInfo.chunkCount = chunkCount;
+    
+    // 在后台合并，会话已有进行中的合并任务时返回该任务
+    const job = mergeJobs.start(taskInfo, async onProgress => {
+      taskInfo.lastActivity = Date.now();
+      uploadTasks.save(uploadId);
+      
+      // 使用初始化时校验过的文件名，而不是合并请求中的文件名
+      const result = await finalizeUpload(taskInfo, taskInfo.fileName, onProgress);
+      
+      // 删除任务信息
+      uploadTasks.delete(uploadId);
+      return result;
+    });
+    
+    // wait 为true时等待合并完成后再返回结果（脚本等不方便轮询的客户端）
+    if (req.body.wait === true) {
+      await mergeJobs.wait(job);
+      if (job.error) {
+        return res.status(job.error.status).json({
+          code: job.error.code,
+          message: job.error.message,
+          data: job.error.data
+        });
+      }
+      return res.json({
+        code: 0,
+        message: '文件合并成功',
+        data: job.result
+      });
+    }
+    
+    res.status(202).json({
+      code: 0,
+      message: '合并任务已开始',
+      data: describeMergeJob(job)
+    });
+  } catch (error) {
+    req.log.error('文件合并请求处理出错', { err: error });
+    res.status(500).json({
+      code: 500,
+      message: '文件合并失败',
+      error: error.message
+    });
+  }
+});
+
+// 查询合并任务的进度和结果
+app.get('/api/upload/jobs/:jobId', (req, res) => {
+  const job = getOwnMergeJob(req);
+  if (!job) {
+    return res.status(404).json({
+      code: 404,
+      message: '合并任务不存在'
+    });
+  }
+  
+  res.json({
+    code: 0,
+    message: '获取合并任务成功',
+    data: describeMergeJob(job)
+  });
+});
+
+// 以Server-Sent Events推送合并任务的进度：progress 事件为进度，completed / failed 事件为结果，之后关闭连接
+// EventSource无法附加请求头，可以通过 access_token 查询参数传递令牌
+app.get('/api/upload/jobs/:jobId/events', (req, res) => {
+  const job = getOwnMergeJob(req);
+  if (!job) {
+    return res.status(404).json({
+      code: 404,
+      message: '合并任务不存在'
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // 禁止nginx等反向代理缓冲事件
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event, current) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(describeMergeJob(current))}\n\n`);
+  };
+  
+  if (job.status !== 'running') {
+    send(job.status, job);
+    return res.end();
+  }
+  
+  // 连接建立时先推送一次当前进度，之后定期发送注释行保持连接
+  send('progress', job);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+  const unsubscribe = mergeJobs.subscribe(job.jobId, (event, current) => {
+    send(event, current);
+    if (event !== 'progress') {
+      res.end();
+    }
+  });
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// 以Server-Sent Events推送上传会话的事件，事件格式见 server/upload-events.cjs
+// 查询参数：uploadId 只接收该会话的事件；scope=all 接收所有用户的事件（仅管理员）
+// 断线重连时按 Last-Event-ID 请求头（或 lastEventId 查询参数）补发错过的事件
+app.get('/api/events', (req, res) => {
+  if (req.query.scope === 'all' && !req.user.admin) {
+    return res.status(403).json({
+      code: 403,
+      message: '只有管理员可以接收所有用户的事件'
+    });
+  }
+  
+  const filter = {
+    owner: req.query.scope === 'all' ? null : req.user.id,
+    uploadId: typeof req.query.uploadId === 'string' ? req.query.uploadId : null
+  };
+  const lastEventId = Number(req.headers['last-event-id'] || req.query.lastEventId) || 0;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  
+  // 连接建立后先告知协议版本，再补发错过的事件
+  res.write(`event: ready\ndata: ${JSON.stringify({ version: UploadEvents.VERSION, lastEventId: uploadEvents.lastId })}\n\n`);
+  if (lastEventId) {
+    uploadEvents.since(lastEventId, filter).forEach(send);
+  }
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL);
+  const unsubscribe = uploadEvents.subscribe(filter, send);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// 辅助函数：合并任务事件的数据，进度事件只包含进度，结束事件包含结果或错误
+function describeMergeEvent(event, job) {
+  const data = { jobId: job.jobId, fileName: job.fileName };
+  if (event === 'started' || event === 'progress') {
+    return {
+      ...data,
+      phase: job.phase,
+      mergedBytes: job.mergedBytes,
+      totalBytes: job.totalBytes,
+      currentChunk: job.currentChunk,
+      totalChunks: job.totalChunks
+    };
+  }
+  if (event === 'completed') {
+    const { versionId, fileSize, fileHash, downloadUrl: url, quarantined } = job.result;
+    return { ...data, versionId, fileSize, fileHash, downloadUrl: url, quarantined };
+  }
+  return { ...data, error: job.error };
+}
+
+// 辅助函数：当前用户的合并任务，不存在或属于其他用户时返回null
+function getOwnMergeJob(req) {
+  const job = mergeJobs.get(req.params.jobId);
+  return job && job.owner === req.user.id ? job : null;
+}
+
+// 辅助函数：返回给客户端的合并任务信息，附带查询和订阅进度的地址
+function describeMergeJob(job) {
+  const statusUrl = `/api/upload/jobs/${job.jobId}`;
+  return {
+    ...MergeJobs.describe(job),
+    statusUrl,
+    eventsUrl: `${statusUrl}/events`
+  };
+}
+
+// 辅助函数：合并分片、校验摘要，保存为文件的一个新版本，供各上传协议共用
+// 成功后会删除会话中的分片，但不会删除任务信息，由调用方决定如何处理
+// onProgress({ phase, mergedBytes, currentChunk }) 报告进度，阶段依次为 merging、verifying、saving
+async function finalizeUpload(taskInfo, fileName, onProgress = () => {}) {
+  const protocol = getProtocol(taskInfo);
+  const log = logger.child({ uploadId: taskInfo.uploadId, owner: taskInfo.owner, protocol });
+  const startedAt = process.hrtime.bigint();
+  const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+  
+  try {
+    const result = await saveUploadedFile(taskInfo, normalizeFileName(fileName), onProgress);
+    // 启用了阻塞的处理钩子时，新版本在检查通过之前不能下载
+    const saved = catalog.findVersion(taskInfo.owner, result.versionId);
+    result.quarantined = Boolean(saved && PostProcessing.isQuarantined(saved.version));
+    const duration = elapsed();
+    uploadMetrics.mergeDuration.observe({ protocol, status: 'completed' }, duration);
+    log.info('上传完成', {
+      fileName: result.fileName,
+      versionId: result.versionId,
+      fileSize: result.fileSize,
+      fileHash: result.fileHash,
+      quarantined: result.quarantined,
+      durationMs: Math.round(duration * 1000)
+    });
+    return result;
+  } catch (error) {
+    const duration = elapsed();
+    uploadMetrics.mergeDuration.observe({ protocol, status: 'failed' }, duration);
+    log.log(error instanceof UploadError ? 'warn' : 'error', '上传失败', {
+      fileName: taskInfo.fileName,
+      err: error,
+      data: error instanceof UploadError ? error.data : undefined,
+      durationMs: Math.round(duration * 1000)
+    });
+    throw error;
+  }
+}
+
+// 辅助函数：按存储模式和写入方式合并、校验并保存文件
+async function saveUploadedFile(taskInfo, fileName, onProgress) {
+  if (chunkStore) {
+    return finalizeDedupUpload(taskInfo, fileName, onProgress);
+  }
+  if (taskInfo.preallocated) {
+    return finalizePreallocatedUpload(taskInfo, fileName, onProgress);
+  }
+  
+  const sessionObjects = await listSessionObjects(taskInfo.uploadId);
+  
+  // 检查所有分片是否存在
+  const missingFiles = [];
+  for (let i = 0; i < taskInfo.chunkCount; i++) {
+    if (!sessionObjects.has(`chunk-${i}`)) {
+      missingFiles.push(i);
+    }
+  }
+  
+  if (missingFiles.length > 0) {
+    throw new UploadError(400, 400, '部分分片文件丢失，无法合并', { missingFiles });
+  }
+  
+  const chunkKeys = Array.from({ length: taskInfo.chunkCount }, (_, i) => sessionKey(taskInfo.uploadId, `chunk-${i}`));
+  await checkUploadContent(taskInfo, chunkKeys.map((key, i) => ({ key, size: sessionObjects.get(`chunk-${i}`).size })));
+  
+  // 每个版本保存为独立的对象，同名文件不会被覆盖
+  const versionId = uuidv4();
+  const objectName = versionObjectName(fileName, versionId);
+  logger.debug('开始合并文件', { uploadId: taskInfo.uploadId, fileName, versionId });
+  
+  // 流式合并，合并的同时计算整文件摘要；校验通过后才写入目标位置
+  const targetKey = objectKey(storedName(taskInfo.owner, objectName));
+  const { size: fileSize, hash: mergedHash } = await storage.merge(chunkKeys, targetKey, ({ size, hash }) => {
+    onProgress({ phase: 'verifying' });
+    
+    // 校验合并后的文件摘要
+    if (taskInfo.fileHash && taskInfo.fileHash !== hash) {
+      throw new UploadError(422, ERROR_CODES.FILE_HASH_MISMATCH, '合并后的文件摘要与上传前计算的不一致，文件可能已损坏', {
+        expected: taskInfo.fileHash,
+        actual: hash
+      });
+    }
+  }, ({ index, size }) => onProgress({ mergedBytes: size, currentChunk: index }));
+  
+  onProgress({ phase: 'saving' });
+  
+  if (fileSize !== taskInfo.fileSize) {
+    logger.warn('合并后的文件大小与原始文件大小不一致', {
+      uploadId: taskInfo.uploadId,
+      expected: taskInfo.fileSize,
+      actual: fileSize,
+      difference: taskInfo.fileSize - fileSize
+    });
+  }
+  
+  // 按服务端计算的真实内容摘要登记版本，用于秒传
+  await addFileVersion(taskInfo, fileName, { versionId, objectName, fileSize, fileHash: mergedHash });
+  
+  // 清理会话中的分片
+  await storage.removePrefix(sessionKey(taskInfo.uploadId));
+  
+  return {
+    fileName,
+    versionId,
+    fileSize,
+    fileHash: mergedHash,
+    filePath: `/uploads/${encodeURIComponent(fileName)}`,
+    downloadUrl: downloadUrl(fileName)
+  };
+}
+
+// 辅助函数：预分配写入的上传——分片已经写在目标文件中，校验整文件摘要后直接移动到 uploads/，不需要合并
+async function finalizePreallocatedUpload(taskInfo, fileName, onProgress) {
+  const dataKey = preallocated.dataKey(taskInfo.uploadId);
+  const data = await storage.stat(dataKey);
+  if (!data || data.size !== taskInfo.fileSize) {
+    throw new UploadError(400, 400, '预分配的目标文件丢失或大小不一致，无法完成上传', {
+      expected: taskInfo.fileSize,
+      actual: data ? data.size : null
+    });
+  }
+  
+  await checkUploadContent(taskInfo, [{ key: dataKey, size: data.size }]);
+  
+  // 分片已经写在目标文件中，没有需要合并的数据
+  onProgress({ phase: 'verifying', mergedBytes: data.size, currentChunk: taskInfo.chunkCount - 1 });
+  
+  // 大部分内容在上传过程中已经计算过摘要，这里只需要计算剩余的部分
+  const fileHash = await preallocated.digest(taskInfo);
+  
+  if (taskInfo.fileHash && taskInfo.fileHash !== fileHash) {
+    throw new UploadError(422, ERROR_CODES.FILE_HASH_MISMATCH, '合并后的文件摘要与上传前计算的不一致，文件可能已损坏', {
+      expected: taskInfo.fileHash,
+      actual: fileHash
+    });
+  }
+  
+  onProgress({ phase: 'saving' });
+  const versionId = uuidv4();
+  const objectName = versionObjectName(fileName, versionId);
+  await storage.rename(dataKey, objectKey(storedName(taskInfo.owner, objectName)));
+  
+  await addFileVersion(taskInfo, fileName, { versionId, objectName, fileSize: data.size, fileHash });
+  
+  // 清理会话中的元数据
+  await storage.removePrefix(sessionKey(taskInfo.uploadId));
+  
+  return {
+    fileName,
+    versionId,
+    fileSize: data.size,
+    fileHash,
+    filePath: `/uploads/${encodeURIComponent(fileName)}`,
+    downloadUrl: downloadUrl(fileName)
+  };
+}
+
+// 辅助函数：把新保存的内容登记为文件的当前版本，并删除超出保留数量的旧版本
+// 启用了处理钩子时，新版本进入处理队列
+async function addFileVersion(taskInfo, fileName, { versionId, objectName, fileSize, fileHash }) {
+  const version = {
+    versionId,
+    objectName,
+    fileSize,
+    fileHash,
+    uploader: taskInfo.uploader || null,
+    uploadTime: Date.now(),
+    contentType: taskInfo.contentType || null
+  };
+  if (taskInfo.encryption) {
+    version.encryption = taskInfo.encryption;
+  }
+  if (postProcessing.enabled) {
+    version.processing = postProcessing.createState();
+  }
+  const pruned = catalog.addVersion(taskInfo.owner, fileName, version);
+  await removeVersionObjects(taskInfo.owner, pruned);
+  if (version.processing) {
+    postProcessing.enqueue(taskInfo.owner, versionId);
+  }
+}
+
+// 辅助函数：下载地址，省略版本ID时下载当前版本
+function downloadUrl(fileName, versionId) {
+  const url = `/api/download/${encodeURIComponent(fileName)}`;
+  return versionId ? `${url}?versionId=${encodeURIComponent(versionId)}` : url;
+}
+
+// 辅助函数：dedup模式下保存文件——分片移入分片存储，文件保存为分片清单，不再合并出完整文件
+async function finalizeDedupUpload(taskInfo, fileName, onProgress) {
+  const dedupChunks = taskInfo.dedupChunks || [];
+  const sessionObjects = await listSessionObjects(taskInfo.uploadId);
+  
+  // 每个分片的来源：本次上传的分片，或者分片存储中已有的分片
+  const sources = [];
+  const missingFiles = [];
+  for (let i = 0; i < taskInfo.chunkCount; i++) {
+    const sessionChunk = sessionObjects.get(`chunk-${i}`);
+    const chunkInfo = getChunkInfo(taskInfo, i);
+    
+    if (sessionChunk) {
+      sources.push({
+        index: i,
+        key: sessionChunk.key,
+        hash: await readChunkHash(taskInfo.uploadId, i, sessionObjects),
+        size: sessionChunk.size,
+        reused: false
+      });
+      continue;
+    }
+    
+    const storedChunk = dedupChunks.includes(i) && chunkInfo && chunkStore.has(chunkInfo.hash)
+      ? await storage.stat(chunkKey(chunkInfo.hash))
+      : null;
+    if (storedChunk) {
+      sources.push({
+        index: i,
+        key: chunkKey(chunkInfo.hash),
+        hash: chunkInfo.hash,
+        size: storedChunk.size,
+        reused: true
+      });
+    } else {
+      missingFiles.push(i);
+    }
+  }
+  
+  if (missingFiles.length > 0) {
+    throwMissingDedupChunks(taskInfo, missingFiles);
+  }
+  
+  await checkUploadContent(taskInfo, sources);
+  
+  // 按顺序读取全部分片计算整文件摘要
+  const hash = crypto.createHash('md5');
+  let fileSize = 0;
+  for (const source of sources) {
+    for await (const data of storage.createReadStream(source.key)) {
+      hash.update(data);
+      fileSize += data.length;
+      onProgress({ mergedBytes: fileSize, currentChunk: source.index });
+    }
+  }
+  const fileHash = hash.digest('hex');
+  onProgress({ phase: 'verifying' });
+  
+  if (taskInfo.fileHash && taskInfo.fileHash !== fileHash) {
+    throw new UploadError(422, ERROR_CODES.FILE_HASH_MISMATCH, '合并后的文件摘要与上传前计算的不一致，文件可能已损坏', {
+      expected: taskInfo.fileHash,
+      actual: fileHash
+    });
+  }
+  
+  // 为每个分片取得引用，新分片移入分片存储；引用由稍后保存的清单持有
+  onProgress({ phase: 'saving' });
+  let reusedChunks = 0;
+  let reusedBytes = 0;
+  const acquired = [];
+  try {
+    for (const source of sources) {
+      let isNew = false;
+      if (source.reused) {
+        // 引用的分片可能在读取之后随其他文件一起被删除
+        if (!chunkStore.acquire(source.hash)) {
+          missingFiles.push(source.index);
+          continue;
+        }
+      } else {
+        isNew = await chunkStore.put(source.hash, source.size, source.key);
+      }
+      acquired.push(source.hash);
+      if (!isNew) {
+        reusedChunks++;
+        reusedBytes += source.size;
+      }
+    }
+    
+    if (missingFiles.length > 0) {
+      throwMissingDedupChunks(taskInfo, missingFiles);
+    }
+  } catch (error) {
+    for (const hash of acquired) {
+      await chunkStore.release(hash);
+    }
+    throw error;
+  }
+  
+  // 每个版本保存为独立的分片清单，同名文件不会被覆盖
+  const versionId = uuidv4();
+  const objectName = versionObjectName(fileName, versionId);
+  const chunks = sources.map(source => ({ hash: source.hash, size: source.size }));
+  await chunkStore.saveManifest(storedName(taskInfo.owner, objectName), { fileHash, fileSize, chunks });
+  await addFileVersion(taskInfo, fileName, { versionId, objectName, fileSize, fileHash });
+  
+  await storage.removePrefix(sessionKey(taskInfo.uploadId));
+  
+  logger.debug('文件已按分片清单保存', {
+    uploadId: taskInfo.uploadId,
+    fileName,
+    versionId,
+    chunks: chunks.length,
+    reusedChunks,
+    reusedBytes
+  });
+  
+  return {
+    fileName,
+    versionId,
+    fileSize,
+    fileHash,
+    filePath: `/uploads/${encodeURIComponent(fileName)}`,
+    downloadUrl: downloadUrl(fileName),
+    dedup: {
+      chunks: chunks.length,
+      reusedChunks,
+      reusedBytes
+    }
+  };
+}
+
+// 辅助函数：dedup模式下引用的分片已不存在，需要客户端重新上传这些分片
+function throwMissingDedupChunks(taskInfo, missingFiles) {
+  taskInfo.uploadedChunks = taskInfo.uploadedChunks.filter(index => !missingFiles.includes(index));
+  taskInfo.dedupChunks = (taskInfo.dedupChunks || []).filter(index => !missingFiles.includes(index));
+  uploadTasks.save(taskInfo.uploadId);
+  throw new UploadError(400, 400, '部分分片文件丢失，无法合并', { missingFiles });
+}
+
+// 辅助函数：分片的MD5摘要，原生接口上传时已保存在 chunk-N.hash 中，其他协议需要重新计算
+async function readChunkHash(uploadId, chunkIndex, sessionObjects) {
+  if (sessionObjects.has(`chunk-${chunkIndex}.hash`)) {
+    const data = await storage.read(sessionKey(uploadId, `chunk-${chunkIndex}.hash`));
+    return data.toString('utf8').trim();
+  }
+  return hashObject(storage, sessionKey(uploadId, `chunk-${chunkIndex}`));
+}
+
+// 辅助函数：客户端初始化时提供的分片信息
+function getChunkInfo(taskInfo, chunkIndex) {
+  return (taskInfo.chunksInfo || []).find(c => c && String(c.index) === String(chunkIndex)) || null;
+}
+
+// 辅助函数：dedup模式下分片存储中已有、无需上传的分片索引
+// 只匹配该用户自己的文件引用的分片，避免通过分片摘要探测其他用户的文件内容
+function getDedupChunks(taskInfo) {
+  const ownedChunks = new Set();
+  const prefix = storedName(taskInfo.owner, '');
+  chunkStore.manifests.forEach((manifest, name) => {
+    if (name.startsWith(prefix)) {
+      manifest.chunks.forEach(({ hash }) => ownedChunks.add(hash));
+    }
+  });
+  
+  const dedupChunks = [];
+  for (let i = 0; i < taskInfo.chunkCount; i++) {
+    const chunkInfo = getChunkInfo(taskInfo, i);
+    if (chunkInfo && typeof chunkInfo.hash === 'string' && FILE_HASH_PATTERN.test(chunkInfo.hash) &&
+        ownedChunks.has(chunkInfo.hash) && chunkStore.has(chunkInfo.hash)) {
+      dedupChunks.push(i);
+    }
+  }
+  return dedupChunks;
+}
+
+// 辅助函数：对象在存储中的名称，每个用户的文件保存在以用户ID命名的空间中
+function storedName(owner, objectName) {
+  return `${owner}/${objectName}`;
+}
+
+// 辅助函数：新版本的对象名，保存在以文件名为路径的目录中（<文件名>/<版本ID>），文件夹中的文件在存储中保留原来的目录结构
+// 文件名已经过 normalizeFileName 校验，不含 ..、. 和空段，不会跳出用户的空间
+function versionObjectName(fileName, versionId) {
+  return `${fileName}/${versionId}`;
+}
+
+// 辅助函数：版本在存储中的大小和修改时间，兼容完整文件和dedup模式的分片清单，不存在时返回null
+async function statVersionObject(owner, version) {
+  const name = storedName(owner, version.objectName);
+  const manifest = chunkStore && chunkStore.getManifest(name);
+  if (manifest) {
+    return { size: manifest.fileSize, mtimeMs: manifest.createdAt };
+  }
+  return storage.stat(objectKey(name));
+}
+
+// 辅助函数：已保存文件的大小、修改时间和版本信息，省略版本ID时为当前版本，不存在时返回null
+async function statStoredFile(owner, fileName, versionId) {
+  const version = catalog.getVersion(owner, fileName, versionId);
+  const stats = version && await statVersionObject(owner, version);
+  return stats ? { ...stats, version } : null;
+}
+
+// 辅助函数：列出用户已保存文件的文件名
+async function listStoredFiles(owner) {
+  return catalog.list(owner).map(entry => entry.name);
+}
+
+// 辅助函数：读取已保存版本的指定字节区间（end包含在内）
+function createStoredFileStream(owner, version, start, end) {
+  const name = storedName(owner, version.objectName);
+  if (chunkStore && chunkStore.getManifest(name)) {
+    return chunkStore.createReadStream(name, start, end);
+  }
+  return storage.createReadStream(objectKey(name), start, end);
+}
+
+// 辅助函数：删除版本在存储中的对象（dedup模式下为分片清单）
+async function removeVersionObjects(owner, versions) {
+  for (const version of versions) {
+    const name = storedName(owner, version.objectName);
+    if (!(chunkStore && await chunkStore.removeManifest(name))) {
+      await storage.remove(objectKey(name));
+    }
+  }
+}
+
+// 辅助函数：删除文件的全部版本，返回释放的空间
+async function removeStoredFile(owner, fileName) {
+  // 先从文件目录中删除，避免删除文件的过程中仍有请求命中秒传
+  const versions = catalog.remove(owner, fileName);
+  await removeVersionObjects(owner, versions);
+  return versions.reduce((sum, version) => sum + version.fileSize, 0);
+}
+
+// 辅助函数：删除文件的一个版本，删除最后一个版本时文件也被删除，版本不存在时返回null
+async function removeFileVersion(owner, fileName, versionId) {
+  const version = catalog.removeVersion(owner, fileName, versionId);
+  if (version) {
+    await removeVersionObjects(owner, [version]);
+  }
+  return version;
+}
+
+// 辅助函数：重命名文件，只修改文件目录，调用方需要保证目标文件名不存在
+async function renameStoredFile(owner, fileName, newFileName) {
+  catalog.rename(owner, fileName, newFileName);
+}
+
+// 辅助函数：设置文件保留的版本数（null 为默认值），删除超出的旧版本，返回被删除的版本
+async function setKeepVersions(owner, fileName, keepVersions) {
+  const pruned = catalog.setKeepVersions(owner, fileName, keepVersions);
+  await removeVersionObjects(owner, pruned);
+  return pruned;
+}
+
+// 辅助函数：把文件的一个历史版本复制为新的当前版本，历史版本本身保留
+// 复制会占用新的空间，因此和上传一样检查配额；dedup模式下新清单引用相同的分片，不复制数据
+async function restoreFileVersion(user, fileName, versionId) {
+  const owner = user.id;
+  const source = catalog.getVersion(owner, fileName, versionId);
+  // 复制的版本沿用源版本的处理结果，处于隔离状态的版本不能恢复
+  checkNotQuarantined(source);
+  await checkUploadQuota(owner, fileName, source.fileSize);
+  
+  const newVersionId = uuidv4();
+  const objectName = versionObjectName(fileName, newVersionId);
+  const sourceName = storedName(owner, source.objectName);
+  const targetName = storedName(owner, objectName);
+  const manifest = chunkStore && chunkStore.getManifest(sourceName);
+  if (manifest) {
+    manifest.chunks.forEach(({ hash }) => chunkStore.acquire(hash));
+    await chunkStore.saveManifest(targetName, {
+      fileHash: manifest.fileHash,
+      fileSize: manifest.fileSize,
+      chunks: manifest.chunks.slice()
+    });
+  } else {
+    await storage.copy(objectKey(sourceName), objectKey(targetName));
+  }
+  
+  const version = {
+    ...source,
+    versionId: newVersionId,
+    objectName,
+    uploader: owner,
+    uploadTime: Date.now(),
+    restoredFrom: versionId
+  };
+  if (source.processing) {
+    version.processing = structuredClone(source.processing);
+  }
+  const pruned = catalog.addVersion(owner, fileName, version);
+  await removeVersionObjects(owner, pruned);
+  // 源版本的非阻塞钩子尚未执行完时，新版本继续执行
+  if (version.processing && ['pending', 'running'].includes(version.processing.status)) {
+    postProcessing.enqueue(owner, newVersionId);
+  }
+  
+  logger.info('已恢复文件版本', { owner, fileName, from: versionId, versionId: newVersionId });
+  return version;
+}
+
+// 辅助函数：版本处于隔离状态（检查中、被拒绝或检查失败）时抛出错误
+function checkNotQuarantined(version) {
+  if (!PostProcessing.isQuarantined(version)) {
+    return;
+  }
+  const { status, processing } = PostProcessing.describe(version);
+  if (status === 'rejected') {
+    throw new UploadError(423, ERROR_CODES.FILE_REJECTED, '文件未通过安全检查，不能使用', { processing });
+  }
+  throw new UploadError(423, ERROR_CODES.FILE_QUARANTINED, '文件正在检查中，暂时不能使用', { processing });
+}
+
+// 辅助函数：查询已保存文件当前版本的内容摘要
+function getFileHash(owner, fileName) {
+  const version = catalog.getVersion(owner, fileName);
+  return version ? version.fileHash : null;
+}
+
+// 辅助函数：解析上传请求中的文件名和大小
+function parseUploadRequest(body) {
+  const fileName = normalizeFileName(body && body.fileName);
+  const fileSize = Number(body && body.fileSize);
+  
+  if (!Number.isInteger(fileSize) || fileSize < 0) {
+    throw new UploadError(400, 400, '文件大小不合法');
+  }
+  
+  return {
+    fileName,
+    fileSize,
+    chunkSize: Number(body.chunkSize),
+    chunkCount: Number(body.chunkCount)
+  };
+}
+
+// 辅助函数：检查文件大小和扩展名，客户端提供了文件开头的数据（fileHead）时同时检查内容类型
+// 客户端声明的数据只用于提前拒绝，收到实际数据后还会再检查一次
+function checkUploadFile(body, fileName, fileSize) {
+  policy.checkFile(fileName, fileSize);
+  if (typeof body.fileHead === 'string' && policy.checksContent()) {
+    policy.checkContent(Buffer.from(body.fileHead, 'base64').subarray(0, HEAD_SIZE));
+  }
+}
+
+// 辅助函数：校验端到端加密上传的加密清单，清单的内容由客户端加密，服务端只检查格式和大小
+function parseEncryptionManifest(encryption) {
+  if (encryption === undefined || encryption === null) {
+    return null;
+  }
+  if (typeof encryption !== 'object' || Array.isArray(encryption) ||
+      typeof encryption.format !== 'string' || typeof encryption.ciphertext !== 'string') {
+    throw new UploadError(400, 400, '加密清单格式错误');
+  }
+  if (Buffer.byteLength(JSON.stringify(encryption)) > MAX_ENCRYPTION_MANIFEST_SIZE) {
+    throw new UploadError(400, 400, `加密清单过大，最大 ${MAX_ENCRYPTION_MANIFEST_SIZE} 字节`);
+  }
+  return encryption;
+}
+
+// 辅助函数：检查配额，同名文件的版本超出保留数量时会删除最旧的版本，扣除这些版本的大小
+async function checkUploadQuota(owner, fileName, fileSize, uploadId) {
+  const pruned = catalog.getPrunable(owner, fileName);
+  await policy.checkQuota(owner, fileSize - pruned.reduce((sum, version) => sum + version.fileSize, 0), uploadId);
+}
+
+// 辅助函数：检查文件名、文件大小、扩展名和配额，供tus和S3接口创建会话时使用
+async function checkUploadPolicy(owner, fileName, fileSize, uploadId) {
+  fileName = normalizeFileName(fileName);
+  policy.checkFile(fileName, fileSize);
+  await checkUploadQuota(owner, fileName, fileSize, uploadId);
+}
+
+// 辅助函数：统计已保存文件占用的空间，dedup模式下用户按文件的逻辑大小计算，全局按分片存储的实际占用计算
+async function getStoredUsage() {
+  const byOwner = new Map();
+  let total = 0;
+  const add = (owner, size) => byOwner.set(owner, (byOwner.get(owner) || 0) + size);
+  
+  for (const item of await storage.list(UPLOADS_PREFIX)) {
+    add(item.key.slice(UPLOADS_PREFIX.length).split('/')[0], item.size);
+    total += item.size;
+  }
+  
+  if (chunkStore) {
+    chunkStore.manifests.forEach((manifest, name) => add(name.split('/')[0], manifest.fileSize));
+    total += chunkStore.getStats().storedBytes;
+  }
+  
+  return { total, byOwner };
+}
+
+// 辅助函数：读取本地文件开头用于识别内容类型的数据
+async function readFileHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// 辅助函数：按顺序从存储后端的分片中读取文件开头用于识别内容类型的数据
+async function readStoredHead(sources) {
+  const buffers = [];
+  let length = 0;
+  
+  for (const { key, size } of sources) {
+    if (length >= HEAD_SIZE) break;
+    if (size === 0) continue;
+    for await (const data of storage.createReadStream(key, 0, Math.min(size, HEAD_SIZE - length) - 1)) {
+      buffers.push(data);
+      length += data.length;
+    }
+  }
+  
+  return Buffer.concat(buffers).subarray(0, HEAD_SIZE);
+}
+
+// 辅助函数：检查上传内容的类型，不允许的类型会删除整个会话；识别结果记录在会话中，只检查一次
+async function applyContentPolicy(taskInfo, head) {
+  try {
+    taskInfo.contentType = policy.checkContent(head);
+  } catch (error) {
+    if (error instanceof UploadError) {
+      logger.warn('上传内容不符合策略，删除会话', { uploadId: taskInfo.uploadId, err: error, data: error.data });
+      await sweeper.removeSession(taskInfo.uploadId);
+      if (preallocated) {
+        preallocated.forget(taskInfo.uploadId);
+      }
+    }
+    throw error;
+  }
+}
+
+// 辅助函数：文件开头的数据写入存储后端之前检查内容类型
+// 数据不足以识别（分片比识别需要的字节少且不是整个文件）时跳过，留到合并前检查
+async function inspectUploadHead(taskInfo, filePath) {
+  if (taskInfo.contentType || !policy.checksContent()) return;
+  
+  const head = await readFileHead(filePath);
+  if (head.length < HEAD_SIZE && head.length < taskInfo.fileSize) return;
+  
+  await applyContentPolicy(taskInfo, head);
+}
+
+// 辅助函数：合并前检查还没有识别过内容类型的上传（例如S3接口的上传、分片很小的tus上传）
+async function checkUploadContent(taskInfo, sources) {
+  if (taskInfo.contentType || !policy.checksContent()) return;
+  await applyContentPolicy(taskInfo, await readStoredHead(sources));
+}
+
+// 辅助函数：删除分片请求收到的暂存文件，直接写入目标文件的分片没有暂存文件
+function removeReceivedChunk(file) {
+  if (!file.preallocated) {
+    fs.rmSync(file.path, { force: true });
+  }
+}
+
+// 辅助函数：multer处理文件之前确定表单中的分片所在的区间（自适应分片同时登记区间）
+// 需要表单中的 uploadId、chunkIndex（以及 chunkOffset、chunkSize）在文件之前；无法确定时返回null，由路由处理
+function resolveFormChunk(req) {
+  const { uploadId, chunkIndex, chunkOffset, chunkSize } = req.body || {};
+  const taskInfo = uploadId ? getOwnTask(req, uploadId) : null;
+  if (!taskInfo || chunkIndex === undefined) {
+    return null;
+  }
+  try {
+    return {
+      taskInfo,
+      chunkIndexNum: Number(chunkIndex),
+      range: resolveRequestChunkRange(taskInfo, chunkIndex, chunkOffset, chunkSize)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// 辅助函数：预分配写入时，multer处理文件之前确定分片直接写入的位置
+// 不属于预分配上传或参数不合法时返回null，按普通分片处理
+function resolvePreallocatedChunk(req) {
+  const chunk = resolveFormChunk(req);
+  // 合并过程中不直接写入目标文件，按普通分片暂存后由 acceptChunk 拒绝
+  if (!chunk || !chunk.taskInfo.preallocated || mergeJobs.findRunning(chunk.taskInfo.uploadId)) {
+    return null;
+  }
+  return getPreallocatedTarget(chunk.taskInfo, chunk.chunkIndexNum);
+}
+
+// 辅助函数：分片直接写入目标文件时的参数，第一个分片在写入前检查内容类型
+function getPreallocatedTarget(taskInfo, chunkIndexNum) {
+  // 第一个分片在写入前检查内容类型，分片比识别需要的字节少时留到完成上传前检查
+  const inspect = chunkIndexNum === 0 && !taskInfo.contentType && policy.checksContent() &&
+    getExpectedChunkSize(taskInfo, 0) >= Math.min(HEAD_SIZE, taskInfo.fileSize);
+  
+  return {
+    taskInfo,
+    chunkIndex: chunkIndexNum,
+    inspectHead: inspect ? head => applyContentPolicy(taskInfo, head) : null
+  };
+}
+
+// 辅助函数：multer处理文件之前确定是否需要解压，解压后的大小不超过分片的预期大小
+// 需要表单中的 chunkEncoding、uploadId、chunkIndex 在文件之前；还不能确定时返回null，由接口在校验前解压
+function resolveChunkEncoding(req) {
+  const encoding = parseChunkEncoding((req.body || {}).chunkEncoding);
+  const chunk = encoding ? resolveFormChunk(req) : null;
+  if (!chunk) {
+    return null;
+  }
+  return { encoding, limit: chunk.range.size };
+}
+
+// 辅助函数：解压以压缩形式写入暂存文件的分片，返回解压后的暂存文件，原来的文件被删除
+// 分片序号不合法时不解压，由 acceptChunk 拒绝
+async function decodeSpooledChunk(taskInfo, chunkIndex, file, encoding) {
+  const expectedSize = getExpectedChunkSize(taskInfo, Number(chunkIndex));
+  if (expectedSize === null || file.preallocated) {
+    return file;
+  }
+  
+  const stats = {};
+  const decodedPath = `${file.path}.decoded`;
+  try {
+    const source = fs.createReadStream(file.path);
+    const result = await writeHashedFile(decodeChunkStream(source, encoding, expectedSize, stats), decodedPath, expectedSize);
+    fs.rmSync(file.path, { force: true });
+    return { path: decodedPath, ...result, contentEncoding: encoding, encodedSize: stats.encodedSize };
+  } catch (error) {
+    fs.rmSync(decodedPath, { force: true });
+    throw error;
+  }
+}
+
+// 辅助函数：当前用户的上传会话，不存在或属于其他用户时返回null
+function getOwnTask(req, uploadId) {
+  const taskInfo = uploadTasks.get(uploadId);
+  return taskInfo && taskInfo.owner === req.user.id ? taskInfo : null;
+}
+
+// 辅助函数：获取缺失的分片索引
+function getMissingChunks(uploadedChunks, totalChunks) {
+  const missing = [];
+  for (let i = 0; i < totalChunks; i++) {
+    if (!uploadedChunks.includes(i)) {
+      missing.push(i);
+    }
+  }
+  return missing;
+}
+
+// 辅助函数：把任务元数据写入会话，用于重启后重建会话
+async function writeTaskMeta(taskInfo) {
+  const { uploadedChunks, ...meta } = taskInfo;
+  await storage.put(sessionKey(taskInfo.uploadId, 'meta.json'), Buffer.from(JSON.stringify(meta)));
+}
+
+// 辅助函数：列出会话中的所有对象，返回 名称 -> { key, size, mtimeMs }
+async function listSessionObjects(uploadId) {
+  const prefix = sessionKey(uploadId);
+  const objects = new Map();
+  (await storage.list(prefix)).forEach(item => {
+    objects.set(item.key.slice(prefix.length), item);
+  });
+  return objects;
+}
+
+// 辅助函数：从会话对象中找出已保存的分片索引
+function getChunkIndexes(sessionObjects) {
+  const chunks = [];
+  sessionObjects.forEach((item, name) => {
+    const match = /^chunk-(\d+)$/.exec(name);
+    if (match) {
+      chunks.push(Number(match[1]));
+    }
+  });
+  return chunks.sort((a, b) => a - b);
+}
+
+// 辅助函数：读取会话中实际存在的分片索引
+async function scanUploadedChunks(uploadId) {
+  return getChunkIndexes(await listSessionObjects(uploadId));
+}
+
+// 辅助函数：启动时从存储后端中的会话数据重建上传会话
+async function recoverUploadTasks() {
+  const recovered = [];
+  
+  // 按上传ID分组
+  const sessions = new Map();
+  (await storage.list(SESSIONS_PREFIX)).forEach(item => {
+    const [uploadId, ...rest] = item.key.slice(SESSIONS_PREFIX.length).split('/');
+    if (!sessions.has(uploadId)) {
+      sessions.set(uploadId, new Map());
+    }
+    sessions.get(uploadId).set(rest.join('/'), item);
+  });
+  
+  for (const [uploadId, sessionObjects] of sessions) {
+    // 本地后端的暂存目录位于临时目录下，不是上传会话
+    if (uploadId === 'pending') continue;
+    
+    let taskInfo = uploadTasks.get(uploadId);
+    
+    // 持久化数据中没有记录时，尝试从会话中的元数据恢复
+    if (!taskInfo) {
+      if (!sessionObjects.has('meta.json')) {
+        logger.warn('会话缺少元数据，无法恢复会话', { uploadId });
+        continue;
+      }
+      try {
+        taskInfo = JSON.parse((await storage.read(sessionKey(uploadId, 'meta.json'))).toString('utf8'));
+      } catch (error) {
+        logger.warn('会话元数据损坏，无法恢复会话', { uploadId, err: error });
+        continue;
+      }
+    }
+    
+    // 启用认证之前创建的会话归属于 LEGACY_OWNER
+    taskInfo.owner = taskInfo.owner || LEGACY_OWNER;
+    
+    // 预分配写入的会话只有目标文件，已写入的分片以持久化的记录为准（只有元数据时需要重新上传全部分片）
+    if (taskInfo.preallocated) {
+      if (!sessionObjects.has('data')) {
+        logger.warn('会话的目标文件已不存在，无法恢复会话', { uploadId });
+        continue;
+      }
+      taskInfo.uploadedChunks = taskInfo.uploadedChunks || [];
+      uploadTasks.set(uploadId, taskInfo);
+      recovered.push(uploadId);
+      continue;
+    }
+    
+    // 以实际存在的分片为准，dedup模式下直接引用分片存储的分片不在会话中
+    const dedupChunks = taskInfo.dedupChunks || [];
+    taskInfo.uploadedChunks = Array.from(new Set(getChunkIndexes(sessionObjects).concat(dedupChunks)))
+      .sort((a, b) => a - b);
+    
+    // 自适应分片只保留区间已知且大小一致的分片
+    if (isAdaptive(taskInfo)) {
+      const storedSizes = new Map(taskInfo.uploadedChunks.map(chunkIndex => {
+        return [chunkIndex, sessionObjects.get(`chunk-${chunkIndex}`).size];
+      }));
+      taskInfo.uploadedChunks = recoverChunkRanges(taskInfo, storedSizes);
+    }
+    
+    // tus会话按字节偏移续传，偏移量等于已保存分片的总大小
+    if (taskInfo.protocol === 'tus') {
+      taskInfo.offset = taskInfo.uploadedChunks.reduce((sum, chunkIndex) => {
+        return sum + sessionObjects.get(`chunk-${chunkIndex}`).size;
+      }, 0);
+    }
+    
+    uploadTasks.set(uploadId, taskInfo);
+    recovered.push(uploadId);
+  }
+  
+  // 会话数据已不存在的会话无法继续，直接移除（已完成的会话本来就没有会话数据）
+  Array.from(uploadTasks.entries()).forEach(([uploadId, taskInfo]) => {
+    if (!recovered.includes(uploadId) && !taskInfo.completedAt) {
+      logger.warn('会话的分片数据已不存在，移除会话', { uploadId });
+      uploadTasks.delete(uploadId);
+    }
+  });
+  
+  logger.info(`已恢复 ${recovered.length} 个上传会话`, { recovered: recovered.length });
+}
+
+// 辅助函数：启用认证之前的文件直接保存在 uploads/ 下，迁移到 LEGACY_OWNER 的空间中
+async function migrateLegacyFiles() {
+  let migrated = 0;
+  
+  for (const item of await storage.list(UPLOADS_PREFIX)) {
+    const fileName = item.key.slice(UPLOADS_PREFIX.length);
+    if (!fileName.includes('/')) {
+      await storage.rename(item.key, objectKey(storedName(LEGACY_OWNER, fileName)));
+      migrated++;
+    }
+  }
+  
+  if (chunkStore) {
+    Array.from(chunkStore.manifests.keys()).filter(name => !name.includes('/')).forEach(fileName => {
+      chunkStore.renameManifest(fileName, storedName(LEGACY_OWNER, fileName));
+      migrated++;
+    });
+  }
+  
+  if (migrated > 0) {
+    logger.info(`已将 ${migrated} 个启用认证之前上传的文件迁移到用户 ${LEGACY_OWNER} 的空间`, { migrated, owner: LEGACY_OWNER });
+  }
+}
+
+// 辅助函数：列出存储中所有用户的对象，返回 <用户ID>/<对象名> -> { size, mtimeMs, fileHash }
+// 对象名为版本ID（之前版本保存的对象）或 <文件名>/<版本ID>
+async function listStoredObjects() {
+  const objects = new Map();
+  (await storage.list(UPLOADS_PREFIX)).forEach(item => {
+    const name = item.key.slice(UPLOADS_PREFIX.length);
+    if (name.includes('/')) {
+      objects.set(name, { size: item.size, mtimeMs: item.mtimeMs, fileHash: null });
+    }
+  });
+  if (chunkStore) {
+    chunkStore.manifests.forEach((manifest, name) => {
+      objects.set(name, { size: manifest.fileSize, mtimeMs: manifest.createdAt, fileHash: manifest.fileHash });
     });
+  }
+  return objects;
+}
+
+// 辅助函数：读取旧版本的秒传索引（<用户ID>/<内容摘要> -> 文件信息），用于找回文件的原始文件名和上传者
+// 旧版本把文件名转换为安全文件名后直接作为对象名，启用认证之前的索引没有记录所属用户
+function readLegacyHashIndex() {
+  const legacyIndex = new PersistentMap(DATA_DIR, 'file-hashes');
+  const files = Array.from(legacyIndex.entries()).map(([key, fileInfo]) => ({
+    ...fileInfo,
+    owner: fileInfo.owner || LEGACY_OWNER,
+    fileHash: fileInfo.fileHash || (FILE_HASH_PATTERN.test(key) ? key : null)
+  }));
+  return { files, paths: [legacyIndex.snapshotPath, legacyIndex.journalPath] };
+}
+
+// 辅助函数：启动时按存储中的实际数据校正文件目录
+// 移除对象已不存在的版本，并把目录中没有记录的对象（之前版本保存的文件、数据目录丢失后残留的文件）登记为文件
+async function reconcileFileCatalog() {
+  const storedObjects = await listStoredObjects();
+  const referenced = new Set();
+  
+  for (const entry of catalog.list()) {
+    for (const version of entry.versions.slice()) {
+      const name = storedName(entry.owner, version.objectName);
+      if (storedObjects.has(name)) {
+        referenced.add(name);
+      } else {
+        logger.warn('文件版本在存储中已不存在，移除版本', { owner: entry.owner, fileName: entry.name, versionId: version.versionId });
+        catalog.removeVersion(entry.owner, entry.name, version.versionId);
+      }
+    }
+  }
+  
+  const legacyIndex = readLegacyHashIndex();
+  let adopted = 0;
+  
+  for (const [name, stats] of storedObjects) {
+    if (referenced.has(name)) continue;
     
-    console.log('所有分片合并完成');
-  } catch (error) {
-    // 确保写入流关闭
-    writeStream.end();
+    const owner = name.slice(0, name.indexOf('/'));
+    const objectName = name.slice(owner.length + 1);
+    const fileInfo = legacyIndex.files.find(info => info.owner === owner && info.fileName === objectName) || {};
     
-    // 如果发生错误，删除已部分合并的文件
-    if (fs.existsSync(targetPath)) {
-      fs.unlinkSync(targetPath);
+    // 优先使用旧索引中记录的原始文件名，<文件名>/<版本ID> 形式的对象按路径找回文件名
+    const separator = objectName.lastIndexOf('/');
+    const pathName = separator > 0 && uuidValidate(objectName.slice(separator + 1)) ? objectName.slice(0, separator) : objectName;
+    let fileName = null;
+    for (const candidate of [fileInfo.originalName, pathName]) {
+      try {
+        fileName = normalizeFileName(candidate);
+        break;
+      } catch (error) {
+        // 尝试下一个候选的文件名
+      }
+    }
+    if (!fileName) {
+      logger.warn('对象名不能作为文件名使用，跳过', { objectName: name });
+      continue;
     }
     
-    throw error;
+    const pruned = catalog.addVersion(owner, fileName, {
+      versionId: uuidv4(),
+      objectName,
+      fileSize: stats.size,
+      fileHash: stats.fileHash || fileInfo.fileHash || null,
+      uploader: fileInfo.uploader || null,
+      uploadTime: fileInfo.uploadTime || Math.floor(stats.mtimeMs),
+      contentType: null
+    });
+    await removeVersionObjects(owner, pruned);
+    adopted++;
+  }
+  
+  // 旧索引中的信息已全部登记到文件目录
+  legacyIndex.paths.forEach(filePath => fs.rmSync(filePath, { force: true }));
+  
+  if (adopted > 0) {
+    logger.info(`已将 ${adopted} 个没有记录的文件登记到文件目录`, { adopted });
+  }
+  logger.info(`文件目录共 ${catalog.list().length} 个文件`, { files: catalog.list().length });
+}
+
+// 辅助函数：为缺少内容摘要的版本计算摘要，用于秒传和ETag，在后台执行
+async function hashUnindexedVersions() {
+  for (const entry of catalog.list()) {
+    for (const version of entry.versions.filter(item => !item.fileHash)) {
+      try {
+        const fileHash = await hashObject(storage, objectKey(storedName(entry.owner, version.objectName)));
+        catalog.updateVersion(entry.owner, entry.name, version.versionId, { fileHash });
+        logger.info('已为文件计算内容摘要', { owner: entry.owner, fileName: entry.name, fileHash });
+      } catch (error) {
+        logger.error('计算文件摘要失败', { owner: entry.owner, fileName: entry.name, err: error });
+      }
+    }
   }
 }
 
 // 获取上传状态
 app.get('/api/upload/status/:uploadId', (req, res) => {
   const { uploadId } = req.params;
-  const taskInfo = uploadTasks.get(uploadId);
+  const taskInfo = getOwnTask(req, uploadId);
   
   if (!taskInfo) {
     return res.status(404).json({
@@ -520,15 +2259,297 @@ app.get('/api/upload/status/:uploadId', (req, res) => {
       fileSize: taskInfo.fileSize,
       chunkSize: taskInfo.chunkSize,
       chunkCount: taskInfo.chunkCount,
+      chunkSizing: isAdaptive(taskInfo) ? CHUNK_SIZING_ADAPTIVE : 'fixed',
+      // 自适应分片登记的区间 [偏移量, 大小]，按分片序号排列，客户端继续上传时据此恢复切分方式
+      chunkRanges: isAdaptive(taskInfo) ? taskInfo.chunkRanges || [] : undefined,
       uploadedChunks: taskInfo.uploadedChunks,
-      progress: (taskInfo.uploadedChunks.length / taskInfo.chunkCount) * 100
+      progress: taskInfo.fileSize ? (getUploadedBytes(taskInfo) / taskInfo.fileSize) * 100 : 0,
+      expiresAt: UploadSweeper.getLastActivity(taskInfo) + SESSION_TTL
+    }
+  });
+});
+
+// 下载已合并的文件，支持Range断点续传和条件请求，查询参数 versionId 指定下载的历史版本
+// /uploads/:fileName 与合并接口返回的 filePath 对应，/api/download/:fileName 便于通过开发服务器代理访问
+// 文件名只用于在文件目录中查找，不会拼接为存储路径
+app.get(['/api/download/:fileName', '/uploads/:fileName'], async (req, res) => {
+  const fileName = req.params.fileName.normalize('NFC');
+  const versionId = typeof req.query.versionId === 'string' ? req.query.versionId : undefined;
+  const owner = req.user.id;
+  
+  try {
+    // 查询存储后端出错时同样返回500
+    const stats = await statStoredFile(owner, fileName, versionId);
+    if (!stats) {
+      return res.status(404).json({
+        code: 404,
+        message: '文件不存在'
+      });
+    }
+    
+    const { version } = stats;
+    checkNotQuarantined(version);
+    await sendFile(req, res, {
+      fileName: path.posix.basename(fileName),
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      fileHash: version.fileHash,
+      lastModified: version.uploadTime,
+      createReadStream: (start, end) => createStoredFileStream(owner, version, start, end)
+    });
+  } catch (error) {
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({
+        code: error.code,
+        message: error.message,
+        data: error.data
+      });
+    }
+    req.log.error('下载文件出错', { err: error });
+    if (!res.headersSent) {
+      res.status(500).json({
+        code: 500,
+        message: '下载文件失败',
+        error: error.message
+      });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// 取消上传：删除会话和已上传的分片
+app.delete('/api/upload/:uploadId', async (req, res) => {
+  const { uploadId } = req.params;
+  
+  if (!getOwnTask(req, uploadId)) {
+    return res.status(404).json({
+      code: 404,
+      message: '上传任务不存在'
+    });
+  }
+  
+  if (mergeJobs.findRunning(uploadId)) {
+    return res.status(409).json({
+      code: 409,
+      message: '文件正在合并，无法取消上传'
+    });
+  }
+  
+  try {
+    const freedBytes = await sweeper.removeSession(uploadId);
+    if (preallocated) {
+      preallocated.forget(uploadId);
+    }
+    req.log.info('上传已取消', { uploadId, freedBytes });
+    uploadEvents.publish('session.cancelled', { owner: req.user.id, uploadId }, { freedBytes });
+    
+    res.json({
+      code: 0,
+      message: '上传已取消',
+      data: { uploadId, freedBytes }
+    });
+  } catch (error) {
+    req.log.error('取消上传出错', { err: error });
+    res.status(500).json({
+      code: 500,
+      message: '取消上传失败',
+      error: error.message
+    });
+  }
+});
+
+// 管理接口：查看清理统计
+app.get('/api/admin/gc', (req, res) => {
+  res.json({
+    code: 0,
+    message: '获取清理状态成功',
+    data: {
+      activeSessions: uploadTasks.size,
+      ...sweeper.getStats()
+    }
+  });
+});
+
+// 管理接口：立即执行一次清理
+app.post('/api/admin/gc', async (req, res) => {
+  try {
+    const result = await sweeper.sweep();
+    res.json({
+      code: 0,
+      message: '清理完成',
+      data: result
+    });
+  } catch (error) {
+    req.log.error('手动清理出错', { err: error });
+    res.status(500).json({
+      code: 500,
+      message: '清理失败',
+      error: error.message
+    });
+  }
+});
+
+// 管理接口：查看分片去重统计（去重率、节省的空间）
+app.get('/api/admin/dedup', (req, res) => {
+  res.json({
+    code: 0,
+    message: '获取去重统计成功',
+    data: {
+      storageMode: STORAGE_MODE,
+      ...(chunkStore ? chunkStore.getStats() : {})
+    }
+  });
+});
+
+// 管理接口：查看处理钩子的配置、队列和处于隔离状态的文件版本
+app.get('/api/admin/processing', (req, res) => {
+  const quarantined = [];
+  catalog.list().forEach(entry => {
+    entry.versions.filter(PostProcessing.isQuarantined).forEach(version => {
+      quarantined.push({
+        owner: entry.owner,
+        fileName: entry.name,
+        versionId: version.versionId,
+        fileSize: version.fileSize,
+        uploadTime: version.uploadTime,
+        ...PostProcessing.describe(version)
+      });
+    });
+  });
+  
+  res.json({
+    code: 0,
+    message: '获取处理状态成功',
+    data: {
+      ...postProcessing.getStats(),
+      quarantined
     }
   });
 });
 
-// 启动服务器
-app.listen(PORT, () => {
-  console.log(`服务器已启动，监听端口 ${PORT}`);
-  console.log(`上传目录: ${UPLOAD_DIR}`);
-  console.log(`临时目录: ${TEMP_DIR}`);
-}); 
\ No newline at end of file
+// 管理接口：重新执行版本未通过的处理钩子，例如扫描服务恢复或病毒库更新之后
+app.post('/api/admin/processing/retry', (req, res) => {
+  const { owner, versionId } = req.body || {};
+  const version = typeof owner === 'string' && typeof versionId === 'string'
+    ? postProcessing.retry(owner, versionId)
+    : null;
+  if (!version) {
+    return res.status(404).json({
+      code: 404,
+      message: '版本不存在、没有处理记录或正在处理'
+    });
+  }
+  
+  req.log.info('重新处理文件版本', { owner, versionId });
+  res.json({
+    code: 0,
+    message: '已重新加入处理队列',
+    data: { owner, versionId, ...PostProcessing.describe(version) }
+  });
+});
+
+// Prometheus 指标（文本格式），配置 METRICS_TOKEN 时需要 Authorization: Bearer <令牌>
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.get('Authorization') || '', `Bearer ${METRICS_TOKEN}`)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      code: 401,
+      message: '指标接口需要认证'
+    });
+  }
+  
+  try {
+    res.type(MetricsRegistry.CONTENT_TYPE).send(await metrics.render());
+  } catch (error) {
+    req.log.error('输出指标出错', { err: error });
+    res.status(500).json({
+      code: 500,
+      message: '输出指标失败',
+      error: error.message
+    });
+  }
+});
+
+// tus 1.0 协议接口，与原生接口共用存储后端、合并和秒传逻辑
+app.use('/api/tus', createTusRouter({
+  uploadTasks,
+  storage,
+  spoolDir: SPOOL_DIR,
+  finalizeUpload,
+  writeTaskMeta,
+  checkUploadPolicy,
+  inspectUploadHead,
+  onChunkReceived: countChunkReceived,
+  onChunkRejected: countChunkRejected,
+  maxSize: MAX_FILE_SIZE,
+  expiration: SESSION_TTL
+}));
+
+// S3兼容的分片上传接口（path-style，例如 http://localhost:3000/s3/backups/<key>）
+app.use(S3_PREFIX, createS3Router({
+  uploadTasks,
+  storage,
+  spoolDir: SPOOL_DIR,
+  finalizeUpload,
+  writeTaskMeta,
+  checkUploadPolicy,
+  getFileHash,
+  listStoredFiles,
+  statStoredFile,
+  onChunkReceived: countChunkReceived,
+  onChunkRejected: countChunkRejected,
+  bucket: S3_BUCKET,
+  credentials: S3_CREDENTIALS
+}));
+
+// 文件管理接口：列出、查询、重命名和删除已保存的文件，管理文件的历史版本
+app.use('/api/files', createFilesRouter({
+  catalog,
+  normalizeFileName,
+  statStoredFile,
+  removeStoredFile,
+  renameStoredFile,
+  setKeepVersions,
+  removeFileVersion,
+  restoreFileVersion,
+  describeProcessing: PostProcessing.describe
+}));
+
+// 启动服务器：先根据存储后端中的实际数据校正持久化数据，再开始接受请求
+(async () => {
+  await recoverUploadTasks();
+  await migrateLegacyFiles();
+  if (chunkStore) {
+    const removed = await chunkStore.removeUnreferenced();
+    if (removed > 0) {
+      logger.info(`已删除 ${removed} 个没有被引用的分片`, { removed });
+    }
+  }
+  await reconcileFileCatalog();
+  const resumed = postProcessing.resume();
+  if (resumed > 0) {
+    logger.info(`继续处理 ${resumed} 个未处理完的文件版本`, { resumed });
+  }
+  hashUnindexedVersions().catch(error => logger.error('计算文件摘要失败', { err: error }));
+  
+  // 定期清理过期会话和遗留的临时文件
+  sweeper.start(SWEEP_INTERVAL);
+  
+  app.listen(PORT, () => {
+    logger.info(`服务器已启动，监听端口 ${PORT}`, {
+      port: Number(PORT),
+      storageBackend: storage.name,
+      uploadDir: storage.name === 'local' ? UPLOAD_DIR : undefined,
+      tempDir: storage.name === 'local' ? TEMP_DIR : undefined,
+      dataDir: DATA_DIR,
+      storageMode: STORAGE_MODE,
+      writeMode: preallocated ? 'preallocate' : 'chunks',
+      chunkSizeLimits: describeChunkSizeLimits(),
+      postUploadHooks: postProcessing.hooks.map(hook => hook.name)
+    });
+  });
+})().catch(error => {
+  logger.error('服务器启动失败', { err: error });
+  process.exit(1);
+});
@@ -0,0 +1,230 @@
+/**
+ * 基于令牌的身份认证
+ *
+ * 支持两种令牌，均通过 Authorization: Bearer <令牌> 请求头传递：
+ * 1. API Key：在配置中列出的静态密钥，每个密钥对应一个用户
+ * 2. JWT：由外部系统签发、在本地校验的令牌，sub 为用户ID，
+ *    支持 HS256（共享密钥）和 RS256/ES256（公钥），会校验 exp 和 nbf
+ *
+ * GET/HEAD 请求还可以通过 access_token 查询参数传递令牌，用于浏览器中无法附加请求头的下载链接。
+ * 认证通过后 req.user 为 { id, admin }，用户ID同时作为文件和上传会话的命名空间。
+ */
+
+const crypto = require('crypto');
+
+// 用户ID会作为存储路径的一段，只允许安全的字符
+const USER_ID_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,63}$/;
+// 允许的客户端时钟偏差（秒）
+const CLOCK_SKEW = 60;
+
+const JWT_ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  RS256: { type: 'rsa', hash: 'sha256' },
+  ES256: { type: 'ecdsa', hash: 'sha256' }
+};
+
+/**
+ * 解析API Key配置，格式：<密钥>:<用户ID>[:admin]，多个之间用逗号分隔
+ *
+ * @param {string} value - 配置字符串
+ * @returns {Map<string, {id: string, admin: boolean}>} 密钥 -> 用户
+ */
+function parseApiKeys(value) {
+  const apiKeys = new Map();
+  (value || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const [key, id, role] = item.split(':');
+    if (!key || !isValidUserId(id)) {
+      throw new Error(`API Key配置格式错误: ${item.split(':')[0].slice(0, 4)}...`);
+    }
+    apiKeys.set(key, { id, admin: role === 'admin' });
+  });
+  return apiKeys;
+}
+
+function isValidUserId(id) {
+  return typeof id === 'string' && USER_ID_PATTERN.test(id);
+}
+
+// 长度不同时也按固定时间比较，避免通过响应时间猜测密钥
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * 在本地校验JWT并返回其中的声明
+ *
+ * @param {string} token - JWT
+ * @param {Object} options - 校验配置
+ * @param {string} [options.secret] - HS256共享密钥
+ * @param {crypto.KeyObject|string} [options.publicKey] - RS256/ES256公钥
+ * @param {string} [options.issuer] - 要求的 iss
+ * @param {string} [options.audience] - 要求的 aud
+ * @returns {Object} 声明
+ * @throws {Error} 令牌无效时抛出，message 为原因
+ */
+function verifyJwt(token, options) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('令牌格式错误');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (error) {
+    throw new Error('令牌格式错误');
+  }
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`不支持的签名算法: ${header.alg}`);
+  }
+
+  const signingInput = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], 'base64url');
+  let valid = false;
+
+  if (algorithm.type === 'hmac') {
+    if (!options.secret) {
+      throw new Error(`未配置 ${header.alg} 的密钥`);
+    }
+    const expected = crypto.createHmac(algorithm.hash, options.secret).update(signingInput).digest();
+    valid = signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  } else {
+    if (!options.publicKey) {
+      throw new Error(`未配置 ${header.alg} 的公钥`);
+    }
+    valid = crypto.verify(algorithm.hash, Buffer.from(signingInput), {
+      key: options.publicKey,
+      // JWT中的ECDSA签名是 r||s 格式，而不是DER
+      dsaEncoding: algorithm.type === 'ecdsa' ? 'ieee-p1363' : undefined
+    }, signature);
+  }
+
+  if (!valid) {
+    throw new Error('令牌签名无效');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_SKEW) {
+    throw new Error('令牌已过期');
+  }
+  if (typeof claims.nbf === 'number' && now + CLOCK_SKEW < claims.nbf) {
+    throw new Error('令牌尚未生效');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new Error('令牌的签发者不匹配');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new Error('令牌的受众不匹配');
+    }
+  }
+
+  return claims;
+}
+
+/**
+ * 创建认证中间件
+ *
+ * @param {Object} options - 认证配置
+ * @param {Map} options.apiKeys - parseApiKeys 的结果
+ * @param {string} [options.jwtSecret] - HS256共享密钥
+ * @param {string} [options.jwtPublicKey] - RS256/ES256公钥（PEM）
+ * @param {string} [options.jwtIssuer] - 要求的 iss
+ * @param {string} [options.jwtAudience] - 要求的 aud
+ * @returns {Function} Express中间件，认证通过后设置 req.user
+ */
+function createAuthMiddleware(options) {
+  const { apiKeys } = options;
+  const jwtOptions = {
+    secret: options.jwtSecret,
+    publicKey: options.jwtPublicKey ? crypto.createPublicKey(options.jwtPublicKey) : null,
+    issuer: options.jwtIssuer,
+    audience: options.jwtAudience
+  };
+  const jwtEnabled = Boolean(jwtOptions.secret || jwtOptions.publicKey);
+
+  // 令牌 -> 用户，失败时抛出异常
+  function authenticate(token) {
+    for (const [key, user] of apiKeys) {
+      if (safeEqual(token, key)) {
+        return user;
+      }
+    }
+
+    if (!jwtEnabled || token.split('.').length !== 3) {
+      throw new Error('令牌无效');
+    }
+
+    const claims = verifyJwt(token, jwtOptions);
+    if (!isValidUserId(claims.sub)) {
+      throw new Error('令牌中的用户标识不合法');
+    }
+    const roles = Array.isArray(claims.roles) ? claims.roles : [];
+    return { id: claims.sub, admin: claims.admin === true || roles.includes('admin') };
+  }
+
+  return function authMiddleware(req, res, next) {
+    // CORS预检请求和tus的能力查询不携带凭证
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    let token = match ? match[1].trim() : null;
+    if (!token && (req.method === 'GET' || req.method === 'HEAD') && typeof req.query.access_token === 'string') {
+      token = req.query.access_token;
+    }
+
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        code: 401,
+        message: '未登录，请提供访问令牌'
+      });
+    }
+
+    try {
+      req.user = authenticate(token);
+    } catch (error) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        code: 401,
+        message: `认证失败: ${error.message}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * 只允许管理员访问的中间件，需要放在认证中间件之后
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user || !req.user.admin) {
+    return res.status(403).json({
+      code: 403,
+      message: '需要管理员权限'
+    });
+  }
+  next();
+}
+
+module.exports = {
+  createAuthMiddleware,
+  requireAdmin,
+  parseApiKeys,
+  verifyJwt,
+  isValidUserId,
+  safeEqual
+};
@@ -0,0 +1,121 @@
+/**
+ * 分片的传输压缩
+ *
+ * 前端可以把分片压缩后上传（CompressionStream 的 gzip 或 deflate），通过 Content-Encoding 请求头
+ * （multipart表单为 chunkEncoding 字段）声明编码。服务端边接收边解压，之后的大小和哈希校验、
+ * 保存和合并都针对解压后的原始字节，合并后的文件和摘要与不压缩上传完全相同。
+ */
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { UploadError } = require('./errors.cjs');
+
+// 支持的分片编码
+const CHUNK_ENCODINGS = {
+  gzip: () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate()
+};
+
+/**
+ * 解析请求声明的分片编码
+ *
+ * @param {string} [value] - Content-Encoding 请求头或表单字段
+ * @returns {string|null} 编码，未压缩时返回null
+ * @throws {UploadError} 不支持的编码
+ */
+function parseChunkEncoding(value) {
+  const encoding = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!encoding || encoding === 'identity') {
+    return null;
+  }
+  if (!CHUNK_ENCODINGS[encoding]) {
+    throw new UploadError(415, 415, `不支持的分片编码: ${encoding}，支持 ${Object.keys(CHUNK_ENCODINGS).join('、')}`);
+  }
+  return encoding;
+}
+
+/**
+ * 解压分片数据流
+ *
+ * 解压后的数据超过 limit 时停止解压并丢弃剩余的输入（防止压缩炸弹），此时输出的字节数大于 limit，
+ * 由调用方按分片大小不一致拒绝；剩余的请求体仍会读完，调用方可以正常返回错误响应。
+ *
+ * @param {stream.Readable} source - 压缩的数据流（请求体或multer的文件流）
+ * @param {string} encoding - parseChunkEncoding 返回的编码
+ * @param {number} limit - 解压后的最大字节数，即分片的预期大小
+ * @param {Object} [stats] - 解压过程中写入 encodedSize（收到的压缩数据的字节数），用于统计节省的流量
+ * @returns {AsyncIterable<Buffer>} 解压后的数据
+ */
+async function* decodeChunkStream(source, encoding, limit, stats = {}) {
+  const decoder = CHUNK_ENCODINGS[encoding]();
+  const countInput = data => {
+    stats.encodedSize += data.length;
+  };
+  stats.encodedSize = 0;
+  source.on('data', countInput);
+  source.pipe(decoder);
+  let size = 0;
+
+  try {
+    for await (const data of decoder) {
+      size += data.length;
+      yield data;
+      if (size > limit) break;
+    }
+  } catch (error) {
+    throw new UploadError(400, 400, `分片解压失败: ${error.message}`, { encoding });
+  } finally {
+    source.removeListener('data', countInput);
+    source.unpipe(decoder);
+    decoder.destroy();
+    source.resume();
+  }
+}
+
+/**
+ * multer存储引擎：表单声明了分片编码时，把解压后的数据交给 engine 写入
+ *
+ * 与预分配写入一样，需要在表单中把 chunkEncoding、uploadId、chunkIndex 放在文件之前；
+ * 字段在文件之后时 resolve 返回null，分片以压缩的形式写入，由调用方之后再解压。
+ *
+ * @param {Object} engine - 写入解压后数据的multer存储引擎
+ * @param {Function} resolve - (req) 返回 { encoding, limit }，无需解压或还不能确定时返回null，编码不支持时抛出错误
+ * @returns {Object} multer存储引擎，解压过的分片 req.file.contentEncoding 为编码，encodedSize 为压缩数据的大小
+ */
+function decodingStorageEngine(engine, resolve) {
+  return {
+    _handleFile: (req, file, cb) => {
+      let target;
+      try {
+        target = resolve(req);
+      } catch (error) {
+        file.stream.resume();
+        return cb(error);
+      }
+      if (!target) {
+        return engine._handleFile(req, file, cb);
+      }
+
+      const stats = {};
+      const stream = Readable.from(decodeChunkStream(file.stream, target.encoding, target.limit, stats));
+      engine._handleFile(req, { ...file, stream }, (error, info) => {
+        if (error) {
+          // 引擎没有读取数据就出错时，放弃剩余的请求体
+          file.stream.resume();
+          return cb(error);
+        }
+        cb(null, { ...info, contentEncoding: target.encoding, encodedSize: stats.encodedSize });
+      });
+    },
+    _removeFile: (req, file, cb) => {
+      engine._removeFile(req, file, cb);
+    }
+  };
+}
+
+module.exports = {
+  CHUNK_ENCODINGS,
+  parseChunkEncoding,
+  decodeChunkStream,
+  decodingStorageEngine
+};
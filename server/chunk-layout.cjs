@@ -0,0 +1,250 @@
+/**
+ * 原生接口的分片布局：分片序号与文件中字节区间的对应关系
+ *
+ * 固定大小的分片（默认）：初始化时声明 chunkSize 和 chunkCount，第 i 个分片位于 i * chunkSize。
+ *
+ * 自适应大小的分片（初始化时 chunkSizing 为 adaptive）：客户端按测得的吞吐量和延迟决定每个分片的大小，
+ * 分片请求除了序号还声明分片在文件中的偏移量和大小。第一次收到某个序号的请求时登记它的区间（chunkRanges），
+ * 之后同一序号的请求必须使用相同的区间；序号相邻的分片首尾相接，序号更大的分片位于文件中更靠后的位置，
+ * 因此已保存的分片按序号拼接即为原文件，合并时不需要知道每个分片的大小。
+ * 序号最大的分片到达文件末尾、且之前的每个序号都已上传时，文件才算上传完整。
+ *
+ * 分片大小必须在服务端公布的范围内（到达文件末尾的分片可以更小），
+ * 避免客户端用过小的分片制造大量请求和对象，或用过大的分片长时间占用连接和暂存空间。
+ */
+
+const { ERROR_CODES, UploadError } = require('./errors.cjs');
+
+// 初始化请求中 chunkSizing 的取值
+const CHUNK_SIZING_ADAPTIVE = 'adaptive';
+
+/**
+ * 会话是否使用自适应大小的分片
+ *
+ * @param {Object} taskInfo - 上传会话
+ * @returns {boolean}
+ */
+function isAdaptive(taskInfo) {
+  return taskInfo.chunkSizing === CHUNK_SIZING_ADAPTIVE;
+}
+
+/**
+ * 分片在文件中的区间
+ *
+ * @param {Object} taskInfo - 上传会话
+ * @param {number} chunkIndex - 分片序号
+ * @returns {{start: number, size: number}|null} 序号不合法或自适应分片的区间尚未登记时返回null
+ */
+function getChunkRange(taskInfo, chunkIndex) {
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0) {
+    return null;
+  }
+  if (isAdaptive(taskInfo)) {
+    const range = (taskInfo.chunkRanges || [])[chunkIndex];
+    return range ? { start: range[0], size: range[1] } : null;
+  }
+  if (chunkIndex >= taskInfo.chunkCount) {
+    return null;
+  }
+  const start = chunkIndex * taskInfo.chunkSize;
+  return { start, size: Math.min(taskInfo.chunkSize, taskInfo.fileSize - start) };
+}
+
+/**
+ * 检查初始化时声明的固定分片大小，只有一个分片时不受下限约束
+ *
+ * @param {number} chunkSize - 分片大小
+ * @param {number} fileSize - 文件大小
+ * @param {{min: number, max: number}} limits - 服务端允许的分片大小
+ * @throws {UploadError} 超出范围
+ */
+function checkChunkSize(chunkSize, fileSize, limits) {
+  if (chunkSize > limits.max || (chunkSize < limits.min && chunkSize < fileSize)) {
+    throw new UploadError(400, 400, `分片大小超出服务端允许的范围（${limits.min}～${limits.max} 字节）`, {
+      chunkSize,
+      minChunkSize: limits.min,
+      maxChunkSize: limits.max
+    });
+  }
+}
+
+/**
+ * 确定分片请求对应的区间
+ *
+ * 固定大小的分片由序号计算，请求声明了偏移量时必须与之一致；
+ * 自适应大小的分片按请求声明的偏移量和大小登记，已登记时必须与登记的区间一致。
+ *
+ * @param {Object} taskInfo - 上传会话
+ * @param {number} chunkIndex - 分片序号
+ * @param {*} offset - 请求声明的偏移量（X-Chunk-Offset 请求头或 chunkOffset 表单字段），可以省略
+ * @param {*} size - 请求声明的分片大小（X-Chunk-Size 请求头或 chunkSize 表单字段），可以省略
+ * @param {{min: number, max: number}} limits - 服务端允许的分片大小
+ * @returns {{start: number, size: number, reserved: boolean}} 本次新登记了区间时 reserved 为true，需要保存会话
+ * @throws {UploadError} 序号或区间不合法（400），与已登记的区间冲突（409）
+ */
+function resolveChunkRange(taskInfo, chunkIndex, offset, size, limits) {
+  const declared = offset === undefined || offset === null || offset === ''
+    ? null
+    : { start: Number(offset), size: size === undefined || size === null || size === '' ? null : Number(size) };
+
+  if (!isAdaptive(taskInfo)) {
+    const range = getChunkRange(taskInfo, chunkIndex);
+    if (!range || (declared && (declared.start !== range.start || (declared.size !== null && declared.size !== range.size)))) {
+      throw new UploadError(400, 400, '分片序号或分片大小与初始化时声明的不一致', {
+        chunkIndex,
+        offset: declared ? declared.start : null,
+        expectedOffset: range ? range.start : null,
+        expectedSize: range ? range.size : null
+      });
+    }
+    return { ...range, reserved: false };
+  }
+
+  const existing = getChunkRange(taskInfo, chunkIndex);
+  if (existing && !declared) {
+    return { ...existing, reserved: false };
+  }
+  checkAdaptiveRange(taskInfo, chunkIndex, declared, limits);
+  if (existing) {
+    if (existing.start !== declared.start || existing.size !== declared.size) {
+      throw new UploadError(409, ERROR_CODES.CHUNK_RANGE_CONFLICT, '分片区间与该分片之前登记的区间不一致', {
+        chunkIndex,
+        offset: existing.start,
+        size: existing.size
+      });
+    }
+    return { ...existing, reserved: false };
+  }
+
+  checkNeighbours(taskInfo, chunkIndex, declared);
+  if (!taskInfo.chunkRanges) {
+    taskInfo.chunkRanges = [];
+  }
+  taskInfo.chunkRanges[chunkIndex] = [declared.start, declared.size];
+  return { start: declared.start, size: declared.size, reserved: true };
+}
+
+// 自适应分片声明的区间必须位于文件内，大小在允许的范围内；每个分片至少 min 字节，分片序号也因此有上限
+function checkAdaptiveRange(taskInfo, chunkIndex, declared, limits) {
+  const maxChunkCount = Math.max(1, Math.ceil(taskInfo.fileSize / limits.min));
+  if (!declared || !Number.isInteger(declared.start) || !Number.isInteger(declared.size) ||
+      !Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= maxChunkCount ||
+      declared.start < 0 || declared.size <= 0 || declared.start + declared.size > taskInfo.fileSize) {
+    throw new UploadError(400, 400, '自适应分片需要声明分片在文件中的偏移量和大小，且区间位于文件内', {
+      chunkIndex,
+      offset: declared ? declared.start : null,
+      size: declared ? declared.size : null,
+      fileSize: taskInfo.fileSize
+    });
+  }
+
+  const end = declared.start + declared.size;
+  if (declared.size > limits.max || (declared.size < limits.min && end !== taskInfo.fileSize)) {
+    throw new UploadError(400, 400, `分片大小超出服务端允许的范围（${limits.min}～${limits.max} 字节）`, {
+      chunkIndex,
+      size: declared.size,
+      minChunkSize: limits.min,
+      maxChunkSize: limits.max
+    });
+  }
+}
+
+// 与序号最接近的已登记分片比较：前面的分片在区间之前结束，后面的分片在区间之后开始，序号相邻时首尾相接
+// 第一个分片从文件开头开始
+function checkNeighbours(taskInfo, chunkIndex, declared) {
+  const ranges = taskInfo.chunkRanges || [];
+  const end = declared.start + declared.size;
+  const conflict = neighbour => new UploadError(409, ERROR_CODES.CHUNK_RANGE_CONFLICT, '分片区间与已登记的分片重叠或不相接', {
+    chunkIndex,
+    offset: declared.start,
+    size: declared.size,
+    neighbour
+  });
+
+  if (chunkIndex === 0 && declared.start !== 0) {
+    throw conflict(null);
+  }
+  for (let i = chunkIndex - 1; i >= 0; i--) {
+    if (!ranges[i]) continue;
+    const previousEnd = ranges[i][0] + ranges[i][1];
+    if (i === chunkIndex - 1 ? previousEnd !== declared.start : previousEnd > declared.start) {
+      throw conflict({ chunkIndex: i, offset: ranges[i][0], size: ranges[i][1] });
+    }
+    break;
+  }
+  for (let i = chunkIndex + 1; i < ranges.length; i++) {
+    if (!ranges[i]) continue;
+    if (i === chunkIndex + 1 ? ranges[i][0] !== end : ranges[i][0] < end) {
+      throw conflict({ chunkIndex: i, offset: ranges[i][0], size: ranges[i][1] });
+    }
+    break;
+  }
+}
+
+/**
+ * 完成上传时文件的分片数
+ *
+ * @param {Object} taskInfo - 上传会话
+ * @returns {number|null} 固定大小的分片为初始化时声明的数量；自适应大小的分片为登记的分片数，
+ *   登记的分片还没有到达文件末尾（客户端还没有开始上传最后的分片）时返回null
+ */
+function getLayoutChunkCount(taskInfo) {
+  if (!isAdaptive(taskInfo)) {
+    return taskInfo.chunkCount;
+  }
+  const ranges = taskInfo.chunkRanges || [];
+  if (!ranges.length) {
+    return taskInfo.fileSize === 0 ? 0 : null;
+  }
+  const last = ranges[ranges.length - 1];
+  return last && last[0] + last[1] === taskInfo.fileSize ? ranges.length : null;
+}
+
+/**
+ * 已上传的字节数
+ *
+ * @param {Object} taskInfo - 上传会话
+ * @returns {number}
+ */
+function getUploadedBytes(taskInfo) {
+  return taskInfo.uploadedChunks.reduce((sum, chunkIndex) => {
+    const range = getChunkRange(taskInfo, chunkIndex);
+    return sum + (range ? range.size : 0);
+  }, 0);
+}
+
+/**
+ * 从存储后端重建会话时，找出可以继续使用的自适应分片
+ *
+ * 登记过区间的分片，保存的大小与区间一致时保留；只剩会话元数据（没有登记的区间）时，
+ * 从第一个分片开始按保存的大小推算连续的分片的区间，之后的分片需要重新上传。
+ *
+ * @param {Object} taskInfo - 上传会话
+ * @param {Map<number, number>} storedSizes - 分片序号 -> 保存的分片大小
+ * @returns {number[]} 已上传的分片序号
+ */
+function recoverChunkRanges(taskInfo, storedSizes) {
+  const ranges = taskInfo.chunkRanges || [];
+  if (!ranges.some(Boolean)) {
+    let offset = 0;
+    for (let i = 0; storedSizes.has(i) && storedSizes.get(i) > 0; i++) {
+      ranges[i] = [offset, storedSizes.get(i)];
+      offset += storedSizes.get(i);
+    }
+  }
+  taskInfo.chunkRanges = ranges;
+  return Array.from(storedSizes.keys())
+    .filter(chunkIndex => ranges[chunkIndex] && ranges[chunkIndex][1] === storedSizes.get(chunkIndex))
+    .sort((a, b) => a - b);
+}
+
+module.exports = {
+  CHUNK_SIZING_ADAPTIVE,
+  isAdaptive,
+  getChunkRange,
+  checkChunkSize,
+  resolveChunkRange,
+  getLayoutChunkCount,
+  getUploadedBytes,
+  recoverChunkRanges
+};
@@ -0,0 +1,244 @@
+/**
+ * ChunkStore - 按内容寻址、带引用计数的分片存储（分片级去重）
+ *
+ * 每个分片按MD5摘要只保存一份：chunks/<摘要前两位>/<摘要>。
+ * 文件保存为清单（manifest），记录组成文件的分片摘要和大小，下载时按清单拼接。
+ * 分片被多少个清单引用记录在引用计数中，引用数归零时删除分片。
+ *
+ * 分片大小固定，内容相同且按分片大小对齐的部分（例如虚拟机镜像、数据库备份、
+ * 同一个归档的多个版本）只会保存一次。
+ */
+
+const { Readable } = require('stream');
+const PersistentMap = require('./persistent-map.cjs');
+const { chunkKey } = require('./storage/index.cjs');
+
+class ChunkStore {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {StorageBackend} options.storage - 存储后端，分片保存在 chunks/ 下
+   * @param {string} options.dataDir - 数据目录，保存引用计数和文件清单
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    // 分片摘要 -> { size, refs }
+    this.chunks = new PersistentMap(options.dataDir, 'chunk-refs');
+    // 文件名 -> { fileHash, fileSize, createdAt, chunks: [{ hash, size }] }
+    this.manifests = new PersistentMap(options.dataDir, 'manifests');
+    // 正在从存储中删除的分片，删除完成前不能重新写入同一个分片
+    this.removing = new Map();
+  }
+
+  /**
+   * 分片是否已保存
+   *
+   * @param {string} hash - 分片摘要
+   * @returns {boolean}
+   */
+  has(hash) {
+    return this.chunks.has(hash);
+  }
+
+  /**
+   * 增加已保存分片的引用，分片不存在时返回false
+   *
+   * 引用计数的修改都是同步的：先取得引用，再做异步操作，期间分片不会因为其他文件被删除而被回收。
+   *
+   * @param {string} hash - 分片摘要
+   * @returns {boolean}
+   */
+  acquire(hash) {
+    if (!this.chunks.has(hash)) return false;
+    this._addRef(hash);
+    return true;
+  }
+
+  /**
+   * 把上传会话中的分片移入存储并取得一个引用，已存在相同内容时直接删除会话中的分片
+   *
+   * @param {string} hash - 分片摘要（由服务端计算）
+   * @param {number} size - 分片大小
+   * @param {string} sourceKey - 会话中分片的键
+   * @returns {Promise<boolean>} 是否新保存了分片
+   */
+  async put(hash, size, sourceKey) {
+    if (this.acquire(hash)) {
+      await this.storage.remove(sourceKey);
+      return false;
+    }
+
+    this.chunks.set(hash, { size, refs: 1 });
+    try {
+      await this.removing.get(hash);
+      await this.storage.rename(sourceKey, chunkKey(hash));
+    } catch (error) {
+      await this.release(hash);
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * 保存文件清单，同名的旧清单会被替换
+   * 清单中每个分片的引用需要事先通过 acquire 或 put 取得，保存后由清单持有
+   *
+   * @param {string} fileName - 文件名
+   * @param {Object} manifest - { fileHash, fileSize, chunks: [{ hash, size }] }
+   * @returns {Promise<void>}
+   */
+  async saveManifest(fileName, manifest) {
+    const previous = this.manifests.get(fileName);
+    this.manifests.set(fileName, { ...manifest, createdAt: Date.now() });
+    if (previous) {
+      await this._releaseAll(previous.chunks);
+    }
+  }
+
+  getManifest(fileName) {
+    return this.manifests.get(fileName) || null;
+  }
+
+  /**
+   * 删除文件清单并释放分片引用
+   *
+   * @param {string} fileName - 文件名
+   * @returns {Promise<boolean>} 清单是否存在
+   */
+  async removeManifest(fileName) {
+    const manifest = this.manifests.get(fileName);
+    if (!manifest) return false;
+
+    this.manifests.delete(fileName);
+    await this._releaseAll(manifest.chunks);
+    return true;
+  }
+
+  renameManifest(fileName, newFileName) {
+    const manifest = this.manifests.get(fileName);
+    this.manifests.delete(fileName);
+    this.manifests.set(newFileName, manifest);
+  }
+
+  /**
+   * 释放分片的一个引用，引用数归零时从存储中删除分片
+   *
+   * @param {string} hash - 分片摘要
+   * @returns {Promise<void>}
+   */
+  async release(hash) {
+    const chunk = this.chunks.get(hash);
+    if (!chunk) return;
+
+    chunk.refs--;
+    if (chunk.refs > 0) {
+      this.chunks.save(hash);
+      return;
+    }
+
+    this.chunks.delete(hash);
+    await this._removeChunk(hash);
+  }
+
+  /**
+   * 按清单读取文件的指定字节区间
+   *
+   * @param {string} fileName - 文件名
+   * @param {number} [start=0] - 起始字节
+   * @param {number} [end] - 结束字节（包含）
+   * @returns {stream.Readable}
+   */
+  createReadStream(fileName, start = 0, end = Infinity) {
+    const manifest = this.manifests.get(fileName);
+    const storage = this.storage;
+
+    async function* readChunks() {
+      let offset = 0;
+      for (const { hash, size } of manifest.chunks) {
+        const chunkStart = offset;
+        offset += size;
+        if (offset <= start) continue;
+        if (chunkStart > end) break;
+
+        yield* storage.createReadStream(
+          chunkKey(hash),
+          Math.max(0, start - chunkStart),
+          Math.min(size, end - chunkStart + 1) - 1
+        );
+      }
+    }
+
+    return Readable.from(readChunks(), { objectMode: false });
+  }
+
+  /**
+   * 删除没有被任何清单引用的分片（例如合并失败后遗留的分片）
+   *
+   * @returns {Promise<number>} 删除的分片数
+   */
+  async removeUnreferenced() {
+    let removed = 0;
+    for (const [hash, chunk] of Array.from(this.chunks.entries())) {
+      if (chunk.refs <= 0) {
+        this.chunks.delete(hash);
+        await this._removeChunk(hash);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * 去重统计
+   *
+   * @returns {Object} 统计数据
+   */
+  getStats() {
+    let storedBytes = 0;
+    let referencedChunks = 0;
+    for (const chunk of this.chunks.values()) {
+      storedBytes += chunk.size;
+      referencedChunks += chunk.refs;
+    }
+
+    let logicalBytes = 0;
+    for (const manifest of this.manifests.values()) {
+      logicalBytes += manifest.fileSize;
+    }
+
+    return {
+      files: this.manifests.size,
+      uniqueChunks: this.chunks.size,
+      referencedChunks,
+      logicalBytes,
+      storedBytes,
+      savedBytes: logicalBytes - storedBytes,
+      dedupRatio: storedBytes > 0 ? Number((logicalBytes / storedBytes).toFixed(2)) : 1
+    };
+  }
+
+  _addRef(hash) {
+    const chunk = this.chunks.get(hash);
+    chunk.refs++;
+    this.chunks.save(hash);
+  }
+
+  async _releaseAll(chunks) {
+    for (const { hash } of chunks) {
+      await this.release(hash);
+    }
+  }
+
+  async _removeChunk(hash) {
+    const removing = this.storage.remove(chunkKey(hash));
+    this.removing.set(hash, removing);
+    try {
+      await removing;
+    } finally {
+      if (this.removing.get(hash) === removing) {
+        this.removing.delete(hash);
+      }
+    }
+  }
+}
+
+module.exports = ChunkStore;
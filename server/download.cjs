@@ -0,0 +1,227 @@
+/**
+ * 文件下载：支持HTTP Range（包括多段Range）、ETag/Last-Modified和条件请求
+ *
+ * - ETag 使用保存时计算的内容摘要（强校验器），没有摘要时退化为基于大小和修改时间的弱ETag
+ * - 支持 If-Match / If-None-Match / If-Modified-Since / If-Unmodified-Since / If-Range
+ * - 单段Range返回普通的206响应，多段Range返回 multipart/byteranges
+ * - Content-Disposition 同时提供ASCII回退文件名和RFC 5987编码的原始文件名
+ *
+ * 参考: RFC 7232（条件请求）、RFC 7233（Range请求）
+ */
+
+const crypto = require('crypto');
+
+// 单个请求允许的最大Range段数，防止大量小段Range消耗服务端资源
+const MAX_RANGES = 64;
+
+// If-None-Match / If-Match 中的ETag列表是否包含指定的ETag
+function etagListMatches(header, etag, weak) {
+  if (header.trim() === '*') return true;
+
+  const normalize = value => (weak ? value.replace(/^W\//, '') : value);
+  return header.split(',').some(item => {
+    const candidate = item.trim();
+    // 强比较时弱ETag永远不匹配
+    if (!weak && (candidate.startsWith('W/') || etag.startsWith('W/'))) return false;
+    return normalize(candidate) === normalize(etag);
+  });
+}
+
+/**
+ * 解析Range请求头
+ *
+ * @param {string} header - Range请求头
+ * @param {number} size - 文件大小
+ * @returns {Array<{start: number, end: number}>|null|-1}
+ *   语法错误返回null（忽略Range），全部不可满足返回-1，否则返回排序合并后的区间
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(.+)$/.exec(header.trim());
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim());
+  if (specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // 后缀Range：最后N个字节
+      const suffix = Number(parts[2]);
+      if (suffix === 0) continue;
+      start = Math.max(0, size - suffix);
+      end = size - 1;
+    } else {
+      start = Number(parts[1]);
+      end = parts[2] === '' ? size - 1 : Math.min(Number(parts[2]), size - 1);
+      if (parts[2] !== '' && Number(parts[2]) < start) return null;
+    }
+
+    if (start < size && start <= end) {
+      ranges.push({ start, end });
+    }
+  }
+
+  if (ranges.length === 0) return -1;
+
+  // 合并重叠或相邻的区间
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+// 生成Content-Disposition，非ASCII文件名使用 filename* 传递原始名称
+function contentDisposition(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// 把文件的指定区间写入响应，返回Promise
+function pipeRange(file, res, start, end) {
+  return new Promise((resolve, reject) => {
+    const stream = file.createReadStream(start, end);
+    // 客户端断开连接时停止读取，避免文件句柄泄漏
+    const onClose = () => {
+      stream.destroy();
+      resolve();
+    };
+    res.once('close', onClose);
+    stream.on('error', reject);
+    stream.on('end', () => {
+      res.removeListener('close', onClose);
+      resolve();
+    });
+    stream.pipe(res, { end: false });
+  });
+}
+
+/**
+ * 发送文件，处理条件请求和Range请求
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Object} file - 文件信息
+ * @param {string} file.fileName - 下载时使用的文件名（原始文件名）
+ * @param {number} file.size - 文件大小
+ * @param {number} file.mtimeMs - 文件修改时间（毫秒）
+ * @param {Function} file.createReadStream - (start, end) 读取指定字节区间（包含end）的流
+ * @param {string} [file.fileHash] - 内容摘要，用作强ETag
+ * @param {number} [file.lastModified] - 最后修改时间（毫秒），默认使用 mtimeMs
+ */
+async function sendFile(req, res, file) {
+  const size = file.size;
+  const etag = file.fileHash ? `"${file.fileHash}"` : `W/"${size.toString(16)}-${Math.floor(file.mtimeMs).toString(16)}"`;
+  // HTTP日期精度为秒
+  const lastModified = Math.floor((file.lastModified || file.mtimeMs) / 1000) * 1000;
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': new Date(lastModified).toUTCString(),
+    'Cache-Control': 'private, no-cache',
+    'Content-Disposition': contentDisposition(file.fileName)
+  });
+  res.type(file.fileName.includes('.') ? file.fileName.slice(file.fileName.lastIndexOf('.')) : 'application/octet-stream');
+  const contentType = res.get('Content-Type');
+
+  // 前置条件：If-Match / If-Unmodified-Since
+  const ifMatch = req.get('If-Match');
+  const ifUnmodifiedSince = Date.parse(req.get('If-Unmodified-Since') || '');
+  if ((ifMatch && !etagListMatches(ifMatch, etag, false)) ||
+      (!ifMatch && !Number.isNaN(ifUnmodifiedSince) && lastModified > ifUnmodifiedSince)) {
+    return res.status(412).end();
+  }
+
+  // 缓存验证：If-None-Match 优先于 If-Modified-Since
+  const ifNoneMatch = req.get('If-None-Match');
+  const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+  if (ifNoneMatch ? etagListMatches(ifNoneMatch, etag, true)
+    : (!Number.isNaN(ifModifiedSince) && lastModified <= ifModifiedSince)) {
+    return res.status(304).end();
+  }
+
+  // Range请求，If-Range不匹配时（文件已变化）忽略Range返回完整文件
+  let ranges = null;
+  const rangeHeader = req.get('Range');
+  if (rangeHeader) {
+    const ifRange = req.get('If-Range');
+    let rangeApplies = true;
+    if (ifRange) {
+      rangeApplies = ifRange.trim().startsWith('"') || ifRange.trim().startsWith('W/')
+        ? etagListMatches(ifRange, etag, false)
+        : Date.parse(ifRange) === lastModified;
+    }
+    if (rangeApplies) {
+      ranges = parseRange(rangeHeader, size);
+    }
+  }
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  // 完整文件
+  if (!ranges) {
+    res.set('Content-Length', String(size));
+    res.status(200);
+    if (req.method === 'HEAD' || size === 0) return res.end();
+    await pipeRange(file, res, 0, size - 1);
+    return res.end();
+  }
+
+  // 单段Range
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+    res.set({
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1)
+    });
+    res.status(206);
+    if (req.method === 'HEAD') return res.end();
+    await pipeRange(file, res, start, end);
+    return res.end();
+  }
+
+  // 多段Range：multipart/byteranges
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const partHeaders = ranges.map(({ start, end }, index) => {
+    return `${index > 0 ? '\r\n' : ''}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`;
+  });
+  const closing = `\r\n--${boundary}--\r\n`;
+  const contentLength = partHeaders.reduce((sum, header) => sum + Buffer.byteLength(header), 0) +
+    ranges.reduce((sum, { start, end }) => sum + end - start + 1, 0) +
+    Buffer.byteLength(closing);
+
+  res.set({
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': String(contentLength)
+  });
+  res.status(206);
+  if (req.method === 'HEAD') return res.end();
+
+  for (let i = 0; i < ranges.length; i++) {
+    res.write(partHeaders[i]);
+    await pipeRange(file, res, ranges[i].start, ranges[i].end);
+  }
+  res.end(closing);
+}
+
+module.exports = {
+  sendFile,
+  parseRange
+};
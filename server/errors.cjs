@@ -0,0 +1,45 @@
+/**
+ * 上传相关的错误码和错误类型
+ *
+ * 接口响应中的 code 字段：0 表示成功，一般错误直接使用HTTP状态码，
+ * 同一状态码下需要客户端区分处理的错误使用下面的四位业务错误码。
+ */
+
+// 业务错误码（HTTP状态码之外，用于区分同一状态码下的不同错误）
+const ERROR_CODES = {
+  QUOTA_EXCEEDED: 4131, // 超出用户或全局的存储配额
+  FILE_TOO_LARGE: 4132, // 文件大小超过单个文件的限制
+  FILE_TYPE_NOT_ALLOWED: 4151, // 文件扩展名不允许上传
+  CONTENT_TYPE_NOT_ALLOWED: 4152, // 按文件内容识别出的类型不允许上传
+  CHUNK_WRITE_CONFLICT: 4091, // 同一分片在写入过程中又被另一个请求写入，本次写入无效，客户端应重传
+  CHUNK_RANGE_CONFLICT: 4092, // 自适应分片的区间与已登记的分片重叠、不相接或与同一序号之前的区间不一致
+  FILE_HASH_MISMATCH: 4221, // 合并后的文件摘要与客户端声明的不一致
+  CHUNK_HASH_MISMATCH: 4222, // 服务端收到的分片内容与声明的哈希不一致，客户端应重传
+  FILE_QUARANTINED: 4231, // 文件正在进行上传后的检查（例如病毒扫描），暂时不能下载
+  FILE_REJECTED: 4232 // 文件未通过上传后的检查，不能下载
+};
+
+/**
+ * 上传处理过程中的业务错误，携带HTTP状态码和响应数据，
+ * 由各协议的路由按自己的响应格式返回给客户端。
+ */
+class UploadError extends Error {
+  /**
+   * @param {number} status - HTTP状态码
+   * @param {number} code - 响应中的code字段
+   * @param {string} message - 错误信息
+   * @param {Object} [data] - 附加数据
+   */
+  constructor(status, code, message, data) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  UploadError
+};
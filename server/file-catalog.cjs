@@ -0,0 +1,268 @@
+/**
+ * FileCatalog - 文件目录：逻辑文件名与存储对象的对应关系，以及每个文件的版本历史
+ *
+ * 用户看到的文件名（逻辑文件名）保留原始的Unicode字符；每个版本的内容保存在
+ * 以文件名为路径、版本ID为名称的存储对象中（uploads/<用户ID>/<文件名>/<版本ID>），
+ * 文件夹中的文件在存储中保留原来的目录结构。版本记录自己的对象名，重命名只修改文件目录，
+ * 已有的版本不移动数据；之前版本以版本ID直接命名的对象（uploads/<用户ID>/<版本ID>）仍可读取。
+ *
+ * 上传同名文件时追加一个新版本而不是覆盖，最新的版本即文件的当前内容。
+ * 每个文件最多保留 keepVersions 个版本（可按文件单独设置），超出时删除最旧的版本，
+ * 被淘汰的版本由调用方删除对应的存储对象。
+ */
+
+const PersistentMap = require('./persistent-map.cjs');
+const { UploadError } = require('./errors.cjs');
+
+// 逻辑文件名的最大长度（UTF-8字节数），加上用户ID和版本ID后对象键不超过S3的1024字节限制
+const MAX_NAME_BYTES = 900;
+// 路径中每一段的最大长度（UTF-8字节数），与本地文件系统的文件名限制一致
+const MAX_SEGMENT_BYTES = 255;
+
+/**
+ * 规范化客户端提供的文件名：统一为NFC形式，允许以 / 分隔的多级路径
+ *
+ * @param {string} fileName - 文件名
+ * @returns {string} 规范化后的文件名
+ * @throws {UploadError} 文件名为空、过长、包含控制字符或反斜杠、路径中有空段或 . / ..、某一段过长时抛出
+ */
+function normalizeFileName(fileName) {
+  if (typeof fileName !== 'string' || !fileName) {
+    throw new UploadError(400, 400, '缺少文件名');
+  }
+
+  const name = fileName.normalize('NFC');
+  if (Buffer.byteLength(name) > MAX_NAME_BYTES) {
+    throw new UploadError(400, 400, `文件名过长，最多 ${MAX_NAME_BYTES} 字节`);
+  }
+  if (/[\u0000-\u001f\u007f\\]/.test(name)) {
+    throw new UploadError(400, 400, '文件名不能包含控制字符或反斜杠');
+  }
+  if (name.split('/').some(segment => !segment.trim() || segment === '.' || segment === '..')) {
+    throw new UploadError(400, 400, '文件名不合法');
+  }
+  if (name.split('/').some(segment => Buffer.byteLength(segment) > MAX_SEGMENT_BYTES)) {
+    throw new UploadError(400, 400, `路径中的每一段最多 ${MAX_SEGMENT_BYTES} 字节`);
+  }
+
+  return name;
+}
+
+class FileCatalog {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.dataDir - 数据目录
+   * @param {number} options.keepVersions - 每个文件默认保留的版本数
+   */
+  constructor(options) {
+    this.keepVersions = options.keepVersions;
+    // <用户ID>/<逻辑文件名> -> { owner, name, keepVersions, versions: [版本] }
+    // 版本：{ versionId, objectName, fileSize, fileHash, uploader, uploadTime, contentType, restoredFrom, processing }
+    // processing 为上传完成后的处理状态（见 post-processing.cjs），处于隔离状态的版本不能用于秒传
+    // versions 按上传时间从旧到新排列，最后一个为当前版本
+    this.entries = new PersistentMap(options.dataDir, 'file-catalog');
+  }
+
+  static key(owner, name) {
+    return `${owner}/${name}`;
+  }
+
+  /**
+   * 查询文件
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @returns {Object|null} 文件条目
+   */
+  get(owner, name) {
+    return this.entries.get(FileCatalog.key(owner, name)) || null;
+  }
+
+  /**
+   * 文件的当前版本，指定 versionId 时返回该版本
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @param {string} [versionId] - 版本ID
+   * @returns {Object|null} 版本
+   */
+  getVersion(owner, name, versionId) {
+    const entry = this.get(owner, name);
+    if (!entry) return null;
+    if (!versionId) return entry.versions[entry.versions.length - 1];
+    return entry.versions.find(version => version.versionId === versionId) || null;
+  }
+
+  /**
+   * 列出用户的所有文件
+   *
+   * @param {string} [owner] - 用户ID，省略时列出所有用户的文件
+   * @returns {Object[]} 文件条目
+   */
+  list(owner) {
+    const entries = Array.from(this.entries.values());
+    return owner === undefined ? entries : entries.filter(entry => entry.owner === owner);
+  }
+
+  /**
+   * 按版本ID查找版本，文件重命名后版本ID不变
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} versionId - 版本ID
+   * @returns {{entry: Object, version: Object}|null}
+   */
+  findVersion(owner, versionId) {
+    for (const entry of this.list(owner)) {
+      const version = entry.versions.find(item => item.versionId === versionId);
+      if (version) {
+        return { entry, version };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 按内容摘要查找用户的文件，只匹配各文件的当前版本，处于隔离状态的版本不参与匹配
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} fileHash - 内容摘要
+   * @returns {Object|null} 文件条目
+   */
+  findByHash(owner, fileHash) {
+    return this.list(owner).find(entry => {
+      const current = entry.versions[entry.versions.length - 1];
+      return current.fileHash === fileHash && !(current.processing && current.processing.quarantined);
+    }) || null;
+  }
+
+  /**
+   * 文件实际保留的版本数
+   *
+   * @param {Object|null} entry - 文件条目，不存在时返回默认值
+   * @returns {number}
+   */
+  getKeepVersions(entry) {
+    return (entry && entry.keepVersions) || this.keepVersions;
+  }
+
+  /**
+   * 再追加 count 个版本时会被淘汰的旧版本
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @param {number} [count=1] - 追加的版本数
+   * @returns {Object[]} 版本
+   */
+  getPrunable(owner, name, count = 1) {
+    const entry = this.get(owner, name);
+    if (!entry) return [];
+    return entry.versions.slice(0, Math.max(0, entry.versions.length + count - this.getKeepVersions(entry)));
+  }
+
+  /**
+   * 追加一个版本作为文件的当前版本，文件不存在时创建
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @param {Object} version - 版本
+   * @returns {Object[]} 超出保留数量而被淘汰的版本，调用方需要删除对应的存储对象
+   */
+  addVersion(owner, name, version) {
+    const key = FileCatalog.key(owner, name);
+    const entry = this.entries.get(key) || { owner, name, keepVersions: null, versions: [] };
+    entry.versions.push(version);
+    const pruned = entry.versions.splice(0, Math.max(0, entry.versions.length - this.getKeepVersions(entry)));
+    this.entries.set(key, entry);
+    return pruned;
+  }
+
+  /**
+   * 更新版本的元数据（例如后台计算出的内容摘要）
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @param {string} versionId - 版本ID
+   * @param {Object} changes - 要更新的字段
+   */
+  updateVersion(owner, name, versionId, changes) {
+    const version = this.getVersion(owner, name, versionId);
+    if (version) {
+      Object.assign(version, changes);
+      this.entries.save(FileCatalog.key(owner, name));
+    }
+  }
+
+  /**
+   * 删除一个版本，删除最后一个版本时同时删除文件
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @param {string} versionId - 版本ID
+   * @returns {Object|null} 被删除的版本
+   */
+  removeVersion(owner, name, versionId) {
+    const key = FileCatalog.key(owner, name);
+    const entry = this.entries.get(key);
+    const index = entry ? entry.versions.findIndex(version => version.versionId === versionId) : -1;
+    if (index < 0) return null;
+
+    const [version] = entry.versions.splice(index, 1);
+    if (entry.versions.length === 0) {
+      this.entries.delete(key);
+    } else {
+      this.entries.save(key);
+    }
+    return version;
+  }
+
+  /**
+   * 删除文件及其全部版本
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @returns {Object[]} 被删除的版本
+   */
+  remove(owner, name) {
+    const key = FileCatalog.key(owner, name);
+    const entry = this.entries.get(key);
+    if (!entry) return [];
+    this.entries.delete(key);
+    return entry.versions;
+  }
+
+  /**
+   * 重命名文件，只修改元数据，调用方需要保证目标文件名不存在
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @param {string} newName - 新的逻辑文件名
+   */
+  rename(owner, name, newName) {
+    const key = FileCatalog.key(owner, name);
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(FileCatalog.key(owner, newName), { ...entry, name: newName });
+  }
+
+  /**
+   * 设置文件保留的版本数，null 表示使用默认值
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} name - 逻辑文件名
+   * @param {number|null} keepVersions - 保留的版本数
+   * @returns {Object[]} 超出新的保留数量而被淘汰的版本
+   */
+  setKeepVersions(owner, name, keepVersions) {
+    const key = FileCatalog.key(owner, name);
+    const entry = this.entries.get(key);
+    entry.keepVersions = keepVersions;
+    const pruned = entry.versions.splice(0, Math.max(0, entry.versions.length - this.getKeepVersions(entry)));
+    this.entries.save(key);
+    return pruned;
+  }
+}
+
+module.exports = {
+  FileCatalog,
+  normalizeFileName
+};
@@ -0,0 +1,367 @@
+/**
+ * 文件管理接口：列出、查询、重命名和删除已保存的文件，查看、恢复和删除文件的历史版本
+ *
+ * 文件和版本的元数据来自文件目录（FileCatalog）：原始文件名、内容摘要、上传者和上传时间。
+ * 文件名就是上传时的原始文件名（Unicode，NFC形式），可以包含 / 分隔的路径，
+ * URL中需要整体编码（例如 %2F）。每个版本保存在 <文件名>/<版本ID> 对象中，重命名只修改文件目录。
+ * 还没有计算出内容摘要的版本（例如服务启动时从旧版本登记的文件）摘要为null。
+ * 端到端加密上传的版本保存的是密文，encryption 为客户端上传的加密清单，下载后由客户端解密。
+ * 版本的 status 为上传后处理的结果：available、quarantined（检查中或检查失败）或 rejected，后两者不能下载。
+ * 需要挂载在认证中间件之后，每个用户只能看到和操作自己空间中的文件。
+ */
+
+const express = require('express');
+const { UploadError } = require('./errors.cjs');
+
+// 列表接口支持的排序字段
+const SORT_FIELDS = ['name', 'size', 'uploadTime'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * 创建文件管理路由
+ *
+ * @param {Object} options - 依赖和配置
+ * @param {FileCatalog} options.catalog - 文件目录
+ * @param {Function} options.normalizeFileName - (name) 校验并规范化客户端提供的文件名，不合法时抛出UploadError
+ * @param {Function} options.removeStoredFile - async (owner, fileName) 删除文件的全部版本，返回释放的空间
+ * @param {Function} options.renameStoredFile - async (owner, fileName, newFileName) 重命名文件
+ * @param {Function} options.setKeepVersions - async (owner, fileName, keepVersions) 设置保留的版本数，返回被删除的版本
+ * @param {Function} options.removeFileVersion - async (owner, fileName, versionId) 删除一个版本，返回被删除的版本
+ * @param {Function} options.restoreFileVersion - async (user, fileName, versionId) 把历史版本复制为当前版本，返回新版本
+ * @param {Function} options.describeProcessing - (version) 版本的处理状态 { status, processing }
+ * @returns {express.Router}
+ */
+function createFilesRouter(options) {
+  const {
+    catalog,
+    normalizeFileName,
+    removeStoredFile,
+    renameStoredFile,
+    setKeepVersions,
+    removeFileVersion,
+    restoreFileVersion,
+    describeProcessing
+  } = options;
+  const router = express.Router();
+
+  function downloadUrl(fileName, versionId) {
+    const url = `/api/download/${encodeURIComponent(fileName)}`;
+    return versionId ? `${url}?versionId=${encodeURIComponent(versionId)}` : url;
+  }
+
+  function describeFile(entry) {
+    const current = entry.versions[entry.versions.length - 1];
+    return {
+      fileName: entry.name,
+      fileSize: current.fileSize,
+      fileHash: current.fileHash || null,
+      uploader: current.uploader || null,
+      uploadTime: current.uploadTime,
+      versionId: current.versionId,
+      versionCount: entry.versions.length,
+      keepVersions: catalog.getKeepVersions(entry),
+      encrypted: Boolean(current.encryption),
+      status: describeProcessing(current).status,
+      downloadUrl: downloadUrl(entry.name)
+    };
+  }
+
+  function describeVersion(entry, version) {
+    return {
+      versionId: version.versionId,
+      fileSize: version.fileSize,
+      fileHash: version.fileHash || null,
+      uploader: version.uploader || null,
+      uploadTime: version.uploadTime,
+      contentType: version.contentType || null,
+      restoredFrom: version.restoredFrom || null,
+      isCurrent: version === entry.versions[entry.versions.length - 1],
+      encryption: version.encryption || null,
+      ...describeProcessing(version),
+      downloadUrl: downloadUrl(entry.name, version.versionId)
+    };
+  }
+
+  // 当前用户的文件，不存在时返回null
+  function findEntry(req) {
+    return catalog.get(req.user.id, req.params.fileName.normalize('NFC'));
+  }
+
+  function notFound(res, message = '文件不存在') {
+    res.status(404).json({
+      code: 404,
+      message
+    });
+  }
+
+  // 列出文件，支持分页、排序和过滤
+  // 查询参数：page、pageSize、sort（name/size/uploadTime）、order（asc/desc）、keyword、minSize、maxSize、
+  // prefix（目录，例如上传文件夹时的 project/，只列出该目录及其子目录中的文件）
+  router.get('/', (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+      const sort = SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'uploadTime';
+      const order = req.query.order === 'asc' ? 'asc' : 'desc';
+      const keyword = typeof req.query.keyword === 'string' ? req.query.keyword.normalize('NFC').toLowerCase() : '';
+      const minSize = Number(req.query.minSize) || 0;
+      const maxSize = req.query.maxSize !== undefined && req.query.maxSize !== '' ? Number(req.query.maxSize) : Infinity;
+      // 目录前缀按完整的路径段匹配，project 与 project/ 相同，不会匹配 project2/
+      const directory = typeof req.query.prefix === 'string' ? req.query.prefix.normalize('NFC').replace(/^\/+|\/+$/g, '') : '';
+      const prefix = directory ? `${directory}/` : '';
+
+      let files = catalog.list(req.user.id).map(describeFile);
+
+      files = files.filter(file => {
+        if (prefix && !file.fileName.startsWith(prefix)) {
+          return false;
+        }
+        if (keyword && !file.fileName.toLowerCase().includes(keyword)) {
+          return false;
+        }
+        return file.fileSize >= minSize && file.fileSize <= maxSize;
+      });
+
+      const getSortValue = {
+        name: file => file.fileName,
+        size: file => file.fileSize,
+        uploadTime: file => file.uploadTime
+      }[sort];
+      files.sort((a, b) => {
+        const valueA = getSortValue(a);
+        const valueB = getSortValue(b);
+        const result = valueA < valueB ? -1 : (valueA > valueB ? 1 : 0);
+        return order === 'asc' ? result : -result;
+      });
+
+      res.json({
+        code: 0,
+        message: '获取文件列表成功',
+        data: {
+          total: files.length,
+          page,
+          pageSize,
+          items: files.slice((page - 1) * pageSize, page * pageSize)
+        }
+      });
+    } catch (error) {
+      req.log.error('获取文件列表出错', { err: error });
+      res.status(500).json({
+        code: 500,
+        message: '获取文件列表失败',
+        error: error.message
+      });
+    }
+  });
+
+  // 查询单个文件的元数据（当前版本）
+  router.get('/:fileName', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry) {
+      return notFound(res);
+    }
+
+    res.json({
+      code: 0,
+      message: '获取文件信息成功',
+      data: describeFile(entry)
+    });
+  });
+
+  // 重命名文件或设置保留的版本数，请求体：{ newName, keepVersions }，两者至少提供一个
+  // keepVersions 为 null 时恢复为默认值，减少保留数量会立即删除超出的旧版本
+  router.patch('/:fileName', async (req, res) => {
+    try {
+      const entry = findEntry(req);
+      if (!entry) {
+        return notFound(res);
+      }
+
+      const owner = req.user.id;
+      const { newName, keepVersions } = req.body || {};
+      if (newName === undefined && keepVersions === undefined) {
+        return res.status(400).json({
+          code: 400,
+          message: '缺少新的文件名或保留的版本数'
+        });
+      }
+
+      if (keepVersions !== undefined && keepVersions !== null && !(Number.isInteger(keepVersions) && keepVersions >= 1)) {
+        return res.status(400).json({
+          code: 400,
+          message: '保留的版本数应为正整数'
+        });
+      }
+
+      let fileName = entry.name;
+      if (newName !== undefined) {
+        const targetName = normalizeFileName(typeof newName === 'string' ? newName.trim() : newName);
+        if (targetName !== fileName) {
+          if (catalog.get(owner, targetName)) {
+            return res.status(409).json({
+              code: 409,
+              message: '目标文件名已存在',
+              data: { fileName: targetName }
+            });
+          }
+          await renameStoredFile(owner, fileName, targetName);
+          req.log.info('文件已重命名', { owner, from: fileName, to: targetName });
+          fileName = targetName;
+        }
+      }
+
+      let removedVersions = [];
+      if (keepVersions !== undefined) {
+        removedVersions = await setKeepVersions(owner, fileName, keepVersions);
+        req.log.info('已设置保留的版本数', { owner, fileName, keepVersions, removed: removedVersions.length });
+      }
+
+      res.json({
+        code: 0,
+        message: '文件信息已更新',
+        data: {
+          ...describeFile(catalog.get(owner, fileName)),
+          removedVersions: removedVersions.map(version => version.versionId)
+        }
+      });
+    } catch (error) {
+      if (error instanceof UploadError) {
+        return res.status(error.status).json({
+          code: error.code,
+          message: error.message
+        });
+      }
+      req.log.error('更新文件信息出错', { err: error });
+      res.status(500).json({
+        code: 500,
+        message: '更新文件信息失败',
+        error: error.message
+      });
+    }
+  });
+
+  // 删除文件及其全部版本
+  router.delete('/:fileName', async (req, res) => {
+    try {
+      const entry = findEntry(req);
+      if (!entry) {
+        return notFound(res);
+      }
+
+      const owner = req.user.id;
+      const size = await removeStoredFile(owner, entry.name);
+
+      req.log.info('文件已删除', { owner, fileName: entry.name, versions: entry.versions.length });
+
+      res.json({
+        code: 0,
+        message: '文件删除成功',
+        data: {
+          fileName: entry.name,
+          freedBytes: size
+        }
+      });
+    } catch (error) {
+      req.log.error('删除文件出错', { err: error });
+      res.status(500).json({
+        code: 500,
+        message: '删除文件失败',
+        error: error.message
+      });
+    }
+  });
+
+  // 列出文件的全部版本，从新到旧排列
+  router.get('/:fileName/versions', (req, res) => {
+    const entry = findEntry(req);
+    if (!entry) {
+      return notFound(res);
+    }
+
+    res.json({
+      code: 0,
+      message: '获取版本列表成功',
+      data: {
+        fileName: entry.name,
+        keepVersions: catalog.getKeepVersions(entry),
+        items: entry.versions.slice().reverse().map(version => describeVersion(entry, version))
+      }
+    });
+  });
+
+  // 恢复历史版本：把该版本复制为新的当前版本，原有的版本都保留（超出保留数量时删除最旧的版本）
+  router.post('/:fileName/versions/:versionId/restore', async (req, res) => {
+    try {
+      const entry = findEntry(req);
+      if (!entry) {
+        return notFound(res);
+      }
+      if (!catalog.getVersion(req.user.id, entry.name, req.params.versionId)) {
+        return notFound(res, '版本不存在');
+      }
+
+      const version = await restoreFileVersion(req.user, entry.name, req.params.versionId);
+
+      res.json({
+        code: 0,
+        message: '版本恢复成功',
+        data: describeVersion(catalog.get(req.user.id, entry.name), version)
+      });
+    } catch (error) {
+      if (error instanceof UploadError) {
+        return res.status(error.status).json({
+          code: error.code,
+          message: error.message,
+          data: error.data
+        });
+      }
+      req.log.error('恢复文件版本出错', { err: error });
+      res.status(500).json({
+        code: 500,
+        message: '恢复文件版本失败',
+        error: error.message
+      });
+    }
+  });
+
+  // 删除一个版本，删除唯一的版本时文件也被删除
+  router.delete('/:fileName/versions/:versionId', async (req, res) => {
+    try {
+      const entry = findEntry(req);
+      if (!entry) {
+        return notFound(res);
+      }
+
+      const owner = req.user.id;
+      const version = await removeFileVersion(owner, entry.name, req.params.versionId);
+      if (!version) {
+        return notFound(res, '版本不存在');
+      }
+
+      req.log.info('文件版本已删除', { owner, fileName: entry.name, versionId: version.versionId });
+
+      res.json({
+        code: 0,
+        message: '版本删除成功',
+        data: {
+          fileName: entry.name,
+          versionId: version.versionId,
+          freedBytes: version.fileSize,
+          fileRemoved: !catalog.get(owner, entry.name)
+        }
+      });
+    } catch (error) {
+      req.log.error('删除文件版本出错', { err: error });
+      res.status(500).json({
+        code: 500,
+        message: '删除文件版本失败',
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFilesRouter;
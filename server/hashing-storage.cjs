@@ -0,0 +1,97 @@
+/**
+ * HashingDiskStorage - 边写入边计算哈希的multer存储引擎
+ *
+ * 与multer自带的diskStorage用法相同（destination/filename两个回调），
+ * 区别是在把上传流写入磁盘的同时计算MD5，写入完成后通过 req.file.hash
+ * 返回服务端实际收到的字节的哈希值，无需再次读取文件。
+ *
+ * 同时导出 writeHashedFile，供不经过multer的接口（例如原始二进制的分片上传）直接写入请求体。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+
+/**
+ * 把流写入文件，同时计算MD5
+ *
+ * 超过 limit 的部分不再写入，但仍会读完整个流并计入大小和摘要，由调用方根据返回的大小拒绝；
+ * 不中断读取，HTTP请求体可以正常读完并返回错误响应。
+ *
+ * @param {stream.Readable} stream - 数据流
+ * @param {string} filePath - 目标文件路径
+ * @param {number} [limit=Infinity] - 最多写入的字节数
+ * @returns {Promise<{size: number, hash: string}>} 收到的字节数和MD5
+ */
+async function writeHashedFile(stream, filePath, limit = Infinity) {
+  const outStream = fs.createWriteStream(filePath);
+  const hash = crypto.createHash('md5');
+  let size = 0;
+
+  try {
+    for await (const data of stream) {
+      hash.update(data);
+      size += data.length;
+      if (size > limit) continue;
+      if (!outStream.write(data)) {
+        await once(outStream, 'drain');
+      }
+    }
+  } finally {
+    outStream.end();
+    await finished(outStream);
+  }
+
+  return { size, hash: hash.digest('hex') };
+}
+
+class HashingDiskStorage {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Function} options.destination - (req, file, cb) 返回存储目录
+   * @param {Function} options.filename - (req, file, cb) 返回文件名
+   */
+  constructor(options) {
+    this.getDestination = options.destination;
+    this.getFilename = options.filename;
+  }
+
+  _handleFile(req, file, cb) {
+    this.getDestination(req, file, (err, destination) => {
+      if (err) return cb(err);
+
+      this.getFilename(req, file, (err, filename) => {
+        if (err) return cb(err);
+
+        const finalPath = path.join(destination, filename);
+        writeHashedFile(file.stream, finalPath).then(({ size, hash }) => {
+          cb(null, {
+            destination,
+            filename,
+            path: finalPath,
+            size,
+            hash
+          });
+        }, cb);
+      });
+    });
+  }
+
+  _removeFile(req, file, cb) {
+    const filePath = file.path;
+
+    delete file.destination;
+    delete file.filename;
+    delete file.path;
+
+    fs.unlink(filePath, cb);
+  }
+}
+
+module.exports = function hashingDiskStorage(options) {
+  return new HashingDiskStorage(options);
+};
+
+module.exports.writeHashedFile = writeHashedFile;
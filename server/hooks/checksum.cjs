@@ -0,0 +1,42 @@
+/**
+ * 校验和清单钩子：读取一遍文件内容，计算多种摘要，结果记录在版本的处理状态中，
+ * 供下游系统校验下载的文件（上传时只计算了MD5）
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 创建校验和清单钩子
+ *
+ * @param {Object} [options] - 配置选项
+ * @param {string[]} [options.algorithms=['md5', 'sha1', 'sha256']] - 摘要算法
+ * @returns {Object} 钩子
+ */
+function createChecksumHook(options = {}) {
+  const algorithms = options.algorithms || ['md5', 'sha1', 'sha256'];
+
+  return {
+    name: 'checksum',
+    blocking: false,
+    async run(context) {
+      const hashes = algorithms.map(algorithm => crypto.createHash(algorithm));
+      let size = 0;
+      for await (const data of context.createReadStream()) {
+        hashes.forEach(hash => hash.update(data));
+        size += data.length;
+      }
+
+      const checksums = {};
+      algorithms.forEach((algorithm, i) => {
+        checksums[algorithm] = hashes[i].digest('hex');
+      });
+      // 与上传时记录的摘要不一致说明存储的内容已损坏
+      if (checksums.md5 && context.version.fileHash && checksums.md5 !== context.version.fileHash) {
+        throw new Error(`文件内容与记录的摘要不一致: ${checksums.md5} != ${context.version.fileHash}`);
+      }
+      return { size, ...checksums };
+    }
+  };
+}
+
+module.exports = createChecksumHook;
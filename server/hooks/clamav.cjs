@@ -0,0 +1,113 @@
+/**
+ * 病毒扫描钩子：通过 clamd 协议（INSTREAM 命令）把文件内容发送给 ClamAV 扫描
+ *
+ * 请求：zINSTREAM\0，之后每块数据前加4字节大端长度，以长度为0的块结束；
+ * 响应：stream: OK\0、stream: <病毒名> FOUND\0 或 <原因> ERROR\0。
+ * 发现病毒时拒绝文件；连接失败、超时或扫描出错（例如文件超过 clamd 的 StreamMaxLength）时抛出错误，由流水线重试。
+ */
+
+const net = require('net');
+const { HookRejection } = require('../post-processing.cjs');
+
+// 每块发送的最大字节数，需要小于 clamd 的 StreamMaxLength
+const MAX_BLOCK_SIZE = 64 * 1024;
+
+/**
+ * 通过 INSTREAM 命令扫描数据流
+ *
+ * @param {Object} options - 连接配置，见 createClamavHook
+ * @param {stream.Readable} stream - 要扫描的数据
+ * @returns {Promise<string>} clamd 的响应，例如 "stream: OK"
+ */
+function scanStream(options, stream) {
+  return new Promise((resolve, reject) => {
+    const socket = options.socketPath
+      ? net.createConnection(options.socketPath)
+      : net.createConnection(options.port, options.host);
+    let reply = '';
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      stream.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    socket.setTimeout(options.timeout, () => finish(new Error(`clamd 响应超时（${options.timeout}ms）`)));
+    socket.on('error', error => finish(new Error(`连接 clamd 失败: ${error.message}`)));
+    socket.on('data', data => {
+      reply += data.toString('utf8');
+      // 响应以 \0 结束（z前缀的命令）
+      if (reply.includes('\0')) {
+        finish(null, reply.slice(0, reply.indexOf('\0')).trim());
+      }
+    });
+    socket.on('end', () => finish(null, reply.replace(/\0/g, '').trim()));
+
+    socket.on('connect', async () => {
+      try {
+        socket.write('zINSTREAM\0');
+        for await (const data of stream) {
+          for (let offset = 0; offset < data.length; offset += MAX_BLOCK_SIZE) {
+            const block = data.subarray(offset, offset + MAX_BLOCK_SIZE);
+            const header = Buffer.alloc(4);
+            header.writeUInt32BE(block.length);
+            // clamd 读取较慢时等待，避免把整个文件缓存在内存中
+            if (!socket.write(Buffer.concat([header, block]))) {
+              await new Promise(resume => socket.once('drain', resume));
+            }
+            if (settled) return;
+          }
+        }
+        socket.write(Buffer.alloc(4));
+      } catch (error) {
+        finish(error);
+      }
+    });
+  });
+}
+
+/**
+ * 创建病毒扫描钩子
+ *
+ * @param {Object} options - 配置选项
+ * @param {string} [options.host='127.0.0.1'] - clamd 地址
+ * @param {number} [options.port=3310] - clamd 端口
+ * @param {string} [options.socketPath] - clamd 的Unix套接字路径，配置后忽略 host 和 port
+ * @param {number} [options.timeout=60000] - 无响应的超时时间（毫秒）
+ * @returns {Object} 钩子
+ */
+function createClamavHook(options = {}) {
+  const config = {
+    host: options.host || '127.0.0.1',
+    port: options.port || 3310,
+    socketPath: options.socketPath || null,
+    timeout: options.timeout || 60 * 1000
+  };
+
+  return {
+    name: 'clamav',
+    blocking: true,
+    async run(context) {
+      const reply = await scanStream(config, context.createReadStream());
+
+      const found = /^stream: (.+) FOUND$/.exec(reply);
+      if (found) {
+        throw new HookRejection(`发现病毒: ${found[1]}`, { clean: false, signature: found[1] });
+      }
+      if (!/^stream: OK$/.test(reply)) {
+        throw new Error(`clamd 扫描出错: ${reply || '没有响应'}`);
+      }
+      return { clean: true };
+    }
+  };
+}
+
+module.exports = createClamavHook;
+module.exports.scanStream = scanStream;
@@ -0,0 +1,56 @@
+/**
+ * 上传完成后的处理钩子入口：按配置的名称和顺序创建钩子
+ *
+ *   clamav     通过 clamd 协议扫描病毒（默认为阻塞钩子）
+ *   checksum   生成校验和清单（MD5、SHA-1、SHA-256）
+ *   metadata   提取内容类型和图片尺寸
+ *   webhook    把处理结果发送到配置的地址
+ */
+
+const createClamavHook = require('./clamav.cjs');
+const createChecksumHook = require('./checksum.cjs');
+const createMetadataHook = require('./metadata.cjs');
+const createWebhookHook = require('./webhook.cjs');
+
+/**
+ * 按配置创建处理钩子
+ *
+ * @param {Object} config - 配置
+ * @param {string[]} config.names - 钩子名称，按执行顺序排列
+ * @param {string[]} [config.blocking] - 作为阻塞钩子的名称，省略时使用各钩子的默认值
+ * @param {Object} [config.clamav] - 病毒扫描钩子的配置
+ * @param {Object} [config.webhook] - Webhook钩子的配置
+ * @returns {Object[]} 钩子
+ */
+function createHooks(config) {
+  const names = config.names || [];
+  if (new Set(names).size !== names.length) {
+    throw new Error('处理钩子不能重复配置');
+  }
+
+  return names.map(name => {
+    let hook;
+    switch (name) {
+      case 'clamav':
+        hook = createClamavHook(config.clamav);
+        break;
+      case 'checksum':
+        hook = createChecksumHook();
+        break;
+      case 'metadata':
+        hook = createMetadataHook();
+        break;
+      case 'webhook':
+        hook = createWebhookHook(config.webhook);
+        break;
+      default:
+        throw new Error(`未知的处理钩子: ${name}`);
+    }
+    if (config.blocking) {
+      hook.blocking = config.blocking.includes(name);
+    }
+    return hook;
+  });
+}
+
+module.exports = { createHooks };
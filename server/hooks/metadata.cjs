@@ -0,0 +1,78 @@
+/**
+ * 元数据提取钩子：按文件开头的字节识别内容类型，图片文件同时读取宽度和高度
+ */
+
+const { detectContentType } = require('../policy.cjs');
+
+// 读取的文件开头字节数：JPEG的SOF段可能在EXIF等数据之后，比识别内容类型多读一些
+const METADATA_HEAD_SIZE = 256 * 1024;
+
+// JPEG 中带有图片尺寸的段（SOF0-SOF15，不包括DHT、JPG和DAC）
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+async function readHead(stream, size) {
+  const buffers = [];
+  let length = 0;
+  for await (const data of stream) {
+    buffers.push(data);
+    length += data.length;
+    if (length >= size) break;
+  }
+  stream.destroy();
+  return Buffer.concat(buffers).subarray(0, size);
+}
+
+/**
+ * 读取图片的宽度和高度，支持PNG、GIF和JPEG，无法识别时返回null
+ *
+ * @param {Buffer} head - 文件开头的数据
+ * @param {string} contentType - 内容类型
+ * @returns {{width: number, height: number}|null}
+ */
+function readImageSize(head, contentType) {
+  if (contentType === 'image/png' && head.length >= 24) {
+    return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+  }
+  if (contentType === 'image/gif' && head.length >= 10) {
+    return { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+  }
+  if (contentType === 'image/jpeg') {
+    let offset = 2;
+    while (offset + 9 < head.length) {
+      if (head[offset] !== 0xff) return null;
+      const marker = head[offset + 1];
+      if (JPEG_SOF_MARKERS.includes(marker)) {
+        return { width: head.readUInt16BE(offset + 7), height: head.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + head.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * 创建元数据提取钩子
+ *
+ * @returns {Object} 钩子
+ */
+function createMetadataHook() {
+  return {
+    name: 'metadata',
+    blocking: false,
+    async run(context) {
+      const size = Math.min(METADATA_HEAD_SIZE, context.version.fileSize);
+      const head = size > 0 ? await readHead(context.createReadStream(0, size - 1), size) : Buffer.alloc(0);
+      const contentType = detectContentType(head);
+      const metadata = { contentType, fileSize: context.version.fileSize };
+
+      const imageSize = readImageSize(head, contentType);
+      if (imageSize) {
+        Object.assign(metadata, imageSize);
+      }
+      return metadata;
+    }
+  };
+}
+
+module.exports = createMetadataHook;
+module.exports.readImageSize = readImageSize;
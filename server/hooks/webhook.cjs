@@ -0,0 +1,67 @@
+/**
+ * Webhook钩子：把文件信息和之前各钩子的处理结果以JSON发送到配置的地址
+ *
+ * 配置了密钥时，请求头 X-Upload-Signature 为请求体的 HMAC-SHA256 签名（sha256=<十六进制>），
+ * 接收方用同一个密钥校验。非2xx响应或请求失败时抛出错误，由流水线按指数退避重试。
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 创建Webhook钩子
+ *
+ * @param {Object} options - 配置选项
+ * @param {string} options.url - 接收通知的地址
+ * @param {string} [options.secret] - 签名密钥
+ * @param {number} [options.timeout=10000] - 请求超时时间（毫秒）
+ * @param {number} [options.maxAttempts=5] - 最大尝试次数
+ * @returns {Object} 钩子
+ */
+function createWebhookHook(options) {
+  if (!options || !options.url) {
+    throw new Error('使用webhook处理钩子时必须配置通知地址');
+  }
+  const timeout = options.timeout || 10 * 1000;
+
+  return {
+    name: 'webhook',
+    blocking: false,
+    maxAttempts: options.maxAttempts || 5,
+    async run(context) {
+      const { version, processing } = context;
+      const body = JSON.stringify({
+        event: 'file.processed',
+        owner: context.owner,
+        fileName: context.fileName,
+        versionId: version.versionId,
+        fileSize: version.fileSize,
+        fileHash: version.fileHash,
+        uploadTime: version.uploadTime,
+        quarantined: processing.quarantined,
+        // 之前的钩子的结果（Webhook 之后的钩子尚未执行）
+        hooks: processing.hooks
+          .filter(record => record.name !== 'webhook')
+          .map(({ name, blocking, status, result, error }) => ({ name, blocking, status, result, error }))
+      });
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (options.secret) {
+        const signature = crypto.createHmac('sha256', options.secret).update(body).digest('hex');
+        headers['X-Upload-Signature'] = `sha256=${signature}`;
+      }
+
+      const response = await fetch(options.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(timeout)
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook 返回 HTTP ${response.status}`);
+      }
+      return { status: response.status };
+    }
+  };
+}
+
+module.exports = createWebhookHook;
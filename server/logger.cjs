@@ -0,0 +1,163 @@
+/**
+ * 结构化日志
+ *
+ * 每条日志输出为一行JSON：{ time, level, msg, ...字段 }，便于日志系统按级别、请求ID、上传ID检索和告警。
+ * 级别由环境变量 LOG_LEVEL 配置（debug、info、warn、error，默认info）；
+ * LOG_FORMAT=text 时输出便于本地开发阅读的单行文本。
+ *
+ * 字段 err 为错误对象时展开为 { name, message, code, status }，error级别的日志附带调用栈。
+ * 请求日志中间件为每个请求分配请求ID（可由客户端通过 X-Request-Id 请求头指定），
+ * 写入响应头并通过 req.log 提供带请求ID的日志对象。
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// 客户端指定的请求ID只接受较短的可打印字符，避免日志注入
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+class Logger {
+  /**
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.level='info'] - 最低输出级别
+   * @param {string} [options.format='json'] - json 或 text
+   * @param {Object} [options.fields] - 每条日志附带的字段
+   * @param {Object} [options.stream=process.stdout] - 输出流
+   */
+  constructor(options = {}) {
+    this.level = LEVELS[options.level] ? options.level : 'info';
+    this.format = options.format === 'text' ? 'text' : 'json';
+    this.fields = options.fields || {};
+    this.stream = options.stream || process.stdout;
+  }
+
+  /**
+   * 创建附带额外字段的日志对象，例如请求ID
+   *
+   * @param {Object} fields - 附带的字段
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      fields: { ...this.fields, ...fields },
+      stream: this.stream
+    });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const record = { time: new Date().toISOString(), level, msg, ...this.fields };
+    Object.entries(fields).forEach(([key, value]) => {
+      record[key] = value instanceof Error ? serializeError(value, level === 'error') : value;
+    });
+
+    this.stream.write(`${this.format === 'text' ? formatText(record) : safeStringify(record)}\n`);
+  }
+}
+
+function serializeError(error, withStack) {
+  const result = { name: error.name, message: error.message };
+  if (error.code !== undefined) result.code = error.code;
+  if (error.status !== undefined) result.status = error.status;
+  if (withStack && error.stack) result.stack = error.stack;
+  return result;
+}
+
+// 字段中可能有循环引用或BigInt，序列化失败时不能影响业务
+function safeStringify(record) {
+  try {
+    return JSON.stringify(record);
+  } catch (error) {
+    return JSON.stringify({ time: record.time, level: record.level, msg: record.msg, logError: error.message });
+  }
+}
+
+function formatText(record) {
+  const { time, level, msg, ...fields } = record;
+  const rest = Object.keys(fields).length ? ` ${safeStringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
+
+/**
+ * 请求日志中间件：分配请求ID，并在响应结束时记录一条访问日志
+ *
+ * 5xx 响应记录为 error，4xx 为 warn，其余为 info；quietPaths 中的路径（例如指标抓取）记录为 debug。
+ *
+ * @param {Logger} logger - 日志对象
+ * @param {Object} [options] - 配置选项
+ * @param {string[]} [options.quietPaths] - 只在debug级别记录的路径
+ * @returns {Function} Express中间件
+ */
+function requestLogger(logger, options = {}) {
+  const quietPaths = new Set(options.quietPaths || []);
+
+  return (req, res, next) => {
+    const headerId = req.get('X-Request-Id');
+    req.id = headerId && REQUEST_ID_PATTERN.test(headerId) ? headerId : uuidv4();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    let logged = false;
+    // 客户端提前断开（包括Server-Sent Events连接关闭）时不会触发finish，只触发close
+    const done = () => {
+      if (logged) return;
+      logged = true;
+
+      let level = 'info';
+      if (res.statusCode >= 500) {
+        level = 'error';
+      } else if (res.statusCode >= 400) {
+        level = 'warn';
+      } else if (quietPaths.has(req.path)) {
+        level = 'debug';
+      }
+
+      req.log.log(level, '请求完成', {
+        method: req.method,
+        // 隐藏查询参数中的访问令牌
+        url: req.originalUrl.replace(/([?&]access_token=)[^&]*/, '$1***'),
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        user: req.user ? req.user.id : undefined,
+        aborted: res.writableFinished ? undefined : true
+      });
+    };
+    res.on('finish', done);
+    res.on('close', done);
+
+    next();
+  };
+}
+
+// 进程共用的日志对象
+const logger = new Logger({
+  level: process.env.LOG_LEVEL,
+  format: process.env.LOG_FORMAT
+});
+
+module.exports = { Logger, logger, requestLogger };
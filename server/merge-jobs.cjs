@@ -0,0 +1,214 @@
+/**
+ * MergeJobs - 完成上传时的后台合并任务
+ *
+ * 合并一个很大的文件可能需要几分钟，在HTTP请求中等待容易被代理或浏览器断开连接。
+ * 完成上传时改为创建一个后台任务并立即返回任务ID，客户端通过轮询或Server-Sent Events
+ * 获取进度（所处阶段、已合并的字节数、当前分片）和最终结果。
+ *
+ * 阶段：merging（合并/读取分片）-> verifying（校验整文件摘要）-> saving（保存文件版本、清理会话）
+ *
+ * 任务只保存在内存中：服务重启后进行中的任务丢失，但上传会话和分片仍在，客户端重新请求完成上传即可；
+ * 结束的任务保留 retention 毫秒供客户端查询结果。
+ */
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { UploadError } = require('./errors.cjs');
+const { logger } = require('./logger.cjs');
+
+// 进度事件的最小间隔（毫秒），阶段变化和任务结束时立即通知
+const PROGRESS_INTERVAL = 200;
+
+class MergeJobs {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {number} options.retention - 结束的任务保留的时间（毫秒）
+   * @param {Function} [options.onEvent] - (event, job) 任务开始（started）、进度（progress）和结束（completed/failed）时的回调
+   */
+  constructor(options) {
+    this.retention = options.retention;
+    this.onEvent = options.onEvent || (() => {});
+    // jobId -> 任务
+    this.jobs = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * 为上传会话启动合并任务，会话已有进行中的任务时直接返回该任务
+   *
+   * @param {Object} taskInfo - 上传会话
+   * @param {Function} run - async (onProgress) 执行合并并返回结果，onProgress({ phase, mergedBytes, currentChunk })
+   * @returns {Object} 任务
+   */
+  start(taskInfo, run) {
+    this._prune();
+
+    const running = this.findRunning(taskInfo.uploadId);
+    if (running) {
+      return running;
+    }
+
+    const now = Date.now();
+    const job = {
+      jobId: uuidv4(),
+      uploadId: taskInfo.uploadId,
+      owner: taskInfo.owner,
+      fileName: taskInfo.fileName,
+      status: 'running',
+      phase: 'merging',
+      totalBytes: taskInfo.fileSize,
+      mergedBytes: 0,
+      currentChunk: 0,
+      totalChunks: taskInfo.chunkCount,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      notifiedAt: 0
+    };
+    this.jobs.set(job.jobId, job);
+    this.onEvent('started', job);
+
+    job.promise = Promise.resolve()
+      .then(() => run(progress => this._update(job, progress)))
+      .then(result => {
+        job.status = 'completed';
+        job.phase = 'done';
+        job.mergedBytes = job.totalBytes;
+        job.result = result;
+      }, error => {
+        job.status = 'failed';
+        job.error = MergeJobs.describeError(error);
+        if (!(error instanceof UploadError)) {
+          logger.error('合并任务出错', { jobId: job.jobId, uploadId: job.uploadId, err: error });
+        }
+      })
+      .then(() => {
+        job.finishedAt = job.updatedAt = Date.now();
+        this._notify(job, job.status);
+      });
+
+    return job;
+  }
+
+  /**
+   * 查询任务，不存在或已过保留期时返回null
+   *
+   * @param {string} jobId - 任务ID
+   * @returns {Object|null}
+   */
+  get(jobId) {
+    this._prune();
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * 上传会话进行中的合并任务
+   *
+   * @param {string} uploadId - 上传ID
+   * @returns {Object|null}
+   */
+  findRunning(uploadId) {
+    for (const job of this.jobs.values()) {
+      if (job.uploadId === uploadId && job.status === 'running') {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 等待任务结束
+   *
+   * @param {Object} job - 任务
+   * @returns {Promise<Object>} 结束时的任务
+   */
+  async wait(job) {
+    await job.promise;
+    return job;
+  }
+
+  /**
+   * 订阅任务的进度和结束事件
+   *
+   * @param {string} jobId - 任务ID
+   * @param {Function} listener - (event, job) event 为 progress、completed 或 failed
+   * @returns {Function} 取消订阅
+   */
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.removeListener(jobId, listener);
+  }
+
+  /**
+   * 返回给客户端的任务信息
+   *
+   * @param {Object} job - 任务
+   * @returns {Object}
+   */
+  static describe(job) {
+    return {
+      jobId: job.jobId,
+      uploadId: job.uploadId,
+      fileName: job.fileName,
+      status: job.status,
+      phase: job.phase,
+      totalBytes: job.totalBytes,
+      mergedBytes: job.mergedBytes,
+      currentChunk: job.currentChunk,
+      totalChunks: job.totalChunks,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * 任务失败的原因，格式与接口的错误响应一致
+   *
+   * @param {Error} error - 错误
+   * @returns {{status: number, code: number, message: string, data: *}}
+   */
+  static describeError(error) {
+    if (error instanceof UploadError) {
+      return { status: error.status, code: error.code, message: error.message, data: error.data };
+    }
+    return { status: 500, code: 500, message: `合并文件失败: ${error.message}`, data: null };
+  }
+
+  _update(job, progress) {
+    const phaseChanged = progress.phase !== undefined && progress.phase !== job.phase;
+    ['phase', 'mergedBytes', 'currentChunk'].forEach(key => {
+      if (progress[key] !== undefined) {
+        job[key] = progress[key];
+      }
+    });
+    job.updatedAt = Date.now();
+
+    if (phaseChanged || job.updatedAt - job.notifiedAt >= PROGRESS_INTERVAL) {
+      this._notify(job, 'progress');
+    }
+  }
+
+  _notify(job, event) {
+    job.notifiedAt = Date.now();
+    this.events.emit(job.jobId, event, job);
+    this.onEvent(event, job);
+  }
+
+  // 删除超过保留期的已结束任务
+  _prune() {
+    const expiredBefore = Date.now() - this.retention;
+    this.jobs.forEach((job, jobId) => {
+      if (job.finishedAt && job.finishedAt < expiredBefore) {
+        this.jobs.delete(jobId);
+      }
+    });
+  }
+}
+
+module.exports = MergeJobs;
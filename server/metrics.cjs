@@ -0,0 +1,200 @@
+/**
+ * Prometheus 指标
+ *
+ * 一个精简的指标注册表，支持计数器（counter）、仪表（gauge）和直方图（histogram），
+ * 按 Prometheus 文本格式（text/plain; version=0.0.4）输出，由 /metrics 接口提供给Prometheus抓取。
+ *
+ * 指标的值保存在内存中，服务重启后从0开始（Prometheus的rate/increase会正确处理计数器重置）。
+ * 仪表可以提供 collect 回调，在每次抓取时计算当前值（例如活跃会话数、临时目录占用）。
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 默认的直方图分桶（秒），覆盖从几毫秒的小文件到几十分钟的大文件合并
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+function escapeHelp(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // 标签值组合 -> { labels, value }
+    this.series = new Map();
+  }
+
+  _series(labels = {}) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    let series = this.series.get(key);
+    if (!series) {
+      const seriesLabels = {};
+      this.labelNames.forEach((name, i) => {
+        seriesLabels[name] = values[i];
+      });
+      series = { labels: seriesLabels, value: 0 };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  _header() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  async render() {
+    return this._header().concat(Array.from(this.series.values()).map(series =>
+      `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`
+    ));
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    // 没有标签的计数器从0开始输出，便于告警规则区分“没有发生”和“没有数据”
+    if (this.labelNames.length === 0) {
+      this._series();
+    }
+  }
+
+  /**
+   * @param {Object} [labels] - 标签
+   * @param {number} [value=1] - 增加的值，不能为负数
+   */
+  inc(labels, value = 1) {
+    if (value < 0) {
+      throw new Error(`计数器 ${this.name} 不能减少`);
+    }
+    this._series(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {string} name - 指标名称
+   * @param {string} help - 说明
+   * @param {string[]} [labelNames] - 标签名称
+   * @param {Function} [collect] - async (gauge) 抓取时调用，通过 gauge.set 设置当前值
+   */
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect || null;
+  }
+
+  set(labels, value) {
+    this._series(labels).value = value;
+  }
+
+  async render() {
+    if (this.collect) {
+      // 每次抓取重新计算，已经不存在的标签组合不再输出
+      this.series.clear();
+      await this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * @param {Object} labels - 标签
+   * @param {number} value - 观测值
+   */
+  observe(labels, value) {
+    const series = this._series(labels);
+    if (!series.counts) {
+      series.counts = this.buckets.map(() => 0);
+      series.sum = 0;
+      series.count = 0;
+    }
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  async render() {
+    const lines = this._header();
+    this.series.forEach(series => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this._register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * 按 Prometheus 文本格式输出所有指标
+   *
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const blocks = [];
+    for (const metric of this.metrics) {
+      blocks.push((await metric.render()).join('\n'));
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+
+  _register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`指标 ${metric.name} 已存在`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = MetricsRegistry;
@@ -0,0 +1,140 @@
+/**
+ * PersistentMap - 带日志持久化的Map
+ *
+ * 在普通Map的基础上，把每一次 set/delete/clear 操作以JSON行的形式追加到
+ * `<dataDir>/<name>.journal` 日志文件中。启动时先读取快照 `<name>.json`，
+ * 再按顺序回放日志，从而在服务重启或崩溃后恢复全部数据。
+ *
+ * 日志条目数超过阈值时会自动压缩：把当前内容写成新的快照（先写临时文件再rename，
+ * 保证原子性），然后清空日志。
+ *
+ * 注意：值对象被原地修改（例如 taskInfo.uploadedChunks.push）时Map感知不到，
+ * 需要调用 save(key) 把最新状态写入日志。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger.cjs');
+
+class PersistentMap extends Map {
+  /**
+   * @param {string} dataDir - 数据目录
+   * @param {string} name - 存储名称，用作快照和日志文件名
+   * @param {Object} [options] - 配置选项
+   * @param {number} [options.compactThreshold=1000] - 触发压缩的日志条目数
+   */
+  constructor(dataDir, name, options = {}) {
+    super();
+
+    this.dataDir = dataDir;
+    this.name = name;
+    this.snapshotPath = path.join(dataDir, `${name}.json`);
+    this.journalPath = path.join(dataDir, `${name}.journal`);
+    this.compactThreshold = options.compactThreshold || 1000;
+    this.journalSize = 0;
+
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    this._load();
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this._append({ op: 'set', key, value });
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed) {
+      this._append({ op: 'delete', key });
+    }
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    this._append({ op: 'clear' });
+  }
+
+  /**
+   * 值对象被原地修改后调用，把最新状态写入日志
+   *
+   * @param {string} key - 被修改的键
+   */
+  save(key) {
+    if (super.has(key)) {
+      this._append({ op: 'set', key, value: super.get(key) });
+    }
+  }
+
+  /**
+   * 把当前内容写成快照并清空日志
+   */
+  compact() {
+    const tempPath = `${this.snapshotPath}.tmp`;
+    const entries = Array.from(super.entries());
+
+    fs.writeFileSync(tempPath, JSON.stringify(entries));
+    fs.renameSync(tempPath, this.snapshotPath);
+    fs.writeFileSync(this.journalPath, '');
+    this.journalSize = 0;
+  }
+
+  // 读取快照并回放日志
+  _load() {
+    if (fs.existsSync(this.snapshotPath)) {
+      try {
+        const entries = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        entries.forEach(([key, value]) => super.set(key, value));
+      } catch (error) {
+        logger.error('读取快照失败', { path: this.snapshotPath, err: error });
+      }
+    }
+
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+
+      lines.forEach(line => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // 崩溃时最后一行可能只写了一半，直接跳过
+          logger.warn('跳过损坏的日志条目', { path: this.journalPath });
+          return;
+        }
+
+        if (entry.op === 'set') {
+          super.set(entry.key, entry.value);
+        } else if (entry.op === 'delete') {
+          super.delete(entry.key);
+        } else if (entry.op === 'clear') {
+          super.clear();
+        }
+        this.journalSize++;
+      });
+    }
+
+    // 启动时把回放结果固化为快照，避免日志无限增长
+    if (this.journalSize > 0) {
+      this.compact();
+    }
+  }
+
+  // 追加一条日志，必要时触发压缩
+  _append(entry) {
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + '\n');
+    this.journalSize++;
+
+    if (this.journalSize >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+}
+
+module.exports = PersistentMap;
@@ -0,0 +1,294 @@
+/**
+ * UploadPolicy - 上传策略：文件大小、扩展名、内容类型和存储配额
+ *
+ * 各上传协议在创建会话时检查文件名、大小和配额，在收到文件开头的数据时按魔数识别内容类型，
+ * 违反策略的请求在任何数据保存到存储后端之前被拒绝（UploadError）。
+ *
+ * 配额按用户和全局分别计算：已用空间来自调用方提供的 getStoredUsage，
+ * 未完成的上传会话按声明的文件大小预占，避免多个并发上传同时通过检查后超出配额。
+ */
+
+const { ERROR_CODES, UploadError } = require('./errors.cjs');
+
+// 识别内容类型需要的文件开头字节数（tar的魔数在偏移257处）
+const HEAD_SIZE = 512;
+
+const SIZE_UNITS = { K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+// 内容类型的魔数：offset 处的字节与 bytes 一致（bytes 中的null表示任意字节）
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-bzip2', bytes: [0x42, 0x5a, 0x68] },
+  { type: 'application/x-xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { type: 'application/zstd', bytes: [0x28, 0xb5, 0x2f, 0xfd] },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { type: 'application/x-tar', offset: 257, bytes: [0x75, 0x73, 0x74, 0x61, 0x72] },
+  { type: 'application/vnd.sqlite3', bytes: Array.from(Buffer.from('SQLite format 3\0')) },
+  { type: 'video/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+  { type: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: 'audio/wav', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { type: 'audio/flac', bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { type: 'application/x-msdownload', bytes: [0x4d, 0x5a] },
+  { type: 'application/x-executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { type: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { type: 'application/x-mach-binary', bytes: [0xfe, 0xed, 0xfa, 0xcf] },
+  { type: 'application/java-vm', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { type: 'text/x-shellscript', bytes: [0x23, 0x21] }
+];
+
+/**
+ * 解析字节数配置，支持 K/M/G/T 后缀（1024进制），例如 "10G"
+ *
+ * @param {string} value - 配置值
+ * @param {number|null} defaultValue - 未配置时的默认值
+ * @returns {number|null} 字节数，0 或未配置且没有默认值时返回null（不限制）
+ */
+function parseSize(value, defaultValue = null) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*([KMGT])?B?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`无法解析的大小配置: ${value}`);
+  }
+  const bytes = Math.floor(Number(match[1]) * (match[2] ? SIZE_UNITS[match[2].toUpperCase()] : 1));
+  return bytes > 0 ? bytes : null;
+}
+
+// 解析逗号分隔的列表，统一为小写
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// 扩展名统一为带点的形式，例如 "exe" -> ".exe"
+function parseExtensions(value) {
+  return parseList(value).map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+}
+
+// 解析按用户配置的配额，格式：<用户ID>:<大小>，多个之间用逗号分隔
+function parseUserQuotas(value) {
+  const quotas = new Map();
+  (value || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+    const index = item.lastIndexOf(':');
+    if (index <= 0) {
+      throw new Error(`用户配额配置格式错误: ${item}`);
+    }
+    quotas.set(item.slice(0, index), parseSize(item.slice(index + 1)));
+  });
+  return quotas;
+}
+
+/**
+ * 按文件开头的字节识别内容类型
+ *
+ * @param {Buffer} head - 文件开头的数据，最多需要 HEAD_SIZE 字节
+ * @returns {string} MIME类型，无法识别时为 application/octet-stream
+ */
+function detectContentType(head) {
+  const signature = SIGNATURES.find(({ offset = 0, bytes }) => {
+    return head.length >= offset + bytes.length &&
+      bytes.every((byte, i) => byte === null || head[offset + i] === byte);
+  });
+  return signature ? signature.type : 'application/octet-stream';
+}
+
+// 类型规则支持通配，例如 image/*
+function matchesType(type, patterns) {
+  return patterns.some(pattern => (pattern.endsWith('/*')
+    ? type.startsWith(pattern.slice(0, -1))
+    : type === pattern));
+}
+
+// 会话预占的空间：未完成的会话按声明的文件大小计算，S3分片上传没有声明大小时按已上传的分片计算
+function reservedBytes(taskInfo) {
+  if (taskInfo.completedAt) {
+    return 0;
+  }
+  if (taskInfo.fileSize) {
+    return taskInfo.fileSize;
+  }
+  return Object.values(taskInfo.parts || {}).reduce((sum, part) => sum + part.size, 0);
+}
+
+class UploadPolicy {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Map} options.uploadTasks - 上传会话存储，用于计算预占的空间
+   * @param {Function} options.getStoredUsage - async () => { total, byOwner: Map<用户ID, 字节数> }
+   * @param {number} options.maxFileSize - 单个文件的最大大小
+   * @param {number|null} [options.userQuota] - 每个用户的默认配额，null为不限制
+   * @param {Map<string, number|null>} [options.userQuotas] - 按用户配置的配额
+   * @param {number|null} [options.globalQuota] - 所有用户合计的配额
+   * @param {string[]} [options.allowedExtensions] - 允许的扩展名，为空时不限制
+   * @param {string[]} [options.blockedExtensions] - 禁止的扩展名
+   * @param {string[]} [options.allowedTypes] - 允许的内容类型，为空时不限制
+   * @param {string[]} [options.blockedTypes] - 禁止的内容类型
+   */
+  constructor(options) {
+    this.uploadTasks = options.uploadTasks;
+    this.getStoredUsage = options.getStoredUsage;
+    this.maxFileSize = options.maxFileSize;
+    this.userQuota = options.userQuota || null;
+    this.userQuotas = options.userQuotas || new Map();
+    this.globalQuota = options.globalQuota || null;
+    this.allowedExtensions = options.allowedExtensions || [];
+    this.blockedExtensions = options.blockedExtensions || [];
+    this.allowedTypes = options.allowedTypes || [];
+    this.blockedTypes = options.blockedTypes || [];
+  }
+
+  // 是否配置了内容类型规则，没有配置时无需读取文件开头的数据
+  checksContent() {
+    return this.allowedTypes.length > 0 || this.blockedTypes.length > 0;
+  }
+
+  getUserQuota(owner) {
+    return this.userQuotas.has(owner) ? this.userQuotas.get(owner) : this.userQuota;
+  }
+
+  /**
+   * 检查文件名和文件大小
+   *
+   * @param {string} fileName - 客户端提供的文件名
+   * @param {number} fileSize - 文件大小
+   * @throws {UploadError} 违反策略时抛出
+   */
+  checkFile(fileName, fileSize) {
+    if (fileSize > this.maxFileSize) {
+      throw new UploadError(413, ERROR_CODES.FILE_TOO_LARGE, `文件大小超过限制（最大 ${this.maxFileSize} 字节）`, {
+        fileSize,
+        maxFileSize: this.maxFileSize
+      });
+    }
+
+    const name = String(fileName).toLowerCase();
+    const blocked = this.blockedExtensions.find(ext => name.endsWith(ext));
+    if (blocked) {
+      throw new UploadError(415, ERROR_CODES.FILE_TYPE_NOT_ALLOWED, `不允许上传 ${blocked} 类型的文件`, {
+        extension: blocked
+      });
+    }
+    if (this.allowedExtensions.length > 0 && !this.allowedExtensions.some(ext => name.endsWith(ext))) {
+      throw new UploadError(415, ERROR_CODES.FILE_TYPE_NOT_ALLOWED, `只允许上传以下类型的文件: ${this.allowedExtensions.join(' ')}`, {
+        allowedExtensions: this.allowedExtensions
+      });
+    }
+  }
+
+  /**
+   * 按文件开头的字节检查内容类型
+   *
+   * @param {Buffer} head - 文件开头的数据
+   * @returns {string} 识别出的内容类型
+   * @throws {UploadError} 内容类型不允许时抛出
+   */
+  checkContent(head) {
+    const contentType = detectContentType(head);
+
+    if (matchesType(contentType, this.blockedTypes) ||
+        (this.allowedTypes.length > 0 && !matchesType(contentType, this.allowedTypes))) {
+      throw new UploadError(415, ERROR_CODES.CONTENT_TYPE_NOT_ALLOWED, `不允许上传该内容类型的文件: ${contentType}`, {
+        contentType
+      });
+    }
+
+    return contentType;
+  }
+
+  /**
+   * 查询用户和全局的配额使用情况
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} [excludeUploadId] - 不计入预占空间的会话（检查该会话自身时使用）
+   * @returns {Promise<Object>} { quota, used, reserved, remaining, global: {...} }，不限制时quota和remaining为null
+   */
+  async getUsage(owner, excludeUploadId) {
+    const stored = await this.getStoredUsage();
+    let userReserved = 0;
+    let globalReserved = 0;
+
+    this.uploadTasks.forEach(taskInfo => {
+      if (taskInfo.uploadId === excludeUploadId) return;
+      const bytes = reservedBytes(taskInfo);
+      globalReserved += bytes;
+      if (taskInfo.owner === owner) {
+        userReserved += bytes;
+      }
+    });
+
+    const summarize = (quota, used, reserved) => ({
+      quota,
+      used,
+      reserved,
+      remaining: quota === null ? null : Math.max(0, quota - used - reserved)
+    });
+
+    return {
+      ...summarize(this.getUserQuota(owner), stored.byOwner.get(owner) || 0, userReserved),
+      global: summarize(this.globalQuota, stored.total, globalReserved)
+    };
+  }
+
+  /**
+   * 检查新增的空间是否超出用户或全局配额
+   *
+   * @param {string} owner - 用户ID
+   * @param {number} bytes - 需要新增的空间（覆盖同名文件时可以扣除旧文件的大小）
+   * @param {string} [excludeUploadId] - 正在检查的会话，不计入预占空间
+   * @throws {UploadError} 超出配额时抛出
+   */
+  async checkQuota(owner, bytes, excludeUploadId) {
+    if (this.getUserQuota(owner) === null && this.globalQuota === null) {
+      return;
+    }
+
+    const usage = await this.getUsage(owner, excludeUploadId);
+
+    if (usage.remaining !== null && bytes > usage.remaining) {
+      throw new UploadError(413, ERROR_CODES.QUOTA_EXCEEDED, '存储空间不足，超出用户配额', {
+        required: bytes,
+        quota: usage.quota,
+        used: usage.used,
+        reserved: usage.reserved,
+        remaining: usage.remaining
+      });
+    }
+    if (usage.global.remaining !== null && bytes > usage.global.remaining) {
+      throw new UploadError(413, ERROR_CODES.QUOTA_EXCEEDED, '服务器存储空间不足', {
+        required: bytes,
+        remaining: usage.global.remaining
+      });
+    }
+  }
+
+  // 当前生效的策略，提供给客户端在上传前自行检查
+  describe() {
+    return {
+      maxFileSize: this.maxFileSize,
+      allowedExtensions: this.allowedExtensions,
+      blockedExtensions: this.blockedExtensions,
+      allowedTypes: this.allowedTypes,
+      blockedTypes: this.blockedTypes
+    };
+  }
+}
+
+module.exports = {
+  UploadPolicy,
+  HEAD_SIZE,
+  detectContentType,
+  parseSize,
+  parseList,
+  parseExtensions,
+  parseUserQuotas
+};
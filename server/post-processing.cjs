@@ -0,0 +1,350 @@
+/**
+ * PostProcessing - 上传完成后的处理流水线
+ *
+ * 文件的新版本保存后，按配置的顺序依次执行处理钩子（病毒扫描、校验和清单、元数据提取、Webhook通知等），
+ * 每个钩子的状态、尝试次数、结果和错误记录在版本的 processing 字段中，随文件目录一起持久化。
+ *
+ * 阻塞钩子（例如病毒扫描）全部通过之前，版本处于隔离状态（processing.quarantined 为true）：
+ * 不能下载，也不能用于秒传。阻塞钩子拒绝文件（抛出 HookRejection）后版本一直保持隔离，
+ * 之后的阻塞钩子不再执行，非阻塞钩子（例如Webhook）仍然执行，以便通知处理结果。
+ *
+ * 钩子出错时按指数退避重试，超过最大尝试次数后记为失败；阻塞钩子失败时版本保持隔离，管理员可以重新执行。
+ * 服务重启后，未完成的版本从未完成的钩子继续执行。
+ *
+ * 版本的 processing 字段：
+ *   { status, quarantined, startedAt, finishedAt, hooks: [{ name, blocking, status, attempts, startedAt, finishedAt, result, error }] }
+ *   status：pending -> running -> completed / rejected（阻塞钩子拒绝）/ failed（阻塞钩子多次出错）
+ *   钩子的 status：pending、running、passed、rejected、failed、skipped
+ * 没有 processing 字段的版本（未启用处理钩子时上传的文件）视为已通过。
+ */
+
+const { logger } = require('./logger.cjs');
+
+/**
+ * 钩子拒绝文件时抛出的错误，不会重试
+ */
+class HookRejection extends Error {
+  /**
+   * @param {string} message - 拒绝的原因
+   * @param {Object} [result] - 记录在钩子结果中的数据
+   */
+  constructor(message, result) {
+    super(message);
+    this.name = 'HookRejection';
+    this.result = result || null;
+  }
+}
+
+// 钩子已经结束的状态
+const FINISHED = ['passed', 'rejected', 'failed', 'skipped'];
+
+class PostProcessing {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Object[]} options.hooks - 钩子，按执行顺序排列：{ name, blocking, maxAttempts?, run: async (context) => result }
+   * @param {FileCatalog} options.catalog - 文件目录
+   * @param {Function} options.openVersion - (owner, version, start, end) 读取版本内容的流
+   * @param {number} [options.maxAttempts=3] - 钩子出错时的最大尝试次数
+   * @param {number} [options.retryDelay=1000] - 第一次重试前等待的时间（毫秒），之后每次加倍
+   * @param {number} [options.concurrency=2] - 同时处理的版本数
+   * @param {Function} [options.onHookFinished] - (hook, record) 钩子结束时的回调，用于统计
+   */
+  constructor(options) {
+    this.hooks = options.hooks;
+    this.catalog = options.catalog;
+    this.openVersion = options.openVersion;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelay = options.retryDelay === undefined ? 1000 : options.retryDelay;
+    this.concurrency = options.concurrency || 2;
+    this.onHookFinished = options.onHookFinished || (() => {});
+    // 等待处理的版本：{ owner, versionId }
+    this.queue = [];
+    // 正在处理的版本ID
+    this.active = new Set();
+  }
+
+  get enabled() {
+    return this.hooks.length > 0;
+  }
+
+  /**
+   * 新版本的初始处理状态，未启用处理钩子时返回null
+   *
+   * @returns {Object|null}
+   */
+  createState() {
+    if (!this.enabled) return null;
+    return {
+      status: 'pending',
+      quarantined: this.hooks.some(hook => hook.blocking),
+      startedAt: null,
+      finishedAt: null,
+      hooks: this.hooks.map(hook => ({
+        name: hook.name,
+        blocking: hook.blocking,
+        status: 'pending',
+        attempts: 0,
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null
+      }))
+    };
+  }
+
+  /**
+   * 把版本加入处理队列
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} versionId - 版本ID
+   */
+  enqueue(owner, versionId) {
+    if (this.active.has(versionId) || this.queue.some(item => item.versionId === versionId)) {
+      return;
+    }
+    this.queue.push({ owner, versionId });
+    this._drain();
+  }
+
+  /**
+   * 服务启动时继续处理未完成的版本
+   *
+   * @returns {number} 加入队列的版本数
+   */
+  resume() {
+    let count = 0;
+    this.catalog.list().forEach(entry => {
+      entry.versions.forEach(version => {
+        const processing = version.processing;
+        if (processing && (processing.status === 'pending' || processing.status === 'running')) {
+          // 重启时正在执行的钩子重新执行
+          processing.hooks.forEach(record => {
+            if (record.status === 'running') {
+              record.status = 'pending';
+            }
+          });
+          this.enqueue(entry.owner, version.versionId);
+          count++;
+        }
+      });
+    });
+    return count;
+  }
+
+  /**
+   * 重新执行失败、拒绝或跳过的钩子（例如扫描服务恢复或病毒库更新后）
+   *
+   * @param {string} owner - 用户ID
+   * @param {string} versionId - 版本ID
+   * @returns {Object|null} 版本，不存在、没有处理记录或正在处理时返回null
+   */
+  retry(owner, versionId) {
+    const found = this.catalog.findVersion(owner, versionId);
+    if (!found || !found.version.processing || this.active.has(versionId)) {
+      return null;
+    }
+
+    const { entry, version } = found;
+    const processing = version.processing;
+    processing.hooks.forEach(record => {
+      if (record.status !== 'passed') {
+        Object.assign(record, { status: 'pending', attempts: 0, result: null, error: null, startedAt: null, finishedAt: null });
+      }
+    });
+    processing.status = 'pending';
+    processing.finishedAt = null;
+    processing.quarantined = processing.hooks.some(record => record.blocking && record.status !== 'passed');
+    this.catalog.updateVersion(owner, entry.name, versionId, { processing });
+
+    this.enqueue(owner, versionId);
+    return version;
+  }
+
+  getStats() {
+    return {
+      hooks: this.hooks.map(hook => ({ name: hook.name, blocking: hook.blocking })),
+      queued: this.queue.length,
+      running: this.active.size
+    };
+  }
+
+  /**
+   * 版本是否处于隔离状态（不能下载，也不能用于秒传）
+   *
+   * @param {Object} version - 版本
+   * @returns {boolean}
+   */
+  static isQuarantined(version) {
+    return Boolean(version.processing && version.processing.quarantined);
+  }
+
+  /**
+   * 返回给客户端的版本状态：available（可用）、quarantined（检查中或检查失败）、rejected（被拒绝）
+   *
+   * @param {Object} version - 版本
+   * @returns {{status: string, processing: Object|null}}
+   */
+  static describe(version) {
+    const processing = version.processing || null;
+    let status = 'available';
+    if (PostProcessing.isQuarantined(version)) {
+      status = processing.status === 'rejected' ? 'rejected' : 'quarantined';
+    }
+    return {
+      status,
+      processing: processing && {
+        status: processing.status,
+        startedAt: processing.startedAt,
+        finishedAt: processing.finishedAt,
+        hooks: processing.hooks.map(record => ({
+          name: record.name,
+          blocking: record.blocking,
+          status: record.status,
+          attempts: record.attempts,
+          result: record.result,
+          error: record.error
+        }))
+      }
+    };
+  }
+
+  _drain() {
+    while (this.active.size < this.concurrency && this.queue.length > 0) {
+      const { owner, versionId } = this.queue.shift();
+      this.active.add(versionId);
+      this._process(owner, versionId)
+        .catch(error => logger.error('处理上传的文件出错', { owner, versionId, err: error }))
+        .then(() => {
+          this.active.delete(versionId);
+          this._drain();
+        });
+    }
+  }
+
+  async _process(owner, versionId) {
+    let found = this.catalog.findVersion(owner, versionId);
+    if (!found || !found.version.processing) return;
+
+    const processing = found.version.processing;
+    const log = logger.child({ owner, versionId });
+    processing.status = 'running';
+    processing.startedAt = processing.startedAt || Date.now();
+    this._save(owner, versionId);
+
+    // 阻塞钩子拒绝或失败后，之后的阻塞钩子不再执行
+    let blocked = processing.hooks.some(record => record.blocking && (record.status === 'rejected' || record.status === 'failed'));
+
+    for (const record of processing.hooks) {
+      if (FINISHED.includes(record.status)) continue;
+
+      const hook = this.hooks.find(item => item.name === record.name);
+      if (!hook || (record.blocking && blocked)) {
+        record.status = 'skipped';
+        record.error = hook ? null : '钩子已不在配置中';
+        this._save(owner, versionId);
+        continue;
+      }
+
+      await this._runHook(hook, record, owner, versionId, log);
+
+      // 版本在处理过程中被删除时停止
+      found = this.catalog.findVersion(owner, versionId);
+      if (!found) {
+        log.info('版本已删除，停止处理');
+        return;
+      }
+
+      if (record.blocking && record.status !== 'passed') {
+        blocked = true;
+      }
+      // 阻塞钩子全部通过后立即解除隔离，不等待之后的非阻塞钩子
+      if (processing.quarantined && !blocked &&
+          processing.hooks.every(item => !item.blocking || item.status === 'passed')) {
+        processing.quarantined = false;
+        log.info('文件已通过检查，解除隔离', { fileName: found.entry.name });
+      }
+      this._save(owner, versionId);
+    }
+
+    const blockingFailure = processing.hooks.find(record => record.blocking && record.status !== 'passed');
+    if (!blockingFailure) {
+      processing.status = 'completed';
+    } else {
+      processing.status = blockingFailure.status === 'rejected' ? 'rejected' : 'failed';
+    }
+    processing.finishedAt = Date.now();
+    this._save(owner, versionId);
+
+    log.log(processing.status === 'completed' ? 'info' : 'warn', '文件处理完成', {
+      fileName: found.entry.name,
+      status: processing.status,
+      quarantined: processing.quarantined,
+      hooks: processing.hooks.map(record => `${record.name}:${record.status}`)
+    });
+  }
+
+  // 执行一个钩子，出错时重试，结果记录在 record 中
+  async _runHook(hook, record, owner, versionId, log) {
+    const maxAttempts = hook.maxAttempts || this.maxAttempts;
+
+    while (record.attempts < maxAttempts) {
+      const found = this.catalog.findVersion(owner, versionId);
+      if (!found) return;
+
+      const { entry, version } = found;
+      record.status = 'running';
+      record.attempts++;
+      record.startedAt = Date.now();
+      this._save(owner, versionId);
+
+      try {
+        const result = await hook.run({
+          owner,
+          fileName: entry.name,
+          version,
+          processing: version.processing,
+          createReadStream: (start, end) => this.openVersion(owner, version, start, end),
+          log: log.child({ hook: hook.name })
+        });
+        Object.assign(record, { status: 'passed', result: result === undefined ? null : result, error: null });
+      } catch (error) {
+        if (error instanceof HookRejection) {
+          Object.assign(record, { status: 'rejected', result: error.result, error: error.message });
+          log.warn('钩子拒绝了文件', { hook: hook.name, fileName: entry.name, reason: error.message });
+        } else {
+          record.error = error.message;
+          if (record.attempts < maxAttempts) {
+            const delay = this.retryDelay * 2 ** (record.attempts - 1);
+            log.warn('钩子执行出错，稍后重试', { hook: hook.name, attempts: record.attempts, delay, err: error });
+            record.status = 'pending';
+            this._save(owner, versionId);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            continue;
+          }
+          record.status = 'failed';
+          log.error('钩子多次执行出错', { hook: hook.name, attempts: record.attempts, err: error });
+        }
+      }
+
+      record.finishedAt = Date.now();
+      this.onHookFinished(hook, record);
+      return;
+    }
+
+    // 服务重启前已经用完了尝试次数
+    Object.assign(record, { status: 'failed', finishedAt: Date.now() });
+    this.onHookFinished(hook, record);
+  }
+
+  // 按版本ID保存（文件可能在处理过程中被重命名）
+  _save(owner, versionId) {
+    const found = this.catalog.findVersion(owner, versionId);
+    if (found) {
+      this.catalog.updateVersion(owner, found.entry.name, versionId, {});
+    }
+  }
+}
+
+PostProcessing.HookRejection = HookRejection;
+
+module.exports = PostProcessing;
@@ -0,0 +1,303 @@
+/**
+ * PreallocatedUploads - 预分配目标文件、分片按偏移直接写入的上传方式
+ *
+ * 普通的上传方式中，分片先由multer写入暂存目录，再移动到会话中保存为 chunk-N，
+ * 合并时再完整复制一遍，一个10GB的文件要在磁盘上写两次，合并接口也要等待整个复制过程。
+ *
+ * 这种方式在初始化时创建与文件一样大的目标文件（sessions/<uploadId>/data，稀疏文件），
+ * 分片的请求体不经过暂存目录，边接收边计算MD5，直接写入目标文件中该分片的区间（见 chunk-layout.cjs）；
+ * 完成上传时只需要校验整文件摘要并把目标文件rename到 uploads/，没有合并过程。
+ *
+ * 整文件摘要在上传过程中按顺序增量计算：每个分片写入完成后，从已计算到的位置开始读取连续的已完成分片
+ * （刚写入的数据通常还在页缓存中），完成上传时只需要计算剩余的部分。增量计算的状态只保存在内存中，
+ * 服务重启后在完成上传时从头计算。
+ *
+ * 需要直接读写本地文件，只适用于本地存储后端（storage.localPath）。
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { sessionKey } = require('./storage/index.cjs');
+const { HEAD_SIZE } = require('./policy.cjs');
+const { getChunkRange } = require('./chunk-layout.cjs');
+const { logger } = require('./logger.cjs');
+
+// 会话中目标文件的名称
+const DATA_NAME = 'data';
+
+class PreallocatedUploads {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {StorageBackend} options.storage - 存储后端，必须支持 localPath
+   * @param {Map} options.uploadTasks - 上传会话存储
+   */
+  constructor(options) {
+    this.storage = options.storage;
+    this.uploadTasks = options.uploadTasks;
+    // uploadId -> { hash, offset, index, pending } 增量计算中的整文件摘要，index 为下一个要计算的分片
+    this.digests = new Map();
+    // uploadId -> Map(chunkIndex -> writeId) 各分片最近一次开始的写入
+    this.writes = new Map();
+    this.nextWriteId = 1;
+  }
+
+  /**
+   * 存储后端是否支持这种上传方式
+   *
+   * @param {StorageBackend} storage - 存储后端
+   * @returns {boolean}
+   */
+  static isSupported(storage) {
+    return storage.localPath(sessionKey('_', DATA_NAME)) !== null;
+  }
+
+  /**
+   * 目标文件在会话中的键
+   *
+   * @param {string} uploadId - 上传ID
+   * @returns {string}
+   */
+  dataKey(uploadId) {
+    return sessionKey(uploadId, DATA_NAME);
+  }
+
+  /**
+   * 创建与文件一样大的目标文件
+   *
+   * @param {string} uploadId - 上传ID
+   * @param {number} fileSize - 文件大小
+   * @returns {Promise<void>}
+   */
+  async create(uploadId, fileSize) {
+    const filePath = this.storage.localPath(this.dataKey(uploadId));
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    const handle = await fsp.open(filePath, 'w');
+    try {
+      await handle.truncate(fileSize);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 把分片的请求体写入目标文件中该分片的区间，边写边计算MD5
+   *
+   * 分片的区间需要已经确定（自适应分片在写入前登记）。超出分片区间的数据不会被写入，不会破坏相邻的分片；由调用方根据返回的大小和摘要决定是否接受该分片。
+   * 写入之前会把该分片标记为未完成，覆盖已完成的分片后需要调用方重新标记；
+   * 标记之前需要用 isLatestWrite 确认写入期间没有其他请求再写入同一个分片。
+   *
+   * @param {Object} taskInfo - 上传会话
+   * @param {number} chunkIndex - 分片序号
+   * @param {stream.Readable} stream - 请求体
+   * @param {Function} [inspectHead] - async (head) 写入第一个字节之前检查文件开头的数据，抛出异常时放弃写入
+   * @returns {Promise<{size: number, hash: string, writeId: number}>} 收到的字节数、MD5和本次写入的ID
+   */
+  async writeChunk(taskInfo, chunkIndex, stream, inspectHead) {
+    const range = getChunkRange(taskInfo, chunkIndex);
+    if (!range) {
+      throw new Error(`分片 ${chunkIndex} 的区间尚未确定`);
+    }
+    const start = range.start;
+    const end = start + range.size;
+    const writeId = this.nextWriteId++;
+    this._invalidate(taskInfo, chunkIndex);
+    if (!this.writes.has(taskInfo.uploadId)) {
+      this.writes.set(taskInfo.uploadId, new Map());
+    }
+    this.writes.get(taskInfo.uploadId).set(chunkIndex, writeId);
+
+    const handle = await fsp.open(this.storage.localPath(this.dataKey(taskInfo.uploadId)), 'r+');
+    const hash = crypto.createHash('md5');
+    let position = start;
+    let received = 0;
+    // 检查文件开头之前暂存的数据
+    let head = inspectHead ? [] : null;
+
+    const write = async data => {
+      const length = Math.min(data.length, end - position);
+      if (length > 0) {
+        await handle.write(data, 0, length, position);
+        position += length;
+      }
+    };
+    const flushHead = async () => {
+      const data = Buffer.concat(head);
+      head = null;
+      await inspectHead(data.subarray(0, HEAD_SIZE));
+      await write(data);
+    };
+
+    // 出错后继续读完请求体而不是中断读取，中断会让multer以请求中断的错误结束，调用方收不到原来的错误
+    let failed = null;
+    try {
+      for await (const data of stream) {
+        hash.update(data);
+        received += data.length;
+        if (failed) continue;
+
+        try {
+          if (head) {
+            head.push(data);
+            if (received >= Math.min(HEAD_SIZE, end - start)) {
+              await flushHead();
+            }
+          } else {
+            await write(data);
+          }
+        } catch (error) {
+          failed = error;
+        }
+      }
+      // 请求体比检查需要的字节数还少，分片大小不对，调用方会拒绝该分片，不写入任何数据
+    } finally {
+      await handle.close();
+    }
+
+    if (failed) {
+      throw failed;
+    }
+    return { size: received, hash: hash.digest('hex'), writeId };
+  }
+
+  /**
+   * 写入完成后是否仍是该分片最近一次开始的写入
+   *
+   * 同一个分片可能被两个请求同时写入（例如客户端中止请求后立即重传，服务端还在处理被中止的请求），
+   * 区间中的数据由最后开始的写入决定，之前的写入即使校验通过也不能把分片标记为完成。
+   *
+   * @param {Object} taskInfo - 上传会话
+   * @param {number} chunkIndex - 分片序号
+   * @param {number} writeId - writeChunk 返回的写入ID
+   * @returns {boolean}
+   */
+  isLatestWrite(taskInfo, chunkIndex, writeId) {
+    const writes = this.writes.get(taskInfo.uploadId);
+    return Boolean(writes && writes.get(chunkIndex) === writeId);
+  }
+
+  /**
+   * 分片写入完成后继续计算整文件摘要，按顺序读取连续的已完成分片
+   *
+   * @param {Object} taskInfo - 上传会话
+   * @returns {Promise<void>}
+   */
+  advance(taskInfo) {
+    let state = this.digests.get(taskInfo.uploadId);
+    if (!state) {
+      state = { hash: crypto.createHash('md5'), offset: 0, index: 0, pending: Promise.resolve() };
+      this.digests.set(taskInfo.uploadId, state);
+    }
+
+    // 同一个上传的计算按顺序进行
+    state.pending = state.pending
+      .then(() => this._advance(taskInfo, state))
+      .catch(error => {
+        logger.error('计算整文件摘要出错，完成上传时重新计算', { uploadId: taskInfo.uploadId, err: error });
+        this.digests.delete(taskInfo.uploadId);
+      });
+    return state.pending;
+  }
+
+  /**
+   * 所有分片写入完成后计算剩余部分，返回整文件摘要
+   *
+   * @param {Object} taskInfo - 上传会话
+   * @returns {Promise<string>} 十六进制MD5
+   */
+  async digest(taskInfo) {
+    await this.advance(taskInfo);
+    let state = this.digests.get(taskInfo.uploadId);
+
+    // 计算出错或者计算过程中有分片被覆盖时，从头重新计算一次
+    if (!state || state.offset !== taskInfo.fileSize) {
+      this.digests.delete(taskInfo.uploadId);
+      await this.advance(taskInfo);
+      state = this.digests.get(taskInfo.uploadId);
+    }
+    if (!state || state.offset !== taskInfo.fileSize) {
+      throw new Error('部分分片尚未写入，无法计算整文件摘要');
+    }
+
+    this.digests.delete(taskInfo.uploadId);
+    return state.hash.digest('hex');
+  }
+
+  /**
+   * 丢弃增量计算和写入记录的状态（会话被取消、过期或已完成）
+   *
+   * @param {string} uploadId - 上传ID
+   */
+  forget(uploadId) {
+    this.digests.delete(uploadId);
+    this.writes.delete(uploadId);
+  }
+
+  async _advance(taskInfo, state) {
+    const filePath = this.storage.localPath(this.dataKey(taskInfo.uploadId));
+
+    // 分片按序号首尾相接，从第一个分片开始依次计算
+    while (state.offset < taskInfo.fileSize && taskInfo.uploadedChunks.includes(state.index)) {
+      const range = getChunkRange(taskInfo, state.index);
+      const end = range.start + range.size;
+      for await (const data of fs.createReadStream(filePath, { start: state.offset, end: end - 1 })) {
+        // 计算过程中有分片被覆盖，本次结果作废
+        if (this.digests.get(taskInfo.uploadId) !== state) return;
+        state.hash.update(data);
+      }
+      if (this.digests.get(taskInfo.uploadId) !== state) return;
+      state.offset = end;
+      state.index++;
+    }
+  }
+
+  // 已完成的分片将被覆盖：标记为未完成，已经计算过（或正在计算）这部分的摘要作废
+  _invalidate(taskInfo, chunkIndex) {
+    const index = taskInfo.uploadedChunks.indexOf(chunkIndex);
+    if (index < 0) return;
+
+    taskInfo.uploadedChunks.splice(index, 1);
+    this.uploadTasks.save(taskInfo.uploadId);
+
+    const state = this.digests.get(taskInfo.uploadId);
+    if (state && state.index >= chunkIndex) {
+      this.digests.delete(taskInfo.uploadId);
+    }
+  }
+
+  /**
+   * multer存储引擎：属于预分配上传的分片直接写入目标文件，其他请求交给 fallback 处理
+   *
+   * 需要在表单中把 uploadId、chunkIndex 等字段放在文件之前，引擎处理文件时才能读到这些字段。
+   *
+   * @param {Object} fallback - 其他请求使用的multer存储引擎
+   * @param {Function} resolve - (req) 返回 { taskInfo, chunkIndex, inspectHead }，不属于预分配上传时返回null
+   * @returns {Object} multer存储引擎，写入的分片 req.file.preallocated 为true
+   */
+  storageEngine(fallback, resolve) {
+    return {
+      _handleFile: (req, file, cb) => {
+        const target = resolve(req);
+        if (!target) {
+          return fallback._handleFile(req, file, cb);
+        }
+
+        this.writeChunk(target.taskInfo, target.chunkIndex, file.stream, target.inspectHead)
+          .then(result => cb(null, { ...result, preallocated: true }), error => {
+            // 打开目标文件失败时请求体还没有被读取，放弃剩余的请求体
+            file.stream.resume();
+            cb(error);
+          });
+      },
+      _removeFile: (req, file, cb) => {
+        if (file.preallocated) {
+          return cb(null);
+        }
+        fallback._removeFile(req, file, cb);
+      }
+    };
+  }
+}
+
+module.exports = PreallocatedUploads;
@@ -0,0 +1,151 @@
+/**
+ * AWS Signature Version 4 校验（S3兼容接口使用）
+ *
+ * 只支持Authorization请求头方式的签名（不支持预签名URL），
+ * 使用单个静态的AccessKey/SecretKey。payload校验由调用方根据
+ * x-amz-content-sha256 在接收请求体时完成，这里只校验请求头签名，并要求该请求头包含在签名中。
+ *
+ * 参考: https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+// 允许的客户端时钟偏差
+const MAX_CLOCK_SKEW = 15 * 60 * 1000;
+// 必须包含在签名中的请求头：没有签名的请求头可以被篡改（例如替换payload摘要）而不影响签名
+const REQUIRED_SIGNED_HEADERS = ['host', 'x-amz-content-sha256', 'x-amz-date'];
+
+// RFC3986编码，比encodeURIComponent多编码 !'()*
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// 解析 "AWS4-HMAC-SHA256 Credential=..., SignedHeaders=..., Signature=..."
+function parseAuthorization(header) {
+  if (!header || !header.startsWith(`${ALGORITHM} `)) {
+    return null;
+  }
+
+  const fields = {};
+  header.slice(ALGORITHM.length + 1).split(',').forEach(part => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      fields[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  });
+
+  if (!fields.Credential || !fields.SignedHeaders || !fields.Signature) {
+    return null;
+  }
+
+  const [accessKeyId, date, region, service, terminator] = fields.Credential.split('/');
+  return {
+    accessKeyId,
+    date,
+    region,
+    service,
+    terminator,
+    signedHeaders: fields.SignedHeaders.split(';'),
+    signature: fields.Signature
+  };
+}
+
+// 规范化查询字符串：按键排序，键和值都使用RFC3986编码
+function canonicalQueryString(rawQuery) {
+  if (!rawQuery) return '';
+
+  return rawQuery.split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      const key = decodeURIComponent(index >= 0 ? pair.slice(0, index) : pair);
+      const value = index >= 0 ? decodeURIComponent(pair.slice(index + 1).replace(/\+/g, ' ')) : '';
+      return [encodeRfc3986(key), encodeRfc3986(value)];
+    })
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+}
+
+/**
+ * 校验请求的SigV4签名
+ *
+ * @param {Object} req - Express请求对象
+ * @param {Object} credentials - { accessKeyId, secretAccessKey }
+ * @returns {{ valid: boolean, code?: string, message?: string }}
+ */
+function verifySignature(req, credentials) {
+  const auth = parseAuthorization(req.get('Authorization'));
+  if (!auth) {
+    return { valid: false, code: 'AccessDenied', message: 'Missing or unsupported Authorization header' };
+  }
+
+  if (auth.accessKeyId !== credentials.accessKeyId) {
+    return { valid: false, code: 'InvalidAccessKeyId', message: 'The AWS access key Id you provided does not exist in our records.' };
+  }
+
+  if (auth.service !== 's3' || auth.terminator !== 'aws4_request') {
+    return { valid: false, code: 'AuthorizationHeaderMalformed', message: 'Invalid credential scope' };
+  }
+
+  const unsigned = REQUIRED_SIGNED_HEADERS.filter(name => !auth.signedHeaders.includes(name) || !req.headers[name]);
+  if (unsigned.length) {
+    return { valid: false, code: 'AccessDenied', message: `Missing or unsigned required headers: ${unsigned.join(', ')}` };
+  }
+
+  const amzDate = req.get('x-amz-date');
+  if (!amzDate || !amzDate.startsWith(auth.date)) {
+    return { valid: false, code: 'AccessDenied', message: 'Missing or invalid x-amz-date header' };
+  }
+
+  const requestTime = Date.parse(amzDate.replace(
+    /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+    '$1-$2-$3T$4:$5:$6Z'
+  ));
+  if (Number.isNaN(requestTime) || Math.abs(Date.now() - requestTime) > MAX_CLOCK_SKEW) {
+    return { valid: false, code: 'RequestTimeTooSkewed', message: 'The difference between the request time and the server\'s time is too large.' };
+  }
+
+  const [rawPath, rawQuery] = req.originalUrl.split('?');
+  const canonicalHeaders = auth.signedHeaders
+    .map(name => `${name}:${String(req.headers[name] || '').trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+
+  const canonicalRequest = [
+    req.method,
+    rawPath,
+    canonicalQueryString(rawQuery),
+    canonicalHeaders,
+    auth.signedHeaders.join(';'),
+    req.get('x-amz-content-sha256')
+  ].join('\n');
+
+  const scope = `${auth.date}/${auth.region}/${auth.service}/${auth.terminator}`;
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = [auth.date, auth.region, auth.service, auth.terminator]
+    .reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  const expected = hmac(signingKey, stringToSign).toString('hex');
+
+  const valid = expected.length === auth.signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(auth.signature));
+
+  if (!valid) {
+    return { valid: false, code: 'SignatureDoesNotMatch', message: 'The request signature we calculated does not match the signature you provided.' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  verifySignature
+};
@@ -0,0 +1,701 @@
+/**
+ * S3兼容接口（分片上传子集）
+ *
+ * 在原有的分片/合并机制之上模拟S3的Multipart Upload接口，使AWS SDK、rclone
+ * 等工具可以把本服务作为上传目标（需使用path-style寻址）：
+ *
+ * - CreateMultipartUpload    POST   /<bucket>/<key>?uploads
+ * - UploadPart               PUT    /<bucket>/<key>?partNumber=N&uploadId=ID
+ * - ListParts                GET    /<bucket>/<key>?uploadId=ID
+ * - CompleteMultipartUpload  POST   /<bucket>/<key>?uploadId=ID
+ * - AbortMultipartUpload     DELETE /<bucket>/<key>?uploadId=ID
+ * - ListMultipartUploads     GET    /<bucket>?uploads
+ * - ListObjects / V2         GET    /<bucket>
+ * - PutObject / HeadObject / HeadBucket / ListBuckets（工具上传小文件和检查目标时需要）
+ *
+ * 分片先写入本地暂存目录并校验，再保存为会话中的 part-N，完成时按客户端给出的顺序重命名为
+ * chunk-0..chunk-(n-1)，再交给共用的 finalizeUpload 合并、校验并保存为文件的新版本。
+ * 对象只有一个桶，对应已保存的文件；对象键即文件名，保留原始的Unicode字符和 / 分隔的路径，
+ * 上传同名对象时追加为文件的新版本，对象的ETag为当前版本的内容摘要。
+ * 通过签名校验的请求以访问密钥ID作为用户ID，只能看到和写入该用户空间中的文件。
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { verifySignature } = require('./s3-signature.cjs');
+const { sessionKey } = require('./storage/index.cjs');
+const { ERROR_CODES, UploadError } = require('./errors.cjs');
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const XML_NAMESPACE = 'http://s3.amazonaws.com/doc/2006-03-01/';
+const MAX_PART_NUMBER = 10000;
+const MAX_LIST_KEYS = 1000;
+
+class S3Error extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// 共用的上传逻辑抛出的业务错误转换为对应的S3错误
+function fromUploadError(error) {
+  switch (error.code) {
+    case ERROR_CODES.FILE_TOO_LARGE:
+      return new S3Error(400, 'EntityTooLarge', error.message);
+    case ERROR_CODES.QUOTA_EXCEEDED:
+      return new S3Error(403, 'QuotaExceeded', error.message);
+    case ERROR_CODES.FILE_TYPE_NOT_ALLOWED:
+    case ERROR_CODES.CONTENT_TYPE_NOT_ALLOWED:
+      return new S3Error(403, 'AccessDenied', error.message);
+    case ERROR_CODES.FILE_HASH_MISMATCH:
+      return new S3Error(400, 'BadDigest', error.message);
+    default:
+      return new S3Error(error.status, 'InvalidRequest', error.message);
+  }
+}
+
+// 请求体解码后的大小，aws-chunked 编码时由 x-amz-decoded-content-length 给出
+function declaredLength(req) {
+  return Number(req.get('x-amz-decoded-content-length') || req.get('content-length')) || 0;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// 把 { Tag: value | [values] | {子元素} } 转换为XML片段，值为null/undefined的元素会被省略
+function toXml(elements) {
+  return Object.entries(elements).map(([tag, value]) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(item => toXml({ [tag]: item })).join('');
+    if (typeof value === 'object') return `<${tag}>${toXml(value)}</${tag}>`;
+    return `<${tag}>${escapeXml(value)}</${tag}>`;
+  }).join('');
+}
+
+function sendXml(res, rootTag, elements, status = 200) {
+  res.status(status)
+    .type('application/xml')
+    .send(`${XML_DECLARATION}<${rootTag} xmlns="${XML_NAMESPACE}">${toXml(elements)}</${rootTag}>`);
+}
+
+/**
+ * aws-chunked 请求体解码
+ *
+ * x-amz-content-sha256 为 STREAMING-* 时，请求体被编码为
+ * "<十六进制长度>[;chunk-signature=...]\r\n<数据>\r\n ... 0[;...]\r\n[trailer]\r\n"。
+ * 这里只还原数据，不校验每个数据块的签名（请求头签名已经校验过）。
+ */
+class AwsChunkedDecoder extends Transform {
+  constructor() {
+    super();
+    this.buffer = Buffer.alloc(0);
+    this.remaining = 0; // 当前数据块还未输出的字节数
+    this.finished = false;
+  }
+
+  _transform(data, encoding, callback) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    while (!this.finished) {
+      if (this.remaining > 0) {
+        if (this.buffer.length === 0) break;
+        const size = Math.min(this.remaining, this.buffer.length);
+        this.push(this.buffer.subarray(0, size));
+        this.buffer = this.buffer.subarray(size);
+        this.remaining -= size;
+        // 数据块结束后还有一个 \r\n，留到下一行头部一起跳过
+        continue;
+      }
+
+      const lineEnd = this.buffer.indexOf('\r\n');
+      if (lineEnd < 0) break;
+
+      const line = this.buffer.subarray(0, lineEnd).toString('latin1');
+      this.buffer = this.buffer.subarray(lineEnd + 2);
+
+      // 数据块之间的空行
+      if (line === '') continue;
+
+      const size = parseInt(line.split(';')[0], 16);
+      if (Number.isNaN(size)) {
+        return callback(new S3Error(400, 'IncompleteBody', 'Invalid aws-chunked encoding'));
+      }
+      if (size === 0) {
+        // 最后一个数据块，其后的trailer（例如x-amz-checksum-*）忽略
+        this.finished = true;
+      }
+      this.remaining = size;
+    }
+
+    callback();
+  }
+
+  _flush(callback) {
+    if (!this.finished) {
+      return callback(new S3Error(400, 'IncompleteBody', 'Incomplete aws-chunked body'));
+    }
+    callback();
+  }
+}
+
+/**
+ * 创建S3兼容路由
+ *
+ * @param {Object} options - 依赖和配置
+ * @param {Map} options.uploadTasks - 上传会话存储
+ * @param {StorageBackend} options.storage - 存储后端
+ * @param {string} options.spoolDir - 本地暂存目录，请求体校验通过前先写在这里
+ * @param {Function} options.finalizeUpload - (taskInfo, fileName) 合并并保存文件
+ * @param {Function} options.writeTaskMeta - (taskInfo) 把会话元数据写入存储后端
+ * @param {Function} options.checkUploadPolicy - async (owner, fileName, fileSize, uploadId) 检查上传策略，违反时抛出UploadError
+ * @param {Function} options.getFileHash - (owner, fileName) 查询已保存文件的内容摘要
+ * @param {Function} options.listStoredFiles - async (owner) 列出用户已保存文件的文件名
+ * @param {Function} options.statStoredFile - async (owner, fileName) 文件的 { size, mtimeMs }，不存在时返回null
+ * @param {Function} options.onChunkReceived - (taskInfo, size) 分片保存到会话中之后调用，用于统计
+ * @param {Function} options.onChunkRejected - (taskInfo, code) 分片被拒绝时调用，code为S3错误码
+ * @param {string} options.bucket - 桶名称
+ * @param {Object} options.credentials - { accessKeyId, secretAccessKey }
+ * @returns {express.Router}
+ */
+function createS3Router(options) {
+  const {
+    uploadTasks,
+    storage,
+    spoolDir,
+    finalizeUpload,
+    writeTaskMeta,
+    checkUploadPolicy,
+    getFileHash,
+    listStoredFiles,
+    statStoredFile,
+    onChunkReceived,
+    onChunkRejected,
+    bucket,
+    credentials
+  } = options;
+  const router = express.Router();
+  // 桶中的对象即该用户空间中的文件
+  const owner = credentials.accessKeyId;
+  // 只有一个桶，创建时间取服务启动的时间
+  const bucketCreatedAt = new Date();
+
+  function sendError(req, res, error) {
+    if (error instanceof UploadError) {
+      error = fromUploadError(error);
+    }
+    const status = error instanceof S3Error ? error.status : 500;
+    const code = error instanceof S3Error ? error.code : 'InternalError';
+
+    if (status >= 500) {
+      req.log.error('S3接口处理出错', { err: error });
+    }
+
+    if (res.headersSent) return;
+    res.status(status)
+      .type('application/xml')
+      .send(`${XML_DECLARATION}${toXml({
+        Error: {
+          Code: code,
+          Message: error.message,
+          Resource: req.originalUrl.split('?')[0],
+          RequestId: res.get('x-amz-request-id')
+        }
+      })}`);
+  }
+
+  // 包装处理函数，统一返回S3格式的错误；同步处理函数抛出的错误同样在Promise中捕获
+  function handler(fn) {
+    return (req, res) => {
+      Promise.resolve().then(() => fn(req, res)).catch(error => sendError(req, res, error));
+    };
+  }
+
+  function getS3Task(uploadId, key) {
+    const taskInfo = uploadTasks.get(uploadId);
+    if (!taskInfo || taskInfo.protocol !== 's3' || taskInfo.owner !== owner || taskInfo.key !== key) {
+      throw new S3Error(404, 'NoSuchUpload', 'The specified multipart upload does not exist.');
+    }
+    return taskInfo;
+  }
+
+  // 接收请求体写入文件，同时计算MD5，并校验Content-MD5和x-amz-content-sha256
+  function receiveBody(req, targetPath) {
+    return new Promise((resolve, reject) => {
+      const contentSha256 = req.get('x-amz-content-sha256');
+      const md5 = crypto.createHash('md5');
+      const sha256 = /^[0-9a-f]{64}$/.test(contentSha256) ? crypto.createHash('sha256') : null;
+      let size = 0;
+
+      const meter = new Transform({
+        transform(data, encoding, callback) {
+          size += data.length;
+          md5.update(data);
+          if (sha256) sha256.update(data);
+          callback(null, data);
+        }
+      });
+
+      const streams = [req];
+      if (contentSha256.startsWith('STREAMING-')) {
+        streams.push(new AwsChunkedDecoder());
+      }
+      streams.push(meter, fs.createWriteStream(targetPath));
+
+      pipeline(...streams, (err) => {
+        const fail = (error) => {
+          fs.rmSync(targetPath, { force: true });
+          reject(error);
+        };
+
+        if (err) return fail(err);
+
+        if (sha256 && sha256.digest('hex') !== contentSha256) {
+          return fail(new S3Error(400, 'XAmzContentSHA256Mismatch', 'The provided \'x-amz-content-sha256\' header does not match what was computed.'));
+        }
+
+        const digest = md5.digest();
+        const contentMd5 = req.get('Content-MD5');
+        if (contentMd5 && contentMd5 !== digest.toString('base64')) {
+          return fail(new S3Error(400, 'BadDigest', 'The Content-MD5 you specified did not match what was received.'));
+        }
+
+        resolve({ size, etag: digest.toString('hex') });
+      });
+    });
+  }
+
+  function readTextBody(req, limit = 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', data => {
+        body += data;
+        if (body.length > limit) {
+          reject(new S3Error(400, 'MaxMessageLengthExceeded', 'Your request was too big.'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  // 接收请求体，校验通过后保存到会话中
+  async function receiveToSession(req, taskInfo, name) {
+    const spoolPath = path.join(spoolDir, `s3-${taskInfo.uploadId}-${name}-${uuidv4()}.receiving`);
+    let result;
+    try {
+      result = await receiveBody(req, spoolPath);
+    } catch (error) {
+      onChunkRejected(taskInfo, error instanceof S3Error ? error.code : 'InternalError');
+      throw error;
+    }
+    try {
+      await storage.put(sessionKey(taskInfo.uploadId, name), spoolPath);
+    } catch (error) {
+      fs.rmSync(spoolPath, { force: true });
+      throw error;
+    }
+    onChunkReceived(taskInfo, result.size);
+    return result;
+  }
+
+  async function createTask(key, protocolData, fileSize = 0) {
+    await checkUploadPolicy(owner, key, fileSize);
+    const uploadId = uuidv4();
+
+    const taskInfo = {
+      uploadId,
+      protocol: 's3',
+      key,
+      fileName: key,
+      chunkCount: 0,
+      uploadedChunks: [],
+      parts: {},
+      owner,
+      uploader: owner,
+      createdAt: Date.now(),
+      lastActivity: Date.now(),
+      ...protocolData
+    };
+
+    uploadTasks.set(uploadId, taskInfo);
+    await writeTaskMeta(taskInfo);
+    return taskInfo;
+  }
+
+  // 每个响应都带上请求ID（与日志中的请求ID相同），并校验签名
+  router.use((req, res, next) => {
+    res.set('x-amz-request-id', req.id || crypto.randomBytes(8).toString('hex').toUpperCase());
+
+    const result = verifySignature(req, credentials);
+    if (!result.valid) {
+      req.log.warn('S3请求签名校验失败', { code: result.code });
+      return sendError(req, res, new S3Error(403, result.code, result.message));
+    }
+
+    next();
+  });
+
+  router.param('bucket', (req, res, next, name) => {
+    if (name !== bucket) {
+      return sendError(req, res, new S3Error(404, 'NoSuchBucket', 'The specified bucket does not exist'));
+    }
+    next();
+  });
+
+  // ListBuckets
+  router.get('/', (req, res) => {
+    sendXml(res, 'ListAllMyBucketsResult', {
+      Owner: { ID: credentials.accessKeyId, DisplayName: credentials.accessKeyId },
+      Buckets: { Bucket: [{ Name: bucket, CreationDate: bucketCreatedAt.toISOString() }] }
+    });
+  });
+
+  // HeadBucket
+  router.head('/:bucket', (req, res) => {
+    res.status(200).end();
+  });
+
+  // ListObjects / ListObjectsV2 / ListMultipartUploads
+  router.get('/:bucket', handler(async (req, res) => {
+    if (req.query.uploads !== undefined) {
+      return listMultipartUploads(req, res);
+    }
+    await listObjects(req, res);
+  }));
+
+  function listMultipartUploads(req, res) {
+    const prefix = req.query.prefix || '';
+    const uploads = Array.from(uploadTasks.values())
+      .filter(taskInfo => taskInfo.protocol === 's3' && taskInfo.owner === owner && taskInfo.multipart &&
+        taskInfo.key.startsWith(prefix))
+      .sort((a, b) => (a.key < b.key ? -1 : 1))
+      .map(taskInfo => ({
+        Key: taskInfo.key,
+        UploadId: taskInfo.uploadId,
+        Initiated: new Date(taskInfo.createdAt).toISOString(),
+        StorageClass: 'STANDARD'
+      }));
+
+    sendXml(res, 'ListMultipartUploadsResult', {
+      Bucket: bucket,
+      Prefix: prefix,
+      MaxUploads: MAX_LIST_KEYS,
+      IsTruncated: false,
+      Upload: uploads
+    });
+  }
+
+  async function listObjects(req, res) {
+    const query = req.query;
+    const isV2 = query['list-type'] === '2';
+    const prefix = query.prefix || '';
+    const delimiter = query.delimiter || '';
+    const urlEncoded = query['encoding-type'] === 'url';
+    const maxKeys = Math.min(query['max-keys'] !== undefined ? Number(query['max-keys']) : MAX_LIST_KEYS, MAX_LIST_KEYS);
+    const encodeKey = key => (urlEncoded ? encodeURIComponent(key).replace(/%2F/g, '/') : key);
+
+    let marker;
+    if (isV2) {
+      marker = query['continuation-token']
+        ? Buffer.from(query['continuation-token'], 'base64').toString('utf8')
+        : (query['start-after'] || '');
+    } else {
+      marker = query.marker || '';
+    }
+
+    const names = (await listStoredFiles(owner))
+      .filter(name => name.startsWith(prefix) && name > marker)
+      .sort();
+
+    const contents = [];
+    const commonPrefixes = [];
+    let lastKey = '';
+    let isTruncated = false;
+
+    for (const name of names) {
+      const delimiterIndex = delimiter ? name.indexOf(delimiter, prefix.length) : -1;
+      const commonPrefix = delimiterIndex >= 0 ? name.slice(0, delimiterIndex + delimiter.length) : null;
+
+      // 同一个公共前缀只计一次
+      if (commonPrefix && commonPrefixes.includes(commonPrefix)) continue;
+
+      if (contents.length + commonPrefixes.length >= maxKeys) {
+        isTruncated = true;
+        break;
+      }
+
+      if (commonPrefix) {
+        commonPrefixes.push(commonPrefix);
+        lastKey = commonPrefix;
+      } else {
+        const stats = await statStoredFile(owner, name);
+        if (!stats) continue;
+        const fileHash = getFileHash(owner, name);
+        contents.push({
+          Key: encodeKey(name),
+          LastModified: new Date(stats.mtimeMs).toISOString(),
+          ETag: fileHash ? `"${fileHash}"` : '""',
+          Size: stats.size,
+          StorageClass: 'STANDARD'
+        });
+        lastKey = name;
+      }
+    }
+
+    const result = {
+      Name: bucket,
+      Prefix: encodeKey(prefix),
+      Delimiter: delimiter ? encodeKey(delimiter) : null,
+      MaxKeys: maxKeys,
+      EncodingType: urlEncoded ? 'url' : null,
+      IsTruncated: isTruncated
+    };
+
+    if (isV2) {
+      Object.assign(result, {
+        KeyCount: contents.length + commonPrefixes.length,
+        ContinuationToken: query['continuation-token'] || null,
+        NextContinuationToken: isTruncated ? Buffer.from(lastKey).toString('base64') : null,
+        StartAfter: query['start-after'] ? encodeKey(query['start-after']) : null
+      });
+    } else {
+      Object.assign(result, {
+        Marker: encodeKey(marker),
+        NextMarker: isTruncated ? encodeKey(lastKey) : null
+      });
+    }
+
+    result.Contents = contents;
+    result.CommonPrefixes = commonPrefixes.map(item => ({ Prefix: encodeKey(item) }));
+
+    sendXml(res, 'ListBucketResult', result);
+  }
+
+  // HeadObject
+  router.head('/:bucket/*', handler(async (req, res) => {
+    const fileName = req.params[0].normalize('NFC');
+    const stats = await statStoredFile(owner, fileName);
+
+    if (!stats) {
+      return res.status(404).end();
+    }
+
+    const fileHash = getFileHash(owner, fileName);
+    res.set({
+      'Content-Length': String(stats.size),
+      'Last-Modified': new Date(stats.mtimeMs).toUTCString(),
+      'Content-Type': 'application/octet-stream'
+    });
+    if (fileHash) {
+      res.set('ETag', `"${fileHash}"`);
+    }
+    res.status(200).end();
+  }));
+
+  // ListParts
+  router.get('/:bucket/*', handler((req, res) => {
+    if (!req.query.uploadId) {
+      throw new S3Error(501, 'NotImplemented', 'GetObject is not supported by this endpoint');
+    }
+
+    const key = req.params[0];
+    const taskInfo = getS3Task(req.query.uploadId, key);
+    const marker = Number(req.query['part-number-marker']) || 0;
+    const maxParts = Math.min(Number(req.query['max-parts']) || MAX_LIST_KEYS, MAX_LIST_KEYS);
+
+    const partNumbers = Object.keys(taskInfo.parts).map(Number).filter(n => n > marker).sort((a, b) => a - b);
+    const listed = partNumbers.slice(0, maxParts);
+    const isTruncated = partNumbers.length > listed.length;
+
+    sendXml(res, 'ListPartsResult', {
+      Bucket: bucket,
+      Key: key,
+      UploadId: taskInfo.uploadId,
+      PartNumberMarker: marker,
+      NextPartNumberMarker: listed.length ? listed[listed.length - 1] : marker,
+      MaxParts: maxParts,
+      IsTruncated: isTruncated,
+      StorageClass: 'STANDARD',
+      Part: listed.map(partNumber => {
+        const part = taskInfo.parts[partNumber];
+        return {
+          PartNumber: partNumber,
+          LastModified: new Date(part.lastModified).toISOString(),
+          ETag: `"${part.etag}"`,
+          Size: part.size
+        };
+      })
+    });
+  }));
+
+  // UploadPart / PutObject
+  router.put('/:bucket/*', handler(async (req, res) => {
+    const key = req.params[0];
+
+    if (req.get('x-amz-copy-source')) {
+      throw new S3Error(501, 'NotImplemented', 'Copy operations are not supported by this endpoint');
+    }
+
+    if (req.query.uploadId) {
+      const taskInfo = getS3Task(req.query.uploadId, key);
+      const partNumber = Number(req.query.partNumber);
+      if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > MAX_PART_NUMBER) {
+        throw new S3Error(400, 'InvalidArgument', `Part number must be an integer between 1 and ${MAX_PART_NUMBER}, inclusive`);
+      }
+
+      // 加上本次分片后的大小不能超过文件大小限制和配额（重传的分片替换原有的分片）
+      const uploadedSize = Object.keys(taskInfo.parts)
+        .filter(number => Number(number) !== partNumber)
+        .reduce((sum, number) => sum + taskInfo.parts[number].size, 0);
+      await checkUploadPolicy(owner, key, uploadedSize + declaredLength(req), taskInfo.uploadId);
+
+      // 先写入暂存文件，接收完整并校验通过后再替换，重传同一分片不会破坏已有数据
+      const { size, etag } = await receiveToSession(req, taskInfo, `part-${partNumber}`);
+
+      taskInfo.parts[partNumber] = { etag, size, lastModified: Date.now() };
+      taskInfo.lastActivity = Date.now();
+      uploadTasks.save(taskInfo.uploadId);
+
+      res.set('ETag', `"${etag}"`);
+      return res.status(200).end();
+    }
+
+    // PutObject：作为只有一个分片的上传处理
+    const taskInfo = await createTask(key, { multipart: false }, declaredLength(req));
+    try {
+      const { size } = await receiveToSession(req, taskInfo, 'chunk-0');
+
+      Object.assign(taskInfo, { fileSize: size, chunkCount: 1, uploadedChunks: [0] });
+      const result = await finalizeUpload(taskInfo, key);
+      uploadTasks.delete(taskInfo.uploadId);
+
+      res.set('ETag', `"${result.fileHash}"`);
+      res.status(200).end();
+    } catch (error) {
+      await storage.removePrefix(sessionKey(taskInfo.uploadId));
+      uploadTasks.delete(taskInfo.uploadId);
+      throw error;
+    }
+  }));
+
+  // CreateMultipartUpload / CompleteMultipartUpload
+  router.post('/:bucket/*', handler(async (req, res) => {
+    const key = req.params[0];
+
+    if (req.query.uploads !== undefined) {
+      const taskInfo = await createTask(key, { multipart: true });
+      req.log.info('S3分片上传创建成功', { uploadId: taskInfo.uploadId, key });
+
+      return sendXml(res, 'InitiateMultipartUploadResult', {
+        Bucket: bucket,
+        Key: key,
+        UploadId: taskInfo.uploadId
+      });
+    }
+
+    if (!req.query.uploadId) {
+      throw new S3Error(400, 'InvalidRequest', 'Unsupported POST request');
+    }
+
+    const taskInfo = getS3Task(req.query.uploadId, key);
+    const body = await readTextBody(req);
+
+    const requested = [];
+    const partPattern = /<Part>([\s\S]*?)<\/Part>/g;
+    let match;
+    while ((match = partPattern.exec(body)) !== null) {
+      const partNumber = Number((/<PartNumber>\s*(\d+)\s*<\/PartNumber>/.exec(match[1]) || [])[1]);
+      const etag = ((/<ETag>([\s\S]*?)<\/ETag>/.exec(match[1]) || [])[1] || '')
+        .replace(/&quot;/g, '"')
+        .replace(/"/g, '')
+        .trim();
+      requested.push({ partNumber, etag });
+    }
+
+    if (requested.length === 0) {
+      throw new S3Error(400, 'MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema.');
+    }
+
+    requested.forEach(({ partNumber, etag }, index) => {
+      if (index > 0 && partNumber <= requested[index - 1].partNumber) {
+        throw new S3Error(400, 'InvalidPartOrder', 'The list of parts was not in ascending order. The parts list must be specified in order by part number.');
+      }
+      const part = taskInfo.parts[partNumber];
+      if (!part || part.etag !== etag) {
+        throw new S3Error(400, 'InvalidPart', `One or more of the specified parts could not be found. Part ${partNumber}`);
+      }
+    });
+
+    const fileSize = requested.reduce((sum, { partNumber }) => sum + taskInfo.parts[partNumber].size, 0);
+    await checkUploadPolicy(owner, key, fileSize, taskInfo.uploadId);
+
+    // 按请求中的顺序把分片重命名为连续的chunk-N，交给共用的合并逻辑
+    const previous = { fileSize: taskInfo.fileSize, chunkCount: taskInfo.chunkCount, uploadedChunks: taskInfo.uploadedChunks };
+    const renamed = [];
+    let result;
+    try {
+      for (const [index, { partNumber }] of requested.entries()) {
+        await storage.rename(sessionKey(taskInfo.uploadId, `part-${partNumber}`), sessionKey(taskInfo.uploadId, `chunk-${index}`));
+        renamed.push({ index, partNumber });
+      }
+
+      Object.assign(taskInfo, {
+        fileSize,
+        chunkCount: requested.length,
+        uploadedChunks: requested.map((part, index) => index)
+      });
+
+      result = await finalizeUpload(taskInfo, key);
+    } catch (error) {
+      // 完成失败（例如存储出错）时把分片改回 part-N，客户端可以重新完成或重新上传分片；
+      // 内容不符合上传策略时会话已经被删除，不需要恢复
+      if (uploadTasks.get(taskInfo.uploadId) !== taskInfo) throw error;
+      Object.assign(taskInfo, previous);
+      for (const { index, partNumber } of renamed.reverse()) {
+        await storage.rename(sessionKey(taskInfo.uploadId, `chunk-${index}`), sessionKey(taskInfo.uploadId, `part-${partNumber}`))
+          .catch(renameError => req.log.error('S3分片恢复失败', { uploadId: taskInfo.uploadId, partNumber, err: renameError }));
+      }
+      throw error;
+    }
+    uploadTasks.delete(taskInfo.uploadId);
+
+    sendXml(res, 'CompleteMultipartUploadResult', {
+      Location: `${req.protocol}://${req.get('host')}${req.baseUrl}/${bucket}/${encodeURIComponent(key).replace(/%2F/g, '/')}`,
+      Bucket: bucket,
+      Key: key,
+      ETag: `"${result.fileHash}"`
+    });
+  }));
+
+  // AbortMultipartUpload
+  router.delete('/:bucket/*', handler(async (req, res) => {
+    if (!req.query.uploadId) {
+      throw new S3Error(501, 'NotImplemented', 'DeleteObject is not supported by this endpoint');
+    }
+
+    const taskInfo = getS3Task(req.query.uploadId, req.params[0]);
+    await storage.removePrefix(sessionKey(taskInfo.uploadId));
+    uploadTasks.delete(taskInfo.uploadId);
+
+    req.log.info('S3分片上传已取消', { uploadId: taskInfo.uploadId });
+    res.status(204).end();
+  }));
+
+  return router;
+}
+
+module.exports = createS3Router;
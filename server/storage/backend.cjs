@@ -0,0 +1,231 @@
+/**
+ * StorageBackend - 存储后端基类
+ *
+ * 所有数据（上传会话的分片、合并后的文件、dedup模式的分片存储）都通过键访问，
+ * 键的第一段表示存储区域，例如 uploads/<文件名>、sessions/<uploadId>/chunk-N、
+ * chunks/<摘要前两位>/<摘要>，由各后端决定如何映射到实际的存储位置。
+ *
+ * 子类需要实现：stat、list、read、createReadStream、createWriter、remove、copy。
+ * put、rename、removePrefix、merge 在基类中基于上述方法实现，子类可按需覆盖以利用
+ * 存储本身的能力（例如本地磁盘的rename）。
+ *
+ * 请求体总是先写入本地临时文件（边写边计算摘要），校验通过后再通过 put 交给后端。
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { once } = require('events');
+const { pipeline, finished } = require('stream/promises');
+
+class StorageBackend {
+  /**
+   * 后端名称，用于日志
+   * @type {string}
+   */
+  get name() {
+    throw new Error('not implemented');
+  }
+
+  /**
+   * 查询对象的大小和修改时间
+   *
+   * @param {string} key - 键
+   * @returns {Promise<{size: number, mtimeMs: number}|null>} 不存在时返回null
+   */
+  async stat(key) {
+    throw new Error('not implemented');
+  }
+
+  /**
+   * 列出指定前缀下的所有对象（递归）
+   *
+   * @param {string} prefix - 键前缀，通常以 / 结尾
+   * @returns {Promise<Array<{key: string, size: number, mtimeMs: number}>>}
+   */
+  async list(prefix) {
+    throw new Error('not implemented');
+  }
+
+  /**
+   * 读取整个对象，只用于元数据等小对象
+   *
+   * @param {string} key - 键
+   * @returns {Promise<Buffer>}
+   */
+  async read(key) {
+    throw new Error('not implemented');
+  }
+
+  /**
+   * 读取对象的指定字节区间
+   *
+   * @param {string} key - 键
+   * @param {number} [start] - 起始字节
+   * @param {number} [end] - 结束字节（包含）
+   * @returns {stream.Readable}
+   */
+  createReadStream(key, start, end) {
+    throw new Error('not implemented');
+  }
+
+  /**
+   * 创建写入器：数据写入 stream，调用 commit() 后对象才可见，abort() 放弃写入
+   *
+   * @param {string} key - 键
+   * @returns {Promise<{stream: stream.Writable, commit: Function, abort: Function}>}
+   */
+  async createWriter(key) {
+    throw new Error('not implemented');
+  }
+
+  /**
+   * 删除对象，不存在时忽略
+   *
+   * @param {string} key - 键
+   */
+  async remove(key) {
+    throw new Error('not implemented');
+  }
+
+  /**
+   * 复制对象
+   *
+   * @param {string} fromKey - 源键
+   * @param {string} toKey - 目标键
+   */
+  async copy(fromKey, toKey) {
+    throw new Error('not implemented');
+  }
+
+  /**
+   * 对象对应的本地文件路径，只有本地磁盘后端支持，其他后端返回null
+   * 用于需要直接读写文件的场景（例如预分配目标文件、分片按偏移写入）
+   *
+   * @param {string} key - 键
+   * @returns {string|null}
+   */
+  localPath(key) {
+    return null;
+  }
+
+  /**
+   * 保存对象
+   *
+   * @param {string} key - 键
+   * @param {string|Buffer} source - 本地临时文件路径（保存后删除）或数据
+   */
+  async put(key, source) {
+    const writer = await this.createWriter(key);
+    try {
+      if (Buffer.isBuffer(source)) {
+        writer.stream.end(source);
+        await finished(writer.stream);
+      } else {
+        await pipeline(fs.createReadStream(source), writer.stream);
+      }
+    } catch (error) {
+      await writer.abort();
+      throw error;
+    }
+    await writer.commit();
+
+    if (!Buffer.isBuffer(source)) {
+      fs.rmSync(source, { force: true });
+    }
+  }
+
+  /**
+   * 重命名对象，目标已存在时覆盖
+   *
+   * @param {string} fromKey - 源键
+   * @param {string} toKey - 目标键
+   */
+  async rename(fromKey, toKey) {
+    await this.copy(fromKey, toKey);
+    await this.remove(fromKey);
+  }
+
+  /**
+   * 删除指定前缀下的所有对象
+   *
+   * @param {string} prefix - 键前缀
+   * @returns {Promise<number>} 释放的字节数
+   */
+  async removePrefix(prefix) {
+    const items = await this.list(prefix);
+    for (const item of items) {
+      await this.remove(item.key);
+    }
+    return items.reduce((sum, item) => sum + item.size, 0);
+  }
+
+  /**
+   * 按顺序合并多个对象，合并的同时计算MD5摘要
+   *
+   * 合并结果先由 verify 校验，校验通过后才写入目标键，因此校验失败不会覆盖已有的同名对象。
+   *
+   * @param {string[]} sourceKeys - 按顺序排列的源键
+   * @param {string} targetKey - 目标键
+   * @param {Function} [verify] - ({ size, hash }) 校验合并结果，抛出异常表示校验失败
+   * @param {Function} [onProgress] - ({ index, size }) 每写入一块数据后调用，index 为当前源的序号，size 为已合并的字节数
+   * @returns {Promise<{size: number, hash: string}>}
+   */
+  async merge(sourceKeys, targetKey, verify, onProgress) {
+    const writer = await this.createWriter(targetKey);
+    const hash = crypto.createHash('md5');
+    let size = 0;
+
+    // 写入出错时流会被销毁，错误在写入前的检查和 finished() 中处理
+    writer.stream.on('error', () => {});
+
+    try {
+      for (const [index, sourceKey] of sourceKeys.entries()) {
+        for await (const data of this.createReadStream(sourceKey)) {
+          if (writer.stream.errored) {
+            throw writer.stream.errored;
+          }
+          hash.update(data);
+          size += data.length;
+          if (!writer.stream.write(data)) {
+            await once(writer.stream, 'drain');
+          }
+          if (onProgress) {
+            onProgress({ index, size });
+          }
+        }
+      }
+      writer.stream.end();
+      await finished(writer.stream);
+
+      const result = { size, hash: hash.digest('hex') };
+      if (verify) {
+        await verify(result);
+      }
+      await writer.commit();
+      return result;
+    } catch (error) {
+      await writer.abort();
+      throw error;
+    }
+  }
+}
+
+/**
+ * 流式计算对象的MD5摘要
+ *
+ * @param {StorageBackend} storage - 存储后端
+ * @param {string} key - 键
+ * @returns {Promise<string>} 十六进制摘要
+ */
+async function hashObject(storage, key) {
+  const hash = crypto.createHash('md5');
+  for await (const data of storage.createReadStream(key)) {
+    hash.update(data);
+  }
+  return hash.digest('hex');
+}
+
+module.exports = {
+  StorageBackend,
+  hashObject
+};
@@ -0,0 +1,65 @@
+/**
+ * 存储后端入口：按配置创建后端，并统一各类数据的键格式
+ *
+ *   uploads/<用户ID>/<文件名>/<版本ID>  合并后的文件，按用户划分命名空间，路径与文件名一致
+ *   sessions/<uploadId>/<名称>     上传会话的分片、分片摘要和元数据
+ *   chunks/<摘要前两位>/<摘要>     dedup模式的分片存储
+ */
+
+const { hashObject } = require('./backend.cjs');
+const LocalBackend = require('./local.cjs');
+const MemoryBackend = require('./memory.cjs');
+const S3Backend = require('./s3.cjs');
+
+const UPLOADS_PREFIX = 'uploads/';
+const SESSIONS_PREFIX = 'sessions/';
+const CHUNKS_PREFIX = 'chunks/';
+
+/**
+ * 按配置创建存储后端
+ *
+ * @param {Object} config - 配置
+ * @param {string} config.backend - local、memory 或 s3
+ * @param {Object} [config.local] - LocalBackend 的配置
+ * @param {Object} [config.s3] - S3Backend 的配置
+ * @returns {StorageBackend}
+ */
+function createStorage(config) {
+  switch (config.backend) {
+    case 'local':
+      return new LocalBackend(config.local);
+    case 'memory':
+      return new MemoryBackend();
+    case 's3':
+      if (!config.s3 || !config.s3.bucket) {
+        throw new Error('使用s3存储后端时必须配置桶名称');
+      }
+      return new S3Backend(config.s3);
+    default:
+      throw new Error(`未知的存储后端: ${config.backend}`);
+  }
+}
+
+function objectKey(fileName) {
+  return `${UPLOADS_PREFIX}${fileName}`;
+}
+
+// 省略名称时返回会话的前缀，用于列出或删除整个会话
+function sessionKey(uploadId, name = '') {
+  return `${SESSIONS_PREFIX}${uploadId}/${name}`;
+}
+
+function chunkKey(hash) {
+  return `${CHUNKS_PREFIX}${hash.slice(0, 2)}/${hash}`;
+}
+
+module.exports = {
+  createStorage,
+  hashObject,
+  objectKey,
+  sessionKey,
+  chunkKey,
+  UPLOADS_PREFIX,
+  SESSIONS_PREFIX,
+  CHUNKS_PREFIX
+};
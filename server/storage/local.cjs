@@ -0,0 +1,194 @@
+/**
+ * LocalBackend - 本地磁盘存储后端（默认）
+ *
+ * 保持原有的目录结构：键的第一段对应一个目录，例如
+ *   uploads/<用户ID>/<文件名>/<版本ID> -> uploads/<用户ID>/<文件名>/<版本ID>
+ *   sessions/<uploadId>/chunk-N -> temp/<uploadId>/chunk-N
+ *   chunks/<前两位>/<摘要>      -> chunks/<前两位>/<摘要>
+ *
+ * 写入时先写到暂存目录，提交时再rename到目标位置，未提交的数据不会出现在目标目录中。
+ * 删除文件后逐级删除变空的上级目录（存储区域的根目录除外），文件夹中的文件全部删除后不留下空目录。
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { StorageBackend } = require('./backend.cjs');
+
+class LocalBackend extends StorageBackend {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Object<string, string>} options.directories - 存储区域 -> 目录，例如 { uploads: '/data/uploads' }
+   * @param {string} options.stagingDir - 写入过程中的暂存目录
+   */
+  constructor(options) {
+    super();
+    this.directories = options.directories;
+    this.stagingDir = options.stagingDir;
+
+    Object.values(this.directories).concat(this.stagingDir).forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  // 把键转换为文件路径，拒绝跳出存储区域目录的键
+  _resolve(key) {
+    const [area, ...rest] = key.split('/');
+    const baseDir = this.directories[area];
+    if (!baseDir) {
+      throw new Error(`未知的存储区域: ${area}`);
+    }
+
+    const filePath = path.join(baseDir, ...rest);
+    if (filePath !== baseDir && !filePath.startsWith(`${baseDir}${path.sep}`)) {
+      throw new Error(`非法的存储键: ${key}`);
+    }
+    return filePath;
+  }
+
+  // 移动文件，跨文件系统时退化为复制后删除
+  async _move(fromPath, toPath) {
+    await fsp.mkdir(path.dirname(toPath), { recursive: true });
+    try {
+      await fsp.rename(fromPath, toPath);
+    } catch (error) {
+      if (error.code === 'ENOENT' && fs.existsSync(fromPath)) {
+        // 目标目录在创建之后被并发的删除当作空目录清理了，重新创建
+        await fsp.mkdir(path.dirname(toPath), { recursive: true });
+        return fsp.rename(fromPath, toPath);
+      }
+      if (error.code !== 'EXDEV') throw error;
+      await fsp.copyFile(fromPath, toPath);
+      await fsp.rm(fromPath, { force: true });
+    }
+  }
+
+  // 逐级删除变空的上级目录，直到存储区域的根目录或不为空的目录
+  async _pruneEmptyDirs(key) {
+    const baseDir = this.directories[key.split('/')[0]];
+    for (let dir = path.dirname(this._resolve(key)); dir.startsWith(`${baseDir}${path.sep}`); dir = path.dirname(dir)) {
+      try {
+        await fsp.rmdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        return;
+      }
+    }
+  }
+
+  localPath(key) {
+    return this._resolve(key);
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fsp.stat(this._resolve(key));
+      return stats.isFile() ? { size: stats.size, mtimeMs: stats.mtimeMs } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async list(prefix) {
+    // 前缀以 / 结尾时列出对应目录，否则列出所在目录中以该前缀开头的文件
+    const dirKey = prefix.endsWith('/') ? prefix.slice(0, -1) : prefix.slice(0, prefix.lastIndexOf('/'));
+    const namePrefix = prefix.endsWith('/') ? '' : prefix.slice(prefix.lastIndexOf('/') + 1);
+    const items = [];
+
+    const walk = async (dir, keyPrefix) => {
+      let entries;
+      try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        const key = `${keyPrefix}/${entry.name}`;
+        try {
+          if (entry.isDirectory()) {
+            await walk(entryPath, key);
+          } else if (entry.isFile()) {
+            const stats = await fsp.stat(entryPath);
+            items.push({ key, size: stats.size, mtimeMs: stats.mtimeMs });
+          }
+        } catch (error) {
+          // 文件可能在列出过程中被删除
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+    };
+
+    await walk(this._resolve(dirKey), dirKey);
+    return namePrefix ? items.filter(item => item.key.startsWith(prefix)) : items;
+  }
+
+  async read(key) {
+    return fsp.readFile(this._resolve(key));
+  }
+
+  createReadStream(key, start, end) {
+    return fs.createReadStream(this._resolve(key), { start, end });
+  }
+
+  async createWriter(key) {
+    const targetPath = this._resolve(key);
+    const tempPath = path.join(this.stagingDir, `${crypto.randomUUID()}.writing`);
+    const stream = fs.createWriteStream(tempPath);
+
+    return {
+      stream,
+      commit: () => this._move(tempPath, targetPath),
+      abort: async () => {
+        stream.destroy();
+        await fsp.rm(tempPath, { force: true });
+      }
+    };
+  }
+
+  async put(key, source) {
+    if (Buffer.isBuffer(source)) {
+      return super.put(key, source);
+    }
+    await this._move(source, this._resolve(key));
+  }
+
+  async remove(key) {
+    await fsp.rm(this._resolve(key), { force: true });
+    await this._pruneEmptyDirs(key);
+  }
+
+  async copy(fromKey, toKey) {
+    const toPath = this._resolve(toKey);
+    await fsp.mkdir(path.dirname(toPath), { recursive: true });
+    await fsp.copyFile(this._resolve(fromKey), toPath);
+  }
+
+  async rename(fromKey, toKey) {
+    await this._move(this._resolve(fromKey), this._resolve(toKey));
+  }
+
+  async removePrefix(prefix) {
+    const items = await this.list(prefix);
+    const dirPath = prefix.endsWith('/') ? this._resolve(prefix.slice(0, -1)) : null;
+    if (dirPath && !Object.values(this.directories).includes(dirPath)) {
+      // 连同目录一起删除（存储区域的根目录本身保留）
+      await fsp.rm(dirPath, { recursive: true, force: true });
+    } else {
+      await Promise.all(items.map(item => this.remove(item.key)));
+    }
+    return items.reduce((sum, item) => sum + item.size, 0);
+  }
+}
+
+module.exports = LocalBackend;
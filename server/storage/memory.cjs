@@ -0,0 +1,102 @@
+/**
+ * MemoryBackend - 内存存储后端
+ *
+ * 所有数据保存在进程内存中，重启后丢失，用于测试和本地调试。
+ * 配合内存后端使用时，建议把 DATA_DIR 指向临时目录，否则重启后持久化的会话和索引
+ * 会指向已经不存在的数据（启动时会被自动清理）。
+ */
+
+const { Readable, Writable } = require('stream');
+const { StorageBackend } = require('./backend.cjs');
+
+class MemoryBackend extends StorageBackend {
+  constructor() {
+    super();
+    // 键 -> { data: Buffer, mtimeMs: number }
+    this.objects = new Map();
+  }
+
+  get name() {
+    return 'memory';
+  }
+
+  _get(key) {
+    const object = this.objects.get(key);
+    if (!object) {
+      const error = new Error(`对象不存在: ${key}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    return object;
+  }
+
+  async stat(key) {
+    const object = this.objects.get(key);
+    return object ? { size: object.data.length, mtimeMs: object.mtimeMs } : null;
+  }
+
+  async list(prefix) {
+    const items = [];
+    this.objects.forEach((object, key) => {
+      if (key.startsWith(prefix)) {
+        items.push({ key, size: object.data.length, mtimeMs: object.mtimeMs });
+      }
+    });
+    return items;
+  }
+
+  async read(key) {
+    return this._get(key).data;
+  }
+
+  createReadStream(key, start = 0, end) {
+    const object = this.objects.get(key);
+    if (!object) {
+      return new Readable({
+        read() {
+          this.destroy(Object.assign(new Error(`对象不存在: ${key}`), { code: 'ENOENT' }));
+        }
+      });
+    }
+    const data = object.data.subarray(start, end === undefined ? undefined : end + 1);
+    return Readable.from([data], { objectMode: false });
+  }
+
+  async createWriter(key) {
+    const buffers = [];
+    const stream = new Writable({
+      write(data, encoding, callback) {
+        buffers.push(Buffer.from(data));
+        callback();
+      }
+    });
+
+    return {
+      stream,
+      commit: async () => {
+        this.objects.set(key, { data: Buffer.concat(buffers), mtimeMs: Date.now() });
+      },
+      abort: async () => {
+        stream.destroy();
+        buffers.length = 0;
+      }
+    };
+  }
+
+  async remove(key) {
+    this.objects.delete(key);
+  }
+
+  async copy(fromKey, toKey) {
+    // Buffer不会被原地修改，可以直接共用
+    this.objects.set(toKey, { data: this._get(fromKey).data, mtimeMs: Date.now() });
+  }
+
+  async rename(fromKey, toKey) {
+    const object = this._get(fromKey);
+    this.objects.delete(fromKey);
+    this.objects.set(toKey, object);
+  }
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,298 @@
+/**
+ * S3Backend - S3兼容对象存储后端（AWS S3、MinIO等）
+ *
+ * 键加上可选的前缀后作为对象键保存在一个桶中。大对象使用Multipart Upload写入，
+ * 合并结果在 CompleteMultipartUpload 之前完成校验，校验失败时放弃上传，不会覆盖已有对象。
+ * 超过5GB的对象复制时使用 UploadPartCopy 分段复制。
+ */
+
+const { PassThrough, Writable } = require('stream');
+const {
+  S3Client,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { StorageBackend } = require('./backend.cjs');
+const { logger } = require('../logger.cjs');
+
+// 分段上传时每段的大小（S3要求除最后一段外不小于5MB）
+const PART_SIZE = 8 * 1024 * 1024;
+// CopyObject 支持的最大对象
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024;
+// 分段复制时每段的大小
+const COPY_PART_SIZE = 512 * 1024 * 1024;
+// DeleteObjects 单次最多删除的对象数
+const MAX_DELETE_KEYS = 1000;
+
+function isNotFound(error) {
+  return error.name === 'NotFound' || error.name === 'NoSuchKey' ||
+    (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+class S3Backend extends StorageBackend {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.bucket - 桶名称
+   * @param {string} [options.prefix] - 对象键前缀
+   * @param {string} [options.endpoint] - 服务地址，使用AWS S3时可省略
+   * @param {string} [options.region] - 区域
+   * @param {string} [options.accessKeyId] - 访问密钥ID
+   * @param {string} [options.secretAccessKey] - 访问密钥
+   * @param {boolean} [options.forcePathStyle] - 使用path-style寻址（MinIO需要）
+   */
+  constructor(options) {
+    super();
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+    this.client = new S3Client({
+      endpoint: options.endpoint,
+      region: options.region || 'us-east-1',
+      forcePathStyle: options.forcePathStyle,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    });
+  }
+
+  get name() {
+    return 's3';
+  }
+
+  _objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  _copySource(key) {
+    return `${this.bucket}/${encodeURIComponent(this._objectKey(key)).replace(/%2F/g, '/')}`;
+  }
+
+  async stat(key) {
+    try {
+      const result = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this._objectKey(key)
+      }));
+      return { size: result.ContentLength, mtimeMs: result.LastModified.getTime() };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async list(prefix) {
+    const items = [];
+    let continuationToken;
+
+    do {
+      const result = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this._objectKey(prefix),
+        ContinuationToken: continuationToken
+      }));
+      (result.Contents || []).forEach(object => {
+        items.push({
+          key: object.Key.slice(this.prefix.length),
+          size: object.Size,
+          mtimeMs: object.LastModified.getTime()
+        });
+      });
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return items;
+  }
+
+  async read(key) {
+    const result = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this._objectKey(key)
+    }));
+    return Buffer.from(await result.Body.transformToByteArray());
+  }
+
+  createReadStream(key, start, end) {
+    const output = new PassThrough();
+    const range = start !== undefined || end !== undefined
+      ? `bytes=${start || 0}-${end === undefined ? '' : end}`
+      : undefined;
+
+    this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this._objectKey(key),
+      Range: range
+    })).then(result => {
+      result.Body.on('error', error => output.destroy(error));
+      result.Body.pipe(output);
+      // 读取方提前结束时停止下载
+      output.on('close', () => result.Body.destroy());
+    }).catch(error => output.destroy(error));
+
+    return output;
+  }
+
+  async createWriter(key) {
+    const backend = this;
+    const objectKey = this._objectKey(key);
+    const parts = [];
+    let buffers = [];
+    let buffered = 0;
+    let uploadId = null;
+
+    async function uploadPart() {
+      if (!uploadId) {
+        const result = await backend.client.send(new CreateMultipartUploadCommand({
+          Bucket: backend.bucket,
+          Key: objectKey
+        }));
+        uploadId = result.UploadId;
+      }
+
+      const body = Buffer.concat(buffers);
+      buffers = [];
+      buffered = 0;
+
+      const partNumber = parts.length + 1;
+      const result = await backend.client.send(new UploadPartCommand({
+        Bucket: backend.bucket,
+        Key: objectKey,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body
+      }));
+      parts.push({ PartNumber: partNumber, ETag: result.ETag });
+    }
+
+    // 数据攒够一段后上传，小于一段的对象在提交时用 PutObject 一次写入
+    const stream = new Writable({
+      write(data, encoding, callback) {
+        buffers.push(Buffer.from(data));
+        buffered += data.length;
+        if (buffered < PART_SIZE) return callback();
+        uploadPart().then(() => callback(), callback);
+      },
+      final(callback) {
+        if (!uploadId || buffered === 0) return callback();
+        uploadPart().then(() => callback(), callback);
+      }
+    });
+
+    return {
+      stream,
+      commit: async () => {
+        if (!uploadId) {
+          await backend.client.send(new PutObjectCommand({
+            Bucket: backend.bucket,
+            Key: objectKey,
+            Body: Buffer.concat(buffers)
+          }));
+          return;
+        }
+        await backend.client.send(new CompleteMultipartUploadCommand({
+          Bucket: backend.bucket,
+          Key: objectKey,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: parts }
+        }));
+      },
+      abort: async () => {
+        stream.destroy();
+        buffers = [];
+        if (uploadId) {
+          await backend.client.send(new AbortMultipartUploadCommand({
+            Bucket: backend.bucket,
+            Key: objectKey,
+            UploadId: uploadId
+          })).catch(error => logger.error('放弃分段上传失败', { key: objectKey, err: error }));
+        }
+      }
+    };
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this._objectKey(key)
+    }));
+  }
+
+  async copy(fromKey, toKey) {
+    const stats = await this.stat(fromKey);
+    if (!stats) {
+      throw Object.assign(new Error(`对象不存在: ${fromKey}`), { code: 'ENOENT' });
+    }
+
+    if (stats.size <= MAX_COPY_SIZE) {
+      await this.client.send(new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: this._objectKey(toKey),
+        CopySource: this._copySource(fromKey)
+      }));
+      return;
+    }
+
+    // 超过5GB的对象分段复制
+    const objectKey = this._objectKey(toKey);
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: objectKey
+    }));
+
+    try {
+      const parts = [];
+      for (let start = 0; start < stats.size; start += COPY_PART_SIZE) {
+        const end = Math.min(start + COPY_PART_SIZE, stats.size) - 1;
+        const result = await this.client.send(new UploadPartCopyCommand({
+          Bucket: this.bucket,
+          Key: objectKey,
+          UploadId,
+          PartNumber: parts.length + 1,
+          CopySource: this._copySource(fromKey),
+          CopySourceRange: `bytes=${start}-${end}`
+        }));
+        parts.push({ PartNumber: parts.length + 1, ETag: result.CopyPartResult.ETag });
+      }
+
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: objectKey,
+        UploadId,
+        MultipartUpload: { Parts: parts }
+      }));
+    } catch (error) {
+      await this.client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: objectKey,
+        UploadId
+      })).catch(() => {});
+      throw error;
+    }
+  }
+
+  async removePrefix(prefix) {
+    const items = await this.list(prefix);
+
+    for (let i = 0; i < items.length; i += MAX_DELETE_KEYS) {
+      await this.client.send(new DeleteObjectsCommand({
+        Bucket: this.bucket,
+        Delete: {
+          Objects: items.slice(i, i + MAX_DELETE_KEYS).map(item => ({ Key: this._objectKey(item.key) })),
+          Quiet: true
+        }
+      }));
+    }
+
+    return items.reduce((sum, item) => sum + item.size, 0);
+  }
+}
+
+module.exports = S3Backend;
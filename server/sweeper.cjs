@@ -0,0 +1,194 @@
+/**
+ * UploadSweeper - 过期上传会话和临时文件的清理器
+ *
+ * 定期扫描并删除：
+ * 1. 超过TTL没有任何活动的上传会话及其在存储后端中的分片（sessions/<uploadId>/）
+ * 2. 没有对应会话的 sessions/<uploadId>/（例如元数据丢失无法恢复的会话）
+ * 3. 本地暂存目录（temp/pending/）中长时间没有写入的临时文件（请求中断后遗留）
+ *
+ * 每次清理的结果（删除了什么、释放了多少空间）会记录到日志，并通过 getStats() 提供给管理接口。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sessionKey, SESSIONS_PREFIX } = require('./storage/index.cjs');
+const { logger } = require('./logger.cjs');
+
+class UploadSweeper {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Map} options.uploadTasks - 上传会话存储
+   * @param {StorageBackend} options.storage - 存储后端
+   * @param {string} options.spoolDir - 本地暂存目录
+   * @param {number} options.sessionTtl - 会话无活动后过期的时间（毫秒）
+   * @param {number} options.pendingTtl - 暂存目录中临时文件的最长保留时间（毫秒）
+   * @param {Function} [options.onSessionExpired] - (taskInfo) 会话过期被删除后的回调
+   */
+  constructor(options) {
+    this.uploadTasks = options.uploadTasks;
+    this.storage = options.storage;
+    this.spoolDir = options.spoolDir;
+    this.sessionTtl = options.sessionTtl;
+    this.pendingTtl = options.pendingTtl;
+    this.onSessionExpired = options.onSessionExpired || (() => {});
+    this.timer = null;
+
+    this.stats = {
+      runs: 0,
+      totalFreedBytes: 0,
+      totalExpiredSessions: 0,
+      totalOrphanedDirs: 0,
+      totalOrphanedFiles: 0,
+      lastRun: null
+    };
+  }
+
+  /**
+   * 会话最后一次活动的时间
+   *
+   * @param {Object} taskInfo - 上传会话
+   * @returns {number} 时间戳（毫秒）
+   */
+  static getLastActivity(taskInfo) {
+    return taskInfo.lastActivity || taskInfo.completedAt || taskInfo.createdAt || 0;
+  }
+
+  /**
+   * 删除一个上传会话及其分片
+   *
+   * @param {string} uploadId - 上传ID
+   * @returns {Promise<number>} 释放的字节数
+   */
+  async removeSession(uploadId) {
+    const freedBytes = await this.storage.removePrefix(sessionKey(uploadId));
+    this.uploadTasks.delete(uploadId);
+    return freedBytes;
+  }
+
+  /**
+   * 执行一次清理
+   *
+   * @returns {Promise<Object>} 本次清理的结果
+   */
+  async sweep() {
+    const now = Date.now();
+    const result = {
+      startedAt: now,
+      expiredSessions: [],
+      orphanedDirs: [],
+      orphanedFiles: [],
+      freedBytes: 0
+    };
+
+    // 1. 过期的会话
+    for (const taskInfo of Array.from(this.uploadTasks.values())) {
+      if (now - UploadSweeper.getLastActivity(taskInfo) > this.sessionTtl) {
+        result.freedBytes += await this.removeSession(taskInfo.uploadId);
+        result.expiredSessions.push(taskInfo.uploadId);
+        this.onSessionExpired(taskInfo);
+      }
+    }
+
+    // 2. 没有会话的分片，按会话统计大小和最近一次写入的时间
+    const sessions = new Map();
+    (await this.storage.list(SESSIONS_PREFIX)).forEach(item => {
+      const uploadId = item.key.slice(SESSIONS_PREFIX.length).split('/')[0];
+      const session = sessions.get(uploadId) || { size: 0, latestMtime: 0 };
+      session.size += item.size;
+      session.latestMtime = Math.max(session.latestMtime, item.mtimeMs);
+      sessions.set(uploadId, session);
+    });
+
+    for (const [uploadId, session] of sessions) {
+      // 本地后端的暂存目录也位于临时目录下，由下面单独处理
+      if (uploadId === 'pending' || this.uploadTasks.has(uploadId) ||
+          now - session.latestMtime <= this.sessionTtl) {
+        continue;
+      }
+      try {
+        await this.storage.removePrefix(sessionKey(uploadId));
+        result.freedBytes += session.size;
+        result.orphanedDirs.push(uploadId);
+      } catch (error) {
+        logger.error('清理没有会话的分片出错', { uploadId, err: error });
+      }
+    }
+
+    // 3. 暂存目录中遗留的临时文件
+    if (fs.existsSync(this.spoolDir)) {
+      fs.readdirSync(this.spoolDir).forEach(fileName => {
+        const filePath = path.join(this.spoolDir, fileName);
+        try {
+          const stats = fs.statSync(filePath);
+          if (stats.isFile() && now - stats.mtimeMs > this.pendingTtl) {
+            fs.rmSync(filePath, { force: true });
+            result.freedBytes += stats.size;
+            result.orphanedFiles.push(fileName);
+          }
+        } catch (error) {
+          // 文件可能在扫描过程中被正常流程删除
+          if (error.code !== 'ENOENT') {
+            logger.error('清理临时文件出错', { path: filePath, err: error });
+          }
+        }
+      });
+    }
+
+    result.finishedAt = Date.now();
+
+    this.stats.runs++;
+    this.stats.totalFreedBytes += result.freedBytes;
+    this.stats.totalExpiredSessions += result.expiredSessions.length;
+    this.stats.totalOrphanedDirs += result.orphanedDirs.length;
+    this.stats.totalOrphanedFiles += result.orphanedFiles.length;
+    this.stats.lastRun = result;
+
+    if (result.expiredSessions.length || result.orphanedDirs.length || result.orphanedFiles.length) {
+      logger.info('清理过期上传完成', {
+        expiredSessions: result.expiredSessions.length,
+        orphanedDirs: result.orphanedDirs.length,
+        orphanedFiles: result.orphanedFiles.length,
+        freedBytes: result.freedBytes
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 开始定期清理
+   *
+   * @param {number} interval - 清理间隔（毫秒）
+   */
+  start(interval) {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => logger.error('定期清理出错', { err: error }));
+    }, interval);
+    // 不阻止进程退出
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 获取累计的清理统计
+   *
+   * @returns {Object} 统计数据
+   */
+  getStats() {
+    return {
+      sessionTtl: this.sessionTtl,
+      pendingTtl: this.pendingTtl,
+      running: this.timer !== null,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = UploadSweeper;
@@ -0,0 +1,424 @@
+/**
+ * tus 1.0 可续传上传协议路由
+ *
+ * 实现了核心协议以及 creation、termination、checksum、expiration 扩展，
+ * 使 tus-js-client、Uppy 等第三方客户端可以上传到同一个后端。
+ *
+ * 与原生 /api/upload 接口共用上传会话（uploadTasks）和存储后端：
+ * 每个 PATCH 请求的请求体先写入本地暂存目录，再保存为会话中的 chunk-N，
+ * 收齐 Upload-Length 字节后调用共用的 finalizeUpload 合并、校验并保存为文件的新版本。
+ * 需要挂载在认证中间件之后，会话归属于创建它的用户。
+ *
+ * 参考: https://tus.io/protocols/resumable-upload
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const { sessionKey } = require('./storage/index.cjs');
+const { UploadError } = require('./errors.cjs');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'checksum', 'expiration'];
+// Upload-Checksum 支持的算法，对应 Node crypto 中的名称
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'sha256'];
+// 校验和不一致时返回的状态码（checksum扩展定义）
+const STATUS_CHECKSUM_MISMATCH = 460;
+
+// 浏览器端客户端需要读取的响应头
+const EXPOSED_HEADERS = [
+  'Location',
+  'Tus-Resumable',
+  'Tus-Version',
+  'Tus-Extension',
+  'Tus-Max-Size',
+  'Tus-Checksum-Algorithm',
+  'Upload-Offset',
+  'Upload-Length',
+  'Upload-Metadata',
+  'Upload-Expires'
+].join(', ');
+
+// 解析 Upload-Metadata 头：逗号分隔的 "key base64value" 对，值可以省略
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+
+  return metadata;
+}
+
+/**
+ * 创建tus协议路由
+ *
+ * @param {Object} options - 依赖和配置
+ * @param {Map} options.uploadTasks - 上传会话存储
+ * @param {StorageBackend} options.storage - 存储后端
+ * @param {string} options.spoolDir - 本地暂存目录
+ * @param {Function} options.finalizeUpload - (taskInfo, fileName) 合并并保存文件
+ * @param {Function} options.writeTaskMeta - (taskInfo) 把会话元数据写入存储后端
+ * @param {Function} options.checkUploadPolicy - async (owner, fileName, fileSize) 检查上传策略，违反时抛出UploadError
+ * @param {Function} options.inspectUploadHead - async (taskInfo, filePath) 按文件开头的数据检查内容类型
+ * @param {Function} options.onChunkReceived - (taskInfo, size) 一段数据保存到会话中之后调用，用于统计
+ * @param {Function} options.onChunkRejected - (taskInfo, code) 一段数据被拒绝时调用，code为错误码或HTTP状态码
+ * @param {number} options.maxSize - 允许的最大文件大小（字节）
+ * @param {number} options.expiration - 会话无活动后过期的时间（毫秒）
+ * @returns {express.Router}
+ */
+function createTusRouter(options) {
+  const {
+    uploadTasks,
+    storage,
+    spoolDir,
+    finalizeUpload,
+    writeTaskMeta,
+    checkUploadPolicy,
+    inspectUploadHead,
+    onChunkReceived,
+    onChunkRejected,
+    maxSize,
+    expiration
+  } = options;
+  const router = express.Router();
+  // 正在处理PATCH（或重新完成上传）的会话，同一会话同时只处理一个请求
+  const busy = new Set();
+
+  function tusError(res, status, message) {
+    res.status(status).type('text/plain').send(message);
+  }
+
+  function setExpires(res, taskInfo) {
+    res.set('Upload-Expires', new Date(taskInfo.lastActivity + expiration).toUTCString());
+  }
+
+  // 获取当前用户未过期的tus会话，不存在或已过期时直接返回错误响应
+  function getLiveTask(req, res) {
+    const taskInfo = uploadTasks.get(req.params.uploadId);
+
+    // 其他用户的会话同样按不存在处理，不暴露其是否存在
+    if (!taskInfo || taskInfo.protocol !== 'tus' || taskInfo.owner !== req.user.id) {
+      tusError(res, 404, 'Upload not found');
+      return null;
+    }
+
+    if (Date.now() > taskInfo.lastActivity + expiration) {
+      req.log.info('tus上传会话已过期', { uploadId: taskInfo.uploadId });
+      removeTask(taskInfo).catch(error => req.log.error('删除过期的tus会话出错', { uploadId: taskInfo.uploadId, err: error }));
+      tusError(res, 410, 'Upload expired');
+      return null;
+    }
+
+    return taskInfo;
+  }
+
+  async function removeTask(taskInfo) {
+    uploadTasks.delete(taskInfo.uploadId);
+    await storage.removePrefix(sessionKey(taskInfo.uploadId));
+  }
+
+  // 收齐全部字节后合并文件，会话保留为已完成状态供HEAD查询
+  async function completeTask(taskInfo) {
+    taskInfo.uploadedChunks.sort((a, b) => a - b);
+    taskInfo.chunkCount = taskInfo.uploadedChunks.length;
+
+    const result = await finalizeUpload(taskInfo, taskInfo.fileName);
+
+    taskInfo.completedAt = Date.now();
+    taskInfo.storedFileName = result.fileName;
+    uploadTasks.save(taskInfo.uploadId);
+  }
+
+  // 已收齐全部字节但还没有完成的会话完成上传（包括之前完成上传失败的会话）；
+  // 数据不符合上传策略或校验失败（UploadError）时重试也不会成功，删除会话，存储出错等其他错误保留会话等待重试
+  async function finishTask(taskInfo) {
+    if (taskInfo.completedAt || taskInfo.offset !== taskInfo.fileSize) return;
+    try {
+      await completeTask(taskInfo);
+    } catch (error) {
+      if (error instanceof UploadError) {
+        await removeTask(taskInfo);
+      }
+      throw error;
+    }
+  }
+
+  // 公共响应头，以及对X-HTTP-Method-Override的支持（部分环境只能发送GET/POST）
+  router.use((req, res, next) => {
+    res.set('Tus-Resumable', TUS_VERSION);
+    res.set('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+
+    const override = req.get('X-HTTP-Method-Override');
+    if (override) {
+      req.method = override.toUpperCase();
+    }
+
+    if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+      res.set('Tus-Version', TUS_VERSION);
+      return tusError(res, 412, 'Unsupported tus version');
+    }
+
+    next();
+  });
+
+  // 服务端能力查询
+  router.options(['/', '/:uploadId'], (req, res) => {
+    res.set({
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS.join(','),
+      'Tus-Max-Size': String(maxSize),
+      'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(',')
+    });
+    res.status(204).end();
+  });
+
+  // creation扩展：创建上传
+  router.post('/', async (req, res) => {
+    try {
+      if (req.get('Upload-Defer-Length')) {
+        return tusError(res, 400, 'Upload-Defer-Length is not supported');
+      }
+
+      const uploadLength = Number(req.get('Upload-Length'));
+      if (!Number.isInteger(uploadLength) || uploadLength < 0) {
+        return tusError(res, 400, 'Invalid Upload-Length');
+      }
+      if (uploadLength > maxSize) {
+        return tusError(res, 413, 'Upload-Length exceeds Tus-Max-Size');
+      }
+
+      const rawMetadata = req.get('Upload-Metadata') || '';
+      const metadata = parseMetadata(rawMetadata);
+      const uploadId = uuidv4();
+      const fileName = metadata.filename || metadata.name || uploadId;
+
+      // 文件大小、扩展名和配额不符合策略时拒绝创建
+      await checkUploadPolicy(req.user.id, fileName, uploadLength);
+
+      const taskInfo = {
+        uploadId,
+        protocol: 'tus',
+        fileName,
+        fileSize: uploadLength,
+        chunkCount: 0,
+        uploadedChunks: [],
+        offset: 0,
+        metadata: rawMetadata,
+        owner: req.user.id,
+        uploader: req.user.id,
+        createdAt: Date.now(),
+        lastActivity: Date.now()
+      };
+
+      uploadTasks.set(uploadId, taskInfo);
+      await writeTaskMeta(taskInfo);
+
+      req.log.info('tus上传创建成功', { uploadId, fileName: taskInfo.fileName, uploadLength });
+
+      // 空文件无需PATCH，直接完成
+      await finishTask(taskInfo);
+
+      res.set('Location', `${req.baseUrl}/${uploadId}`);
+      setExpires(res, taskInfo);
+      res.status(201).end();
+    } catch (error) {
+      if (error instanceof UploadError) {
+        return tusError(res, error.status, error.message);
+      }
+      req.log.error('tus创建上传出错', { err: error });
+      tusError(res, 500, error.message);
+    }
+  });
+
+  // 查询上传偏移量
+  router.head('/:uploadId', async (req, res) => {
+    const taskInfo = getLiveTask(req, res);
+    if (!taskInfo) return;
+
+    // 之前完成上传失败的会话在客户端查询偏移量时重新完成
+    if (!busy.has(taskInfo.uploadId)) {
+      busy.add(taskInfo.uploadId);
+      try {
+        await finishTask(taskInfo);
+      } catch (error) {
+        req.log.warn('tus重新完成上传失败', { uploadId: taskInfo.uploadId, err: error });
+        return tusError(res, error.status || 500, error.message);
+      } finally {
+        busy.delete(taskInfo.uploadId);
+      }
+    }
+
+    res.set({
+      'Cache-Control': 'no-store',
+      'Upload-Offset': String(taskInfo.offset),
+      'Upload-Length': String(taskInfo.fileSize)
+    });
+    if (taskInfo.metadata) {
+      res.set('Upload-Metadata', taskInfo.metadata);
+    }
+    setExpires(res, taskInfo);
+    res.status(200).end();
+  });
+
+  // 追加数据
+  router.patch('/:uploadId', (req, res) => {
+    const taskInfo = getLiveTask(req, res);
+    if (!taskInfo) return;
+
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return tusError(res, 415, 'Content-Type must be application/offset+octet-stream');
+    }
+
+    // 客户端在上一个请求还没有结束时重试，两个请求会按同一个偏移量写入同一个分片
+    if (busy.has(taskInfo.uploadId)) {
+      return tusError(res, 423, 'Upload is locked by another request');
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return tusError(res, 400, 'Invalid Upload-Offset');
+    }
+    if (offset !== taskInfo.offset) {
+      return tusError(res, 409, `Upload-Offset mismatch, current offset is ${taskInfo.offset}`);
+    }
+
+    // checksum扩展：整个请求体的校验和，格式为 "<算法> <base64摘要>"
+    let checksum = null;
+    const checksumHeader = req.get('Upload-Checksum');
+    if (checksumHeader) {
+      const [algorithm, digest] = checksumHeader.split(' ');
+      if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest) {
+        return tusError(res, 400, 'Unsupported checksum algorithm');
+      }
+      checksum = { algorithm, digest, hash: crypto.createHash(algorithm) };
+    }
+
+    // 从这里到请求处理结束，其他PATCH返回423，偏移量和分片序号不会被同时修改
+    busy.add(taskInfo.uploadId);
+    const chunkIndex = taskInfo.uploadedChunks.length;
+    const partPath = path.join(spoolDir, `tus-${taskInfo.uploadId}-${chunkIndex}-${uuidv4()}.part`);
+    const remaining = taskInfo.fileSize - offset;
+    let received = 0;
+
+    // 统计字节数并计算校验和，超出 Upload-Length 时中止
+    const meter = new Transform({
+      transform(data, encoding, callback) {
+        received += data.length;
+        if (received > remaining) {
+          const error = new Error('Request body exceeds Upload-Length');
+          error.status = 413;
+          return callback(error);
+        }
+        if (checksum) {
+          checksum.hash.update(data);
+        }
+        callback(null, data);
+      }
+    });
+
+    pipeline(req, meter, fs.createWriteStream(partPath), async (err) => {
+      try {
+        if (err && err.status) {
+          fs.rmSync(partPath, { force: true });
+          onChunkRejected(taskInfo, err.status);
+          return tusError(res, err.status, err.message);
+        }
+
+        if (checksum) {
+          // 带校验和的请求中断后无法校验，整段丢弃
+          if (err || checksum.hash.digest('base64') !== checksum.digest) {
+            fs.rmSync(partPath, { force: true });
+            if (!err) {
+              req.log.warn('tus分片校验和不一致', { uploadId: taskInfo.uploadId, offset });
+              onChunkRejected(taskInfo, STATUS_CHECKSUM_MISMATCH);
+              tusError(res, STATUS_CHECKSUM_MISMATCH, 'Checksum Mismatch');
+            }
+            return;
+          }
+        }
+
+        // 不带校验和时，保留连接中断前已写入的部分，客户端可从新的偏移量继续
+        const size = fs.statSync(partPath).size;
+        if (size > 0) {
+          // 文件开头的数据保存之前检查内容类型
+          if (offset === 0) {
+            await inspectUploadHead(taskInfo, partPath);
+          }
+          await storage.put(sessionKey(taskInfo.uploadId, `chunk-${chunkIndex}`), partPath);
+          taskInfo.uploadedChunks.push(chunkIndex);
+          onChunkReceived(taskInfo, size);
+        } else {
+          fs.rmSync(partPath, { force: true });
+        }
+
+        taskInfo.offset += size;
+        taskInfo.lastActivity = Date.now();
+        uploadTasks.save(taskInfo.uploadId);
+
+        if (err) {
+          req.log.warn('tus请求中断，已保存部分数据', { uploadId: taskInfo.uploadId, offset: taskInfo.offset });
+          return;
+        }
+
+        // 收齐全部字节后完成上传；之前完成上传失败时，客户端在末尾偏移量发送的空请求会重新完成
+        await finishTask(taskInfo);
+
+        res.set('Upload-Offset', String(taskInfo.offset));
+        setExpires(res, taskInfo);
+        res.status(204).end();
+      } catch (error) {
+        if (error instanceof UploadError) {
+          req.log.warn('tus数据不符合上传策略', { uploadId: taskInfo.uploadId, err: error });
+        } else {
+          req.log.error('tus处理数据出错', { uploadId: taskInfo.uploadId, err: error });
+        }
+        // 保存之前被拒绝（例如内容类型不允许）的数据计为被拒绝的分片，合并失败由合并时统计
+        if (!taskInfo.uploadedChunks.includes(chunkIndex)) {
+          onChunkRejected(taskInfo, error instanceof UploadError ? error.code : 500);
+        }
+        fs.rmSync(partPath, { force: true });
+        if (!res.headersSent) {
+          tusError(res, error.status || 500, error.message);
+        }
+      } finally {
+        busy.delete(taskInfo.uploadId);
+      }
+    });
+  });
+
+  // termination扩展：终止上传并删除已上传的数据
+  router.delete('/:uploadId', async (req, res) => {
+    const taskInfo = getLiveTask(req, res);
+    if (!taskInfo) return;
+
+    // 正在写入的PATCH会在删除会话之后保存分片，留下没有会话的数据
+    if (busy.has(taskInfo.uploadId)) {
+      return tusError(res, 423, 'Upload is locked by another request');
+    }
+
+    // 删除期间到达的PATCH同样返回423，删除后返回404
+    busy.add(taskInfo.uploadId);
+    try {
+      await removeTask(taskInfo);
+      req.log.info('tus上传已终止', { uploadId: taskInfo.uploadId });
+      res.status(204).end();
+    } catch (error) {
+      req.log.error('tus终止上传出错', { uploadId: taskInfo.uploadId, err: error });
+      tusError(res, 500, error.message);
+    } finally {
+      busy.delete(taskInfo.uploadId);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTusRouter;
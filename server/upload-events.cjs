@@ -0,0 +1,96 @@
+/**
+ * UploadEvents - 上传会话的实时事件
+ *
+ * 服务端在会话发生变化时发布事件（收到分片、拒绝分片、开始/完成合并、秒传、会话过期等），
+ * 通过 /api/events 以Server-Sent Events推送给订阅者，其他标签页、监控页面或命令行工具都可以实时查看上传进度。
+ *
+ * 每个事件的格式（协议版本 EVENTS_VERSION）：
+ *   { version, id, type, time, owner, uploadId, data }
+ * id 单调递增，最近的 bufferSize 个事件保存在内存中，断线重连时按 Last-Event-ID 补发错过的事件。
+ * 新增事件类型或字段不改变版本号，客户端应忽略不认识的类型和字段；不兼容的修改会增加版本号。
+ */
+
+const { EventEmitter } = require('events');
+
+// 事件格式的版本
+const EVENTS_VERSION = 1;
+
+class UploadEvents {
+  /**
+   * @param {Object} [options] - 配置选项
+   * @param {number} [options.bufferSize=1000] - 保留用于断线补发的事件数
+   */
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || 1000;
+    this.buffer = [];
+    this.lastId = 0;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * 发布一个事件
+   *
+   * @param {string} type - 事件类型，例如 chunk.received
+   * @param {Object} session - 事件所属的会话，只用到 owner 和 uploadId
+   * @param {Object} [data] - 事件数据
+   * @returns {Object} 事件
+   */
+  publish(type, session, data = {}) {
+    const event = {
+      version: EVENTS_VERSION,
+      id: ++this.lastId,
+      type,
+      time: Date.now(),
+      owner: session.owner,
+      uploadId: session.uploadId || null,
+      data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    this.emitter.emit('event', event);
+    return event;
+  }
+
+  /**
+   * 订阅事件
+   *
+   * @param {Object} filter - 过滤条件
+   * @param {string|null} filter.owner - 只接收该用户的事件，null 表示所有用户
+   * @param {string|null} [filter.uploadId] - 只接收该会话的事件
+   * @param {Function} listener - (event)
+   * @returns {Function} 取消订阅
+   */
+  subscribe(filter, listener) {
+    const handler = event => {
+      if (UploadEvents.matches(event, filter)) {
+        listener(event);
+      }
+    };
+    this.emitter.on('event', handler);
+    return () => this.emitter.removeListener('event', handler);
+  }
+
+  /**
+   * 缓存中 id 大于 lastId 的事件，用于断线重连后补发
+   *
+   * @param {number} lastId - 客户端收到的最后一个事件的ID
+   * @param {Object} filter - 过滤条件，同 subscribe
+   * @returns {Object[]} 事件
+   */
+  since(lastId, filter) {
+    return this.buffer.filter(event => event.id > lastId && UploadEvents.matches(event, filter));
+  }
+
+  static matches(event, filter) {
+    return (filter.owner === null || event.owner === filter.owner) &&
+      (!filter.uploadId || event.uploadId === filter.uploadId);
+  }
+}
+
+UploadEvents.VERSION = EVENTS_VERSION;
+
+module.exports = UploadEvents;
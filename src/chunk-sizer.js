@@ -0,0 +1,74 @@
+/**
+ * ChunkSizer - 按测得的吞吐量决定下一个分片的大小
+ *
+ * 每个上传会话一个实例。每个分片上传成功后记录请求的总用时，以指数加权平均估计单个连接的吞吐量
+ * （包含往返延迟和服务端处理时间，延迟较高时小分片测得的吞吐量偏低，分片会继续增大）：
+ * - 分片大小以请求用时约为 TARGET_SECONDS 秒为目标，快速网络中逐渐增大到服务端允许的上限，
+ *   减少请求次数；慢速或不稳定的网络中保持较小，失败或暂停时需要重传的数据也少
+ * - 每次最多翻倍或减半，个别分片的测量误差不会让分片大小剧烈波动
+ * - 分片上传失败（网络错误、校验失败）时减半
+ * 分片大小按 SIZE_STEP 取整并限制在服务端公布的范围内。
+ */
+
+// 第一个分片的大小，还没有测量数据时从较小的分片开始
+const INITIAL_CHUNK_SIZE = 1024 * 1024;
+// 每个分片期望的上传用时（秒）
+const TARGET_SECONDS = 3;
+// 指数加权平均中新测量值的权重
+const SMOOTHING = 0.3;
+// 分片大小的取整单位
+const SIZE_STEP = 64 * 1024;
+
+export default class ChunkSizer {
+  /**
+   * @param {{min: number, max: number}} limits - 服务端允许的分片大小
+   */
+  constructor(limits) {
+    this.min = limits.min;
+    this.max = limits.max;
+    this.size = this.clamp(INITIAL_CHUNK_SIZE);
+    this.throughput = 0; // 单个连接的吞吐量（字节/秒），按分片的原始大小计算
+  }
+
+  clamp(size) {
+    const rounded = Math.round(size / SIZE_STEP) * SIZE_STEP;
+    return Math.min(this.max, Math.max(this.min, rounded));
+  }
+
+  /**
+   * 记录一个分片的上传用时并调整之后的分片大小
+   *
+   * @param {number} bytes - 分片的原始大小（压缩后发送的字节更少，但切分按原始大小）
+   * @param {number} duration - 从开始发送到收到响应的用时（毫秒）
+   */
+  record(bytes, duration) {
+    const rate = bytes / (Math.max(duration, 1) / 1000);
+    this.throughput = this.throughput ? this.throughput + SMOOTHING * (rate - this.throughput) : rate;
+
+    const target = this.throughput * TARGET_SECONDS;
+    this.size = this.clamp(Math.min(this.size * 2, Math.max(this.size / 2, target)));
+  }
+
+  // 分片上传失败时减小之后的分片
+  recordFailure() {
+    this.size = this.clamp(this.size / 2);
+  }
+
+  /**
+   * 切分下一个分片的大小
+   *
+   * 除最后一个分片外每个分片都不能小于下限：剩下的数据不足一个最小分片时并入当前分片，
+   * 并入后超过上限时当前分片留出一个最小分片给最后一个分片。
+   *
+   * @param {number} remaining - 文件中还没有切分的字节数
+   * @returns {number}
+   */
+  next(remaining) {
+    const size = Math.min(this.size, remaining);
+    const rest = remaining - size;
+    if (rest > 0 && rest < this.min) {
+      return remaining <= this.max ? remaining : remaining - this.min;
+    }
+    return size;
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * 端到端加密工具函数
+ *
+ * 密钥由用户的口令派生（hash-wasm 的 Argon2id），再通过 HKDF 分为三部分：
+ * 加密分片的 AES-GCM 密钥、生成分片nonce的 HMAC 密钥，以及用于确认口令是否正确的密钥校验值。
+ *
+ * 每个分片单独用 AES-GCM 加密，密文比明文多16字节的认证标签。nonce 取分片明文的 HMAC 前12字节：
+ * 同一口令下相同的分片总是得到相同的密文，因此服务端按密文计算的分片哈希和整文件摘要可以继续用于
+ * 秒传、分片校验和分片去重，而这些摘要依赖密钥，服务端无法据此判断文件的内容。
+ *
+ * 各分片的nonce、原始文件名和大小保存在加密清单中，清单同样用 AES-GCM 加密，
+ * 只有派生参数和密钥校验值以明文保存，下载时先校验口令再解密清单和文件。
+ */
+
+import { argon2id } from 'hash-wasm';
+
+// 加密清单的格式标识
+export const E2E_FORMAT = 'backup-e2e-v1';
+// 每个分片的密文比明文多出的字节数（AES-GCM认证标签）
+export const CIPHER_OVERHEAD = 16;
+
+const NONCE_SIZE = 12;
+// Argon2id 的默认参数：64MB内存、3轮
+const DEFAULT_KDF = { name: 'argon2id', iterations: 3, memorySize: 64 * 1024, parallelism: 1 };
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// 检测浏览器是否支持端到端加密需要的 WebCrypto（只在HTTPS或localhost下可用）
+export function isE2ESupported() {
+  return Boolean(window.crypto && window.crypto.subtle);
+}
+
+export function toBase64(bytes) {
+  let binary = '';
+  // 分段转换，避免参数过多导致调用栈溢出
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 从口令派生密钥
+ *
+ * 盐由用户ID生成而不是随机生成：同一用户使用相同的口令总能得到相同的密钥，
+ * 换一台设备也能解密，相同内容的文件也能秒传。
+ *
+ * @param {string} passphrase - 口令
+ * @param {string} userId - 用户ID
+ * @param {Object} [kdf] - 派生参数，解密时使用加密清单中保存的参数
+ * @returns {Promise<{encKey: CryptoKey, macKey: CryptoKey, keyCheck: string, kdf: Object}>}
+ */
+export async function deriveKeys(passphrase, userId, kdf) {
+  if (!kdf) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${E2E_FORMAT}:${userId}`));
+    kdf = { ...DEFAULT_KDF, salt: toBase64(new Uint8Array(digest, 0, 16)) };
+  }
+  if (kdf.name !== 'argon2id') {
+    throw new Error(`不支持的密钥派生算法: ${kdf.name}`);
+  }
+
+  const master = await argon2id({
+    password: passphrase,
+    salt: fromBase64(kdf.salt),
+    iterations: kdf.iterations,
+    memorySize: kdf.memorySize,
+    parallelism: kdf.parallelism,
+    hashLength: 32,
+    outputType: 'binary'
+  });
+
+  const baseKey = await crypto.subtle.importKey('raw', master, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  const hkdf = info => ({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: encoder.encode(`${E2E_FORMAT}/${info}`) });
+
+  const encKey = await crypto.subtle.deriveKey(hkdf('enc'), baseKey, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const macKey = await crypto.subtle.deriveKey(hkdf('nonce'), baseKey, { name: 'HMAC', hash: 'SHA-256', length: 256 }, false, ['sign']);
+  const keyCheck = toHex(await crypto.subtle.deriveBits(hkdf('key-check'), baseKey, 128));
+
+  return { encKey, macKey, keyCheck, kdf };
+}
+
+/**
+ * 加密一个分片
+ *
+ * @param {Object} keys - deriveKeys 返回的密钥
+ * @param {ArrayBuffer} plaintext - 分片明文
+ * @returns {Promise<{nonce: Uint8Array, ciphertext: ArrayBuffer}>}
+ */
+export async function encryptChunk(keys, plaintext) {
+  const mac = await crypto.subtle.sign('HMAC', keys.macKey, plaintext);
+  const nonce = new Uint8Array(mac, 0, NONCE_SIZE).slice();
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, keys.encKey, plaintext);
+  return { nonce, ciphertext };
+}
+
+/**
+ * 生成加密清单
+ *
+ * @param {Object} keys - deriveKeys 返回的密钥
+ * @param {Object} payload - 清单内容 { fileName, fileSize, chunkSize }
+ * @param {Uint8Array[]} nonces - 各分片的nonce
+ * @returns {Promise<Object>} 随上传初始化请求发送给服务端的清单
+ */
+export async function createManifest(keys, payload, nonces) {
+  const nonce = crypto.getRandomValues(new Uint8Array(NONCE_SIZE));
+  const plaintext = encoder.encode(JSON.stringify({ ...payload, nonces: nonces.map(toBase64) }));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nonce, additionalData: encoder.encode(E2E_FORMAT) },
+    keys.encKey,
+    plaintext
+  );
+  return {
+    format: E2E_FORMAT,
+    kdf: keys.kdf,
+    keyCheck: keys.keyCheck,
+    nonce: toBase64(nonce),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * 用口令打开加密清单
+ *
+ * @param {string} passphrase - 口令
+ * @param {Object} manifest - 服务端保存的加密清单
+ * @param {Object} [cachedKeys] - 已经派生的密钥，派生参数相同时直接使用
+ * @returns {Promise<{keys: Object, payload: Object}>} payload 为 { fileName, fileSize, chunkSize, nonces }
+ * @throws {Error} 清单格式不支持或口令错误时抛出
+ */
+export async function openManifest(passphrase, manifest, cachedKeys) {
+  if (!manifest || manifest.format !== E2E_FORMAT) {
+    throw new Error('不支持的加密清单格式');
+  }
+
+  const keys = cachedKeys && JSON.stringify(cachedKeys.kdf) === JSON.stringify(manifest.kdf)
+    ? cachedKeys
+    : await deriveKeys(passphrase, null, manifest.kdf);
+  if (keys.keyCheck !== manifest.keyCheck) {
+    throw new Error('口令错误，无法解密该文件');
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(manifest.nonce), additionalData: encoder.encode(E2E_FORMAT) },
+    keys.encKey,
+    fromBase64(manifest.ciphertext)
+  );
+  const payload = JSON.parse(decoder.decode(plaintext));
+  payload.nonces = payload.nonces.map(fromBase64);
+  return { keys, payload };
+}
+
+/**
+ * 创建解密下载内容的流：按 chunkSize + CIPHER_OVERHEAD 切分密文，逐个分片解密后输出明文
+ *
+ * @param {Object} keys - 密钥
+ * @param {Object} payload - 加密清单的内容
+ * @param {Function} [onProgress] - (plainBytes) 每解密一个分片后的回调
+ * @returns {TransformStream<Uint8Array, Uint8Array>}
+ */
+export function createDecryptStream(keys, payload, onProgress = () => {}) {
+  const encryptedChunkSize = payload.chunkSize + CIPHER_OVERHEAD;
+  const pending = [];
+  let pendingBytes = 0;
+  let chunkIndex = 0;
+  let plainBytes = 0;
+
+  const take = size => {
+    const buffer = new Uint8Array(size);
+    let offset = 0;
+    while (offset < size) {
+      const head = pending[0];
+      const count = Math.min(head.length, size - offset);
+      buffer.set(head.subarray(0, count), offset);
+      offset += count;
+      if (count === head.length) {
+        pending.shift();
+      } else {
+        pending[0] = head.subarray(count);
+      }
+    }
+    pendingBytes -= size;
+    return buffer;
+  };
+
+  const decryptNext = async (controller, size) => {
+    const nonce = payload.nonces[chunkIndex];
+    if (!nonce) {
+      throw new Error('文件内容与加密清单不一致');
+    }
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nonce }, keys.encKey, take(size));
+    } catch (error) {
+      throw new Error(`分片 ${chunkIndex + 1} 解密失败，文件可能已损坏`);
+    }
+    chunkIndex++;
+    plainBytes += plaintext.byteLength;
+    controller.enqueue(new Uint8Array(plaintext));
+    onProgress(plainBytes);
+  };
+
+  return new TransformStream({
+    async transform(data, controller) {
+      pending.push(data);
+      pendingBytes += data.length;
+      while (pendingBytes >= encryptedChunkSize) {
+        await decryptNext(controller, encryptedChunkSize);
+      }
+    },
+    async flush(controller) {
+      if (pendingBytes > 0) {
+        await decryptNext(controller, pendingBytes);
+      }
+      if (chunkIndex !== payload.nonces.length || plainBytes !== payload.fileSize) {
+        throw new Error('下载的文件不完整');
+      }
+    }
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * 读取用户选择或拖入的文件夹
+ *
+ * 文件夹中的每个文件表示为 { file, relativePath }，relativePath 为相对于所选位置的路径
+ * （包含文件夹本身的名称，例如 project/src/main.js），上传时作为文件名发送给服务端，
+ * 服务端的文件目录按该路径保存原来的目录结构。空文件夹没有文件，不会被上传。
+ */
+
+/**
+ * 把相对路径规范为服务端接受的文件名：统一使用 / 分隔，去掉空的路径段和 .
+ *
+ * @param {string} path - 相对路径
+ * @returns {string|null} 规范后的路径，包含 .. 或为空时返回null（服务端同样会拒绝）
+ */
+export function normalizeRelativePath(path) {
+  const segments = path.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+  if (!segments.length || segments.includes('..')) {
+    return null;
+  }
+  return segments.join('/');
+}
+
+/**
+ * 从 <input webkitdirectory> 选择的文件列表读取文件
+ *
+ * @param {FileList} fileList - input 元素的 files
+ * @returns {Array<{file: File, relativePath: string}>}
+ */
+export function readFileList(fileList) {
+  return Array.from(fileList, file => ({ file, relativePath: file.webkitRelativePath || file.name }));
+}
+
+// 读取文件系统条目下的所有文件，目录按深度优先遍历
+async function walkEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({ file, relativePath: entry.fullPath.replace(/^\/+/, '') });
+    return;
+  }
+
+  const reader = entry.createReader();
+  // readEntries 每次只返回一部分条目（Chrome 最多100个），需要反复调用直到返回空数组
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) break;
+    for (const child of batch) {
+      await walkEntry(child, files);
+    }
+  }
+}
+
+/**
+ * 读取拖放的文件和文件夹
+ *
+ * 需要在 drop 事件处理函数中同步调用（第一个 await 之前），事件结束后 DataTransferItemList 会被清空。
+ *
+ * @param {DataTransfer} dataTransfer - drop 事件的 dataTransfer
+ * @returns {Promise<{files: Array<{file: File, relativePath: string}>, hasDirectory: boolean}>}
+ */
+export async function readDataTransfer(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+  const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  // 浏览器不支持读取条目时只能得到拖入的文件，无法读取文件夹
+  if (!entries.length || entries.some(entry => !entry)) {
+    return { files: readFileList(dataTransfer.files), hasDirectory: false };
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    await walkEntry(entry, files);
+  }
+  return { files, hasDirectory: entries.some(entry => entry.isDirectory) };
+}
@@ -198,6 +198,30 @@ export default class HashWorkerPool {
     }
   }
   
+  /**
+   * 计算整个文件的MD5摘要 - 在单个Worker中流式读取整个文件
+   * 
+   * 与分片哈希不同，整文件摘要与分片大小无关，可用于秒传匹配和服务端合并后校验。
+   * 该任务与分片哈希共用线程池，会占用其中一个Worker直到整个文件读取完毕。
+   * 
+   * @param {Blob} file - 要计算摘要的文件
+   * @returns {Promise<string>} 十六进制的MD5摘要
+   */
+  async computeFileHash(file) {
+    const startTime = Date.now();
+    const result = await this.pool.exec({
+      blob: file,
+      mode: 'file'
+    });
+    
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || '整文件摘要计算失败');
+    }
+    
+    console.log(`整文件摘要计算完成，耗时: ${Date.now() - startTime}ms`);
+    return result.hash;
+  }
+  
   /**
    * 记录性能统计信息
    * @private
@@ -199,7 +199,9 @@ loadHashWasm().then(success => {
 // 监听主线程消息
 self.onmessage = async function(e) {
   // 接收数据，支持blob或arrayBuffer两种模式
-  const { blob, arrayBuffer, chunkIndex } = e.data;
+  // mode为'file'时表示对整个文件做流式摘要，否则为单个分片
+  const { blob, arrayBuffer, chunkIndex, mode = 'chunk' } = e.data;
+  const isFirstTask = mode === 'file' || chunkIndex === 0;
   
   // 确定实际的数据源（优先使用blob）
   const chunkData = blob || arrayBuffer;
@@ -207,6 +209,7 @@ self.onmessage = async function(e) {
   if (!chunkData) {
     self.postMessage({
       chunkIndex,
+      mode,
       error: '未接收到数据',
       success: false,
       hashImplementation: "数据错误"
@@ -219,7 +222,7 @@ self.onmessage = async function(e) {
     let hashImplementation;
     
     // 如果之前未尝试加载hash-wasm，先尝试加载
-    if (!hashWasm && chunkIndex === 0) {
+    if (!hashWasm && isFirstTask) {
       await loadHashWasm().catch(() => {});
     }
     
@@ -231,7 +234,7 @@ self.onmessage = async function(e) {
         hashImplementation = "hash-wasm Stream (WebAssembly)";
         
         // 记录正在使用hash-wasm
-        if (chunkIndex === 0) {
+        if (isFirstTask) {
           console.log('正在使用hash-wasm流式方法进行高性能哈希计算');
         }
       } catch (wasmError) {
@@ -245,7 +248,7 @@ self.onmessage = async function(e) {
       hashImplementation = "SparkMD5 Stream (JavaScript) - WASM不可用";
       
       // 记录已降级到SparkMD5
-      if (chunkIndex === 0) {
+      if (isFirstTask) {
         console.warn('WebAssembly不可用或出错，已降级为SparkMD5流式计算', hashWasmLoadError);
       }
     }
@@ -253,6 +256,7 @@ self.onmessage = async function(e) {
     // 返回结果给主线程
     self.postMessage({
       chunkIndex,
+      mode,
       hash: hash,
       success: true,
       hashImplementation: hashImplementation // 添加使用的哈希实现信息
@@ -261,6 +265,7 @@ self.onmessage = async function(e) {
     console.error('哈希计算完全失败:', error);
     self.postMessage({
       chunkIndex,
+      mode,
       error: error.message || '未知错误',
       success: false,
       hashImplementation: "计算失败"
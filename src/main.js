@@ -1,5 +1,6 @@
 import Vue from 'vue'
 import App from './App.vue'
+import UploadQueue from './upload-queue.js'
 import './style.css'
 
 // 全局错误处理
@@ -7,7 +8,10 @@ Vue.config.errorHandler = function (err, vm, info) {
   console.error('Vue错误:', err, info)
 }
 
+// 上传队列独立于组件创建，组件销毁后正在进行的上传不会中断
+const uploadQueue = Vue.observable(new UploadQueue())
+
 new Vue({
+  provide: { uploadQueue },
   render: h => h(App)
 }).$mount('#app')
-
@@ -0,0 +1,328 @@
+/**
+ * UploadQueue - 多文件上传队列
+ *
+ * 队列按顺序调度其中的 UploadTask：同一时间最多 concurrency 个文件在上传（每个文件同时上传 chunkConcurrency 个分片），上传的同时计算后面文件的哈希
+ * （同一时间只计算一个文件，分片哈希本身已经由线程池并行计算），上传位置空出来时下一个文件可以直接开始上传。
+ * 文件夹中的文件作为一组任务加入队列，组内的文件可以一起暂停、恢复、取消和重试。
+ *
+ * 队列不属于任何组件：在 main.js 中创建并通过 provide 注入，收起上传列表或组件被销毁都不会中断上传。
+ * 创建后用 Vue.observable 包装，组件可以直接渲染队列和任务的状态。
+ */
+
+import UploadTask from './upload-task.js';
+import HashWorkerPool from './hash-worker-pool.js';
+import { normalizeRelativePath } from './folder-reader.js';
+import { isE2ESupported, deriveKeys } from './e2e-crypto.js';
+
+// 默认同时上传的文件数
+export const DEFAULT_CONCURRENCY = 2;
+// 同时上传的文件数上限
+export const MAX_CONCURRENCY = 6;
+// 每个文件默认同时上传的分片数
+export const DEFAULT_CHUNK_CONCURRENCY = 3;
+// 每个文件同时上传的分片数上限
+export const MAX_CHUNK_CONCURRENCY = 6;
+// 固定大小分片的大小（自适应分片关闭或不可用时），会限制在服务端允许的范围内
+const CHUNK_SIZE = 10 * 1024 * 1024;
+
+// 不需要响应式的内部状态（调度中的任务、哈希线程池、密钥缓存、事件监听），避免被 Vue.observable 深度观察
+const internals = new WeakMap();
+
+let nextGroupId = 1;
+
+export default class UploadQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - 同时上传的文件数
+   * @param {number} [options.chunkConcurrency] - 每个文件同时上传的分片数
+   * @param {number} [options.chunkSize] - 固定大小分片的大小
+   */
+  constructor(options = {}) {
+    this.tasks = [];
+    this.groups = []; // 文件夹 { id, name, fileCount, totalBytes }
+    this.settings = {
+      concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+      chunkConcurrency: options.chunkConcurrency || DEFAULT_CHUNK_CONCURRENCY,
+      e2eEnabled: false, // 是否端到端加密：分片在浏览器中加密后上传，服务端只保存密文
+      passphrase: '', // 端到端加密的口令，只保存在内存中
+      compressionEnabled: false, // 是否压缩分片后上传，服务端边接收边解压
+      compressionFormat: 'gzip', // CompressionStream 的格式：gzip 或 deflate
+      adaptiveChunkSize: true // 服务端支持时按测得的吞吐量调整分片大小，加密上传时不生效
+    };
+    this.chunkSize = options.chunkSize || CHUNK_SIZE;
+    this.userId = null; // 任务所属的用户，切换用户后之前的任务不能继续上传
+    this.accessToken = ''; // 访问令牌，EventSource 无法附加请求头，通过查询参数携带
+    this.rawChunkUpload = true; // 分片是否以原始二进制上传，服务端不支持时改用multipart表单
+    this.hashImplementation = '尚未执行哈希计算';
+
+    internals.set(this, {
+      hashing: new Set(),
+      uploading: new Set(),
+      hashWorkerPool: null,
+      e2eKeys: null, // 由口令派生的密钥缓存 { passphrase, userId, keys }
+      listeners: new Map()
+    });
+
+    // 关闭页面时保存未完成的上传状态
+    window.addEventListener('beforeunload', () => this.saveState());
+  }
+
+  /**
+   * 监听队列事件
+   * - quota：检查上传策略时服务端返回了最新的配额 (quota)
+   * - settled：任务上传完成、秒传或失败 (task)
+   *
+   * @returns {Function} 取消监听
+   */
+  on(event, listener) {
+    const { listeners } = internals.get(this);
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(listener);
+    return () => listeners.get(event).delete(listener);
+  }
+
+  emit(event, ...args) {
+    const listeners = internals.get(this).listeners.get(event);
+    if (listeners) {
+      listeners.forEach(listener => listener(...args));
+    }
+  }
+
+  // 登录或退出登录；换了用户时清空之前用户的任务（服务端的会话由过期清理删除）
+  setUser(user, accessToken) {
+    if (user && this.userId && user.id !== this.userId) {
+      this.tasks.forEach(task => task.pause());
+      this.tasks = [];
+      this.groups = [];
+    }
+    if (user) {
+      this.userId = user.id;
+    }
+    this.accessToken = user ? accessToken : '';
+    this.schedule();
+  }
+
+  getHashWorkerPool() {
+    const state = internals.get(this);
+    if (!state.hashWorkerPool) {
+      // 使用系统可用的CPU核心数创建线程池
+      state.hashWorkerPool = new HashWorkerPool();
+      console.log(`创建哈希计算线程池，线程数: ${navigator.hardwareConcurrency || 4}`);
+    }
+    return state.hashWorkerPool;
+  }
+
+  /**
+   * 由口令派生密钥，同一用户和口令只派生一次（Argon2id需要较多的时间和内存）
+   *
+   * @param {Function} [onDerive] - 需要重新派生时的回调，用于显示状态
+   */
+  async getEncryptionKeys(onDerive) {
+    if (!isE2ESupported()) {
+      throw new Error('当前浏览器不支持端到端加密（需要HTTPS或localhost）');
+    }
+    const { passphrase } = this.settings;
+    if (!passphrase) {
+      throw new Error('请输入加密口令');
+    }
+
+    const state = internals.get(this);
+    const userId = this.userId;
+    if (!state.e2eKeys || state.e2eKeys.passphrase !== passphrase || state.e2eKeys.userId !== userId) {
+      if (onDerive) onDerive();
+      const keys = await deriveKeys(passphrase, userId);
+      state.e2eKeys = { passphrase, userId, keys };
+    }
+    return state.e2eKeys.keys;
+  }
+
+  // 当前口令已经派生过的密钥，没有时返回null
+  getCachedEncryptionKeys(passphrase) {
+    const { e2eKeys } = internals.get(this);
+    return e2eKeys && e2eKeys.passphrase === passphrase ? e2eKeys.keys : null;
+  }
+
+  /**
+   * 添加要上传的文件
+   *
+   * @param {Array<{file: File, relativePath?: string}>} files - 文件，relativePath 为文件夹中的相对路径
+   * @param {Object} [options]
+   * @param {boolean} [options.folder] - 作为一个文件夹加入：按路径排序，可以整体暂停、取消和重试
+   * @returns {UploadTask[]} 创建的任务
+   */
+  add(files, options = {}) {
+    let group = null;
+    if (options.folder) {
+      files = files.slice().sort((a, b) => (a.relativePath < b.relativePath ? -1 : (a.relativePath > b.relativePath ? 1 : 0)));
+      const roots = new Set(files.map(item => item.relativePath.split('/')[0]));
+      group = {
+        id: `folder-${nextGroupId++}`,
+        name: roots.size === 1 ? Array.from(roots)[0] : `${roots.size} 个项目`,
+        fileCount: files.length,
+        totalBytes: files.reduce((sum, item) => sum + item.file.size, 0)
+      };
+      this.groups.push(group);
+    }
+
+    const tasks = files.map(({ file, relativePath }) => {
+      const path = relativePath ? normalizeRelativePath(relativePath) : '';
+      const task = new UploadTask(this, file, { relativePath: path || relativePath, group: group && group.id });
+      // 路径不合法（例如包含 ..）的文件直接标记为失败，服务端同样会拒绝
+      if (path === null) {
+        task.status = 'failed';
+        task.message = '文件路径不合法';
+      }
+      return task;
+    });
+    this.tasks.push(...tasks);
+    this.schedule();
+    return tasks;
+  }
+
+  // 调整任务在队列中的位置，只影响还没有开始的任务的上传顺序
+  move(task, offset) {
+    const from = this.tasks.indexOf(task);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= this.tasks.length) return;
+    this.tasks.splice(from, 1);
+    this.tasks.splice(to, 0, task);
+    this.schedule();
+  }
+
+  setConcurrency(value) {
+    const concurrency = Math.floor(Number(value));
+    this.settings.concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, concurrency || 1));
+    this.schedule();
+  }
+
+  // 正在上传的文件在窗口滑动时使用新的分片并发数
+  setChunkConcurrency(value) {
+    const chunkConcurrency = Math.floor(Number(value));
+    this.settings.chunkConcurrency = Math.min(MAX_CHUNK_CONCURRENCY, Math.max(1, chunkConcurrency || 1));
+  }
+
+  pause(task) {
+    task.pause();
+    this.schedule();
+  }
+
+  resume(task) {
+    task.resume();
+    this.schedule();
+  }
+
+  async cancel(task) {
+    const cancelling = task.cancel();
+    this.schedule();
+    await cancelling;
+  }
+
+  retry(task) {
+    task.retry();
+    this.schedule();
+  }
+
+  // 移除已结束的任务，失败的任务先删除服务端的会话
+  async remove(task) {
+    if (!task.finished && task.status !== 'failed' && task.status !== 'cancelled') return;
+    if (task.status === 'failed') {
+      await task.cancel();
+    }
+
+    const index = this.tasks.indexOf(task);
+    if (index >= 0) {
+      this.tasks.splice(index, 1);
+    }
+    if (task.group && !this.tasks.some(item => item.group === task.group)) {
+      this.groups = this.groups.filter(group => group.id !== task.group);
+    }
+  }
+
+  // 以下批量操作的 group 为文件夹ID，不传时作用于整个队列
+  filterTasks(group) {
+    return group ? this.tasks.filter(task => task.group === group) : this.tasks.slice();
+  }
+
+  pauseAll(group) {
+    this.filterTasks(group).forEach(task => task.pause());
+    this.schedule();
+  }
+
+  resumeAll(group) {
+    this.filterTasks(group).forEach(task => task.resume());
+    this.schedule();
+  }
+
+  async cancelAll(group) {
+    const cancelling = this.filterTasks(group).map(task => task.cancel());
+    this.schedule();
+    await Promise.all(cancelling);
+  }
+
+  retryFailed(group) {
+    this.filterTasks(group).forEach(task => task.retry());
+    this.schedule();
+  }
+
+  async clearFinished() {
+    await Promise.all(this.tasks.filter(task => task.finished).map(task => this.remove(task)));
+  }
+
+  /**
+   * 调度：按队列顺序开始等待上传的任务，直到达到并发数；
+   * 等待上传的任务不够填满空闲的位置（至少提前准备一个）时，计算下一个任务的哈希
+   */
+  schedule() {
+    // 退出登录后不再开始新的任务
+    if (!this.accessToken) return;
+
+    const { hashing, uploading } = internals.get(this);
+    const { concurrency } = this.settings;
+
+    for (const task of this.tasks) {
+      if (uploading.size >= concurrency) break;
+      // 暂停后很快恢复的任务，之前的上传还没有结束时等它结束后再开始
+      if (task.status === 'ready' && !uploading.has(task)) {
+        this.run(uploading, task, () => task.upload());
+      }
+    }
+
+    if (hashing.size) return;
+    const waiting = this.tasks.filter(task => task.status === 'ready' && !uploading.has(task)).length;
+    if (waiting >= Math.max(1, concurrency - uploading.size)) return;
+
+    const next = this.tasks.find(task => task.status === 'queued');
+    if (next) {
+      this.run(hashing, next, () => next.prepare());
+    }
+  }
+
+  async run(running, task, step) {
+    running.add(task);
+    try {
+      await step();
+    } catch (error) {
+      // prepare() 和 upload() 自己处理错误，这里只防止意外的错误中断调度
+      console.error('上传任务出错:', error);
+      task.fail(error.message);
+    } finally {
+      running.delete(task);
+    }
+
+    if (task.finished || task.status === 'failed') {
+      this.emit('settled', task);
+    }
+    this.schedule();
+  }
+
+  // 保存未完成任务的上传状态
+  saveState() {
+    this.tasks.forEach(task => {
+      if (task.uploadId) {
+        task.saveState();
+      }
+    });
+  }
+}
@@ -0,0 +1,1132 @@
+/**
+ * UploadTask - 上传队列中的一个文件
+ *
+ * 保存一个文件的上传状态（分片、上传会话、进度等），负责检查上传策略、计算哈希、初始化上传、
+ * 上传分片和合并。分片以滑动窗口并行上传，同时上传的分片数由队列的 chunkConcurrency 设置决定。任务自己不决定什么时候开始，由 UploadQueue 按顺序和并发数调度：
+ * 先调用 prepare() 检查策略并计算哈希，再调用 upload() 上传并合并。
+ *
+ * 服务端支持时（没有开启分片去重）默认自适应分片大小：文件不预先切分，上传时由 ChunkSizer 按之前分片测得的吞吐量
+ * 决定下一个分片的大小，分片带上在文件中的偏移量上传，分片哈希在上传前计算。端到端加密的加密清单按固定的分片大小切分密文，
+ * 加密上传时和服务端不支持时使用固定大小的分片，大小限制在服务端允许的范围内。
+ *
+ * 任务状态：
+ * - queued：等待计算哈希
+ * - checking / hashing：正在检查上传策略 / 计算哈希
+ * - ready：哈希已计算，等待上传
+ * - uploading / merging：正在上传分片 / 服务端正在合并
+ * - paused：已暂停，恢复后回到 queued 或 ready
+ * - completed / instant：上传完成 / 秒传
+ * - failed / cancelled：失败（原因见 message）/ 已取消，都可以重试
+ */
+
+import axios from 'axios';
+import { createMD5 } from 'hash-wasm';
+import { CIPHER_OVERHEAD, encryptChunk, createManifest } from './e2e-crypto.js';
+import ChunkSizer from './chunk-sizer.js';
+
+// 服务端业务错误码：分片内容校验失败
+const CHUNK_HASH_MISMATCH = 4222;
+// 服务端业务错误码：同一分片之前的请求还在写入（例如暂停后立即恢复），本次写入无效
+const CHUNK_WRITE_CONFLICT = 4091;
+// 分片校验失败或写入冲突时自动重传的最大次数
+const MAX_CHUNK_RETRIES = 3;
+// 发送给服务端识别内容类型的文件开头字节数
+const FILE_HEAD_SIZE = 512;
+// 无法使用Server-Sent Events时查询合并进度的间隔（毫秒）
+const MERGE_POLL_INTERVAL = 1000;
+// 浏览器是否支持在上传前压缩分片
+export const COMPRESSION_SUPPORTED = typeof CompressionStream !== 'undefined';
+
+let nextTaskId = 1;
+
+// 请求失败时优先使用服务端返回的错误信息
+function errorMessage(error) {
+  const data = error.response && error.response.data;
+  return (data && data.message) || error.message || '网络错误';
+}
+
+export default class UploadTask {
+  /**
+   * @param {UploadQueue} queue - 所属的上传队列，提供上传选项、哈希线程池和加密密钥
+   * @param {File} file - 要上传的文件
+   * @param {Object} [options]
+   * @param {string} [options.relativePath] - 文件夹中的相对路径，作为上传的文件名
+   * @param {string} [options.group] - 所属文件夹的ID
+   */
+  constructor(queue, file, options = {}) {
+    this.queue = queue;
+    this.id = nextTaskId++;
+    this.file = file;
+    this.fileName = options.relativePath || file.name; // 上传到服务端的文件名，文件夹中的文件为相对路径
+    this.group = options.group || null;
+    this.status = 'queued';
+    this.message = '';
+    this.chunkSize = queue.chunkSize; // 固定大小分片的大小；自适应分片时为最近切分的分片大小
+    this.chunkSizeLimits = null; // 服务端允许的分片大小 { min, max, adaptive }，检查上传策略时获得
+    this.adaptive = false; // 是否自适应分片大小，开始计算哈希时确定
+    this.chunkSizer = null; // 自适应分片时估计分片大小，每个上传会话一个
+    this.chunks = [];
+    this.currentChunkIndex = 0; // 第一个未完成的分片，即并行上传窗口的开头
+    this.uploadId = null;
+    this.fileHash = null; // 整个文件的MD5摘要，用于秒传和合并后校验
+    this.uploadedChunks = [];
+    this.hashProgress = 0;
+    this.uploadProgress = 0;
+    this.encrypted = false; // 是否端到端加密，开始计算哈希时按队列的设置确定
+    this.encryptionManifest = null; // 随初始化请求上传的加密清单
+    this.mergeJob = null; // 服务端的后台合并任务 { jobId, status, phase, mergedBytes, totalBytes, currentChunk, totalChunks }
+    this.downloadUrl = ''; // 上传完成后的下载地址
+    this.downloadTarget = null; // 加密文件的下载信息 { fileName, versionId }，下载后在浏览器中解密
+    this.compressionStats = { originalBytes: 0, sentBytes: 0, compressedChunks: 0, sentChunks: 0 };
+    this.uploadStartTime = 0;
+  }
+
+  // 分片哈希、整文件摘要（以及加密清单）是否都已计算完成；自适应分片的分片哈希在上传时计算，只需要整文件摘要
+  get hashed() {
+    if (this.adaptive) {
+      return Boolean(this.fileHash);
+    }
+    return Boolean(
+      this.fileHash &&
+      this.chunks.length === Math.ceil(this.file.size / this.chunkSize) &&
+      this.chunks.every(chunk => chunk.hash) &&
+      (!this.encrypted || this.encryptionManifest)
+    );
+  }
+
+  get finished() {
+    return this.status === 'completed' || this.status === 'instant';
+  }
+
+  // 性能埋点的名称带上任务ID，多个文件同时上传时互不覆盖
+  perfMark(name) {
+    if (window.performance) {
+      performance.mark(`${name}#${this.id}`);
+    }
+  }
+
+  perfMeasure(name) {
+    if (window.performance) {
+      performance.measure(`${name}#${this.id}`, `${name}-start#${this.id}`, `${name}-end#${this.id}`);
+    }
+  }
+
+  // 检查上传策略并计算哈希，完成后进入 ready 状态
+  async prepare() {
+    const encrypted = this.queue.settings.e2eEnabled;
+    if (encrypted !== this.encrypted) {
+      this.resetChunkHashes();
+      this.encrypted = encrypted;
+    }
+    this.status = 'checking';
+    this.message = '正在检查文件...';
+
+    try {
+      const policyError = await this.checkUploadPolicy();
+      if (this.status !== 'checking') return;
+      if (policyError) {
+        this.fail(`无法上传该文件: ${policyError}`);
+        return;
+      }
+    } catch (error) {
+      if (this.status !== 'checking') return;
+      // 检查失败时不阻止上传，初始化时服务端还会再检查一次
+      console.warn('检查上传策略失败:', error.message);
+    }
+
+    this.configureChunking();
+    this.prepareChunks();
+    this.status = 'hashing';
+    try {
+      await this.calculateChunksHash();
+    } catch (error) {
+      console.error('文件哈希计算失败:', error);
+      if (this.status === 'hashing') {
+        this.fail(`文件哈希计算失败: ${error.message}`);
+      }
+      return;
+    }
+    // 计算期间暂停或取消了任务
+    if (this.status !== 'hashing') return;
+
+    if (!this.hashed) {
+      this.fail('部分文件分片未完成哈希计算');
+      return;
+    }
+    this.status = 'ready';
+    this.message = '';
+  }
+
+  // 读取文件开头的数据（base64），服务端据此识别内容类型
+  async readFileHead() {
+    const bytes = new Uint8Array(await this.file.slice(0, FILE_HEAD_SIZE).arrayBuffer());
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  // 计算哈希之前先让服务端检查文件大小、类型和剩余配额，返回不符合的原因
+  async checkUploadPolicy() {
+    try {
+      const response = await axios.post('/api/upload/check', {
+        fileName: this.fileName,
+        fileSize: this.encrypted ? this.getEncryptedSize() : this.file.size,
+        // 端到端加密时不发送明文内容，服务端无法按内容识别类型
+        fileHead: this.encrypted ? undefined : await this.readFileHead()
+      });
+      this.queue.emit('quota', response.data.data);
+      this.chunkSizeLimits = response.data.data.chunkSizeLimits || null;
+      return '';
+    } catch (error) {
+      const response = error.response;
+      if (response && response.status !== 401 && response.data && typeof response.data.code === 'number') {
+        return response.data.message || `检查上传策略失败: HTTP ${response.status}`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 确定切分方式：服务端支持、没有端到端加密并且队列开启了自适应分片时自适应分片大小，
+   * 否则使用固定大小的分片（加密时不超过上限减去认证标签）。切分方式改变时之前的分片和哈希作废
+   */
+  configureChunking() {
+    // 上传会话已经创建（失败后重试），切分方式与服务端登记的一致，不能再改变
+    if (this.uploadId) return;
+
+    const limits = this.chunkSizeLimits;
+    const adaptive = Boolean(limits && limits.adaptive && this.queue.settings.adaptiveChunkSize && !this.encrypted);
+    let chunkSize = this.queue.chunkSize;
+    if (limits) {
+      const overhead = this.encrypted ? CIPHER_OVERHEAD : 0;
+      chunkSize = Math.min(limits.max - overhead, Math.max(limits.min, chunkSize));
+    }
+
+    if (adaptive !== this.adaptive || (!adaptive && chunkSize !== this.chunkSize)) {
+      this.chunks = [];
+      this.chunkSizer = null;
+      this.resetChunkHashes();
+      this.adaptive = adaptive;
+    }
+    if (!adaptive) {
+      this.chunkSize = chunkSize;
+    }
+  }
+
+  prepareChunks() {
+    // 自适应分片在上传过程中逐个切分
+    if (this.adaptive) return;
+
+    const chunkCount = Math.ceil(this.file.size / this.chunkSize);
+    // 之前已经切分过（例如失败后重试），保留已计算的哈希和已上传的分片
+    if (this.chunks.length === chunkCount) return;
+
+    // 标记文件切片计算开始
+    this.perfMark('chunkCalculation-start');
+
+    this.chunks = [];
+    for (let i = 0; i < chunkCount; i++) {
+      const start = i * this.chunkSize;
+      this.chunks.push(this.createChunk(i, start, Math.min(this.file.size, start + this.chunkSize)));
+    }
+
+    // 标记文件切片计算结束并测量
+    this.perfMark('chunkCalculation-end');
+    this.perfMeasure('chunkCalculation');
+    this.message = `文件已分割为 ${chunkCount} 个分片`;
+  }
+
+  createChunk(index, start, end) {
+    return {
+      index,
+      start,
+      end,
+      progress: 0,
+      status: 'pending', // pending, uploading, paused, completed, failed
+      hash: null,
+      nonce: null, // 端到端加密时分片的nonce
+      retries: 0 // 因校验失败已重传的次数
+    };
+  }
+
+  // 已经切分的字节数，自适应分片全部切分后等于文件大小
+  get plannedBytes() {
+    const last = this.chunks[this.chunks.length - 1];
+    return last ? last.end : 0;
+  }
+
+  // 自适应分片：按当前估计的大小切分下一个分片
+  planChunk() {
+    if (!this.chunkSizer) {
+      this.chunkSizer = new ChunkSizer(this.chunkSizeLimits);
+    }
+    const start = this.plannedBytes;
+    const size = this.chunkSizer.next(this.file.size - start);
+    this.chunks.push(this.createChunk(this.chunks.length, start, start + size));
+    this.chunkSize = size;
+  }
+
+  resetChunkHashes() {
+    this.chunks.forEach(chunk => {
+      chunk.hash = null;
+      chunk.nonce = null;
+    });
+    this.fileHash = null;
+    this.encryptionManifest = null;
+    this.hashProgress = 0;
+  }
+
+  // 加密后的文件大小：每个分片多出AES-GCM认证标签
+  getEncryptedSize() {
+    return this.file.size + Math.ceil(this.file.size / this.chunkSize) * CIPHER_OVERHEAD;
+  }
+
+  async getEncryptionKeys() {
+    return this.queue.getEncryptionKeys(() => {
+      this.message = '正在由口令派生密钥...';
+    });
+  }
+
+  // 端到端加密时逐个加密分片，按密文计算分片哈希和整文件摘要，并生成加密清单
+  // 加密是确定性的（nonce由分片明文的HMAC得到），上传时重新加密得到相同的密文，不需要保存密文
+  async calculateEncryptedHashes() {
+    this.hashProgress = 0;
+
+    const keys = await this.getEncryptionKeys();
+    const fileHasher = await createMD5();
+    const chunkHasher = await createMD5();
+
+    for (const chunk of this.chunks) {
+      if (this.status !== 'hashing') return;
+      this.message = `正在加密并计算哈希 ${chunk.index + 1}/${this.chunks.length}`;
+      const plaintext = await this.file.slice(chunk.start, chunk.end).arrayBuffer();
+      const { nonce, ciphertext } = await encryptChunk(keys, plaintext);
+      const bytes = new Uint8Array(ciphertext);
+
+      chunkHasher.init();
+      chunkHasher.update(bytes);
+      chunk.hash = chunkHasher.digest('hex');
+      chunk.nonce = nonce;
+      fileHasher.update(bytes);
+      this.hashProgress = ((chunk.index + 1) / this.chunks.length) * 100;
+    }
+
+    this.fileHash = fileHasher.digest('hex');
+    this.encryptionManifest = await createManifest(keys, {
+      fileName: this.fileName,
+      fileSize: this.file.size,
+      chunkSize: this.chunkSize
+    }, this.chunks.map(chunk => chunk.nonce));
+    this.queue.hashImplementation = 'hash-wasm (WebAssembly)，基于密文';
+    this.message = `文件加密完成，${this.chunks.length}个分片准备就绪`;
+  }
+
+  // 读取并加密一个分片，用于上传
+  async readEncryptedChunk(chunk) {
+    const keys = await this.getEncryptionKeys();
+    const plaintext = await this.file.slice(chunk.start, chunk.end).arrayBuffer();
+    const { ciphertext } = await encryptChunk(keys, plaintext);
+    return new Blob([ciphertext], { type: 'application/octet-stream' });
+  }
+
+  async calculateChunksHash() {
+    if (this.encrypted) {
+      await this.calculateEncryptedHashes();
+      return;
+    }
+
+    // 标记哈希计算开始
+    this.perfMark('hashCalculation-start');
+    this.message = '正在计算文件哈希...';
+    this.hashProgress = 0;
+
+    const hashWorkerPool = this.queue.getHashWorkerPool();
+
+    // 自适应分片只计算整文件摘要（用于秒传），分片哈希在上传每个分片之前计算
+    if (this.adaptive) {
+      this.fileHash = this.fileHash || await hashWorkerPool.computeFileHash(this.file);
+      this.hashProgress = 100;
+      this.message = '文件哈希计算完成';
+      console.log(`${this.fileName} 整文件摘要:`, this.fileHash);
+      this.perfMark('hashCalculation-end');
+      this.perfMeasure('hashCalculation');
+      return;
+    }
+
+    // 已经有哈希值的分片（例如重试时）跳过计算
+    const chunksToProcess = this.chunks
+      .filter(chunk => !chunk.hash)
+      .map(chunk => ({ data: this.file.slice(chunk.start, chunk.end), index: chunk.index }));
+
+    const onProgress = ({ chunkIndex, result }) => {
+      const chunk = this.chunks[chunkIndex];
+      if (chunk && result && result.success) {
+        chunk.hash = result.hash;
+      } else if (result && !result.success) {
+        console.error(`分片 ${chunkIndex} 哈希计算失败:`, result.error);
+      }
+
+      this.hashProgress = (this.chunks.filter(item => item.hash).length / this.chunks.length) * 100;
+      if (this.hashProgress >= 100 && !this.fileHash) {
+        this.message = '分片哈希计算完成，正在计算整文件摘要...';
+      }
+    };
+
+    // 整文件摘要与分片哈希并行计算
+    const fileHashPromise = this.fileHash
+      ? Promise.resolve(this.fileHash)
+      : hashWorkerPool.computeFileHash(this.file);
+
+    if (chunksToProcess.length === 0) {
+      this.fileHash = await fileHashPromise;
+      this.hashProgress = 100;
+      this.message = `文件哈希计算完成，${this.chunks.length}个分片准备就绪`;
+      return;
+    }
+
+    const [, fileHash] = await Promise.all([
+      hashWorkerPool.computeHashesForChunks(chunksToProcess, { onProgress }),
+      fileHashPromise
+    ]);
+
+    this.fileHash = fileHash;
+    this.message = `文件哈希计算完成，${this.chunks.length}个分片准备就绪`;
+    console.log(`${this.fileName} 整文件摘要:`, fileHash);
+
+    // 标记哈希计算结束并测量
+    this.perfMark('hashCalculation-end');
+    this.perfMeasure('hashCalculation');
+
+    // 从线程池获取哈希实现方式
+    const poolStats = hashWorkerPool.logPerformanceStats();
+    if (poolStats && poolStats.hashImplementation === 'wasm') {
+      this.queue.hashImplementation = 'hash-wasm (WebAssembly)';
+    } else if (poolStats && poolStats.hashImplementation === 'js') {
+      this.queue.hashImplementation = 'SparkMD5 (JavaScript)';
+    }
+  }
+
+  // 上传并合并：初始化上传（或继续之前的会话）、并行上传未完成的分片，全部上传后合并
+  async upload() {
+    this.status = 'uploading';
+    this.message = '';
+    this.mergeJob = null;
+
+    // 标记整个上传过程开始
+    this.perfMark('totalUpload-start');
+    this.uploadStartTime = Date.now();
+
+    try {
+      // 继续本地保存的会话或初始化上传，秒传成功时无需上传分片
+      if (!this.uploadId && !await this.resumeSession() && await this.initUpload()) return;
+
+      // 初始化期间取消了任务，会话已经创建，通知服务端删除
+      if (this.status === 'cancelled' && this.uploadId) {
+        const uploadId = this.uploadId;
+        this.uploadId = null;
+        await this.deleteSession(uploadId);
+        return;
+      }
+
+      if (!await this.uploadChunks()) return;
+      await this.mergeChunks();
+    } catch (error) {
+      if (this.status === 'uploading' || this.status === 'merging') {
+        this.fail(error.message);
+      }
+    }
+  }
+
+  async initUpload() {
+    console.log(`开始初始化上传: ${this.fileName}`);
+
+    // 收集所有分片的哈希值；端到端加密时上传的是密文，大小包含认证标签
+    const overhead = this.encrypted ? CIPHER_OVERHEAD : 0;
+    const chunksInfo = this.chunks.map(chunk => ({
+      index: chunk.index,
+      hash: chunk.hash,
+      size: chunk.end - chunk.start + overhead
+    }));
+
+    // 自适应分片不预先切分，分片的位置和大小随每个分片上传
+    const layout = this.adaptive
+      ? { chunkSizing: 'adaptive' }
+      : { chunkSize: this.chunkSize + overhead, chunkCount: this.chunks.length, chunksInfo };
+
+    let result;
+    try {
+      const response = await axios.post('/api/upload/init', {
+        fileName: this.fileName,
+        fileSize: this.file.size + this.chunks.length * overhead,
+        fileHash: this.fileHash,
+        ...layout,
+        fileHead: this.encrypted ? undefined : await this.readFileHead(),
+        encryption: this.encrypted ? this.encryptionManifest : undefined
+      });
+      result = response.data;
+    } catch (error) {
+      // 违反上传策略时服务端返回具体原因
+      console.error('初始化上传出错:', error);
+      throw new Error(`初始化上传失败: ${errorMessage(error)}`);
+    }
+    if (result.code !== 0) {
+      throw new Error(`初始化上传失败: ${result.message}`);
+    }
+
+    // 检查是否有已存在的分片（秒传）
+    if (result.data.shouldSkipUpload) {
+      console.log(`${this.fileName} 已存在于服务器，秒传成功`);
+      this.status = 'instant';
+      this.message = '文件已存在于服务器，秒传成功！';
+      this.downloadUrl = result.data.downloadUrl;
+      this.downloadTarget = this.encrypted ? { fileName: result.data.existingFile, versionId: null } : null;
+      this.uploadProgress = 100;
+      return true;
+    }
+
+    this.uploadId = result.data.uploadId;
+    console.log('获取到的uploadId:', this.uploadId);
+    this.saveState();
+
+    // 服务端开启分片去重时，已存在的分片无需上传
+    const dedupChunks = result.data.dedupChunks || [];
+    if (dedupChunks.length) {
+      console.log(`服务端已有 ${dedupChunks.length} 个相同的分片，跳过上传`);
+    }
+
+    // 如果有已上传的块，标记为已完成
+    if ((result.data.uploadedChunks && result.data.uploadedChunks.length) || dedupChunks.length) {
+      this.uploadedChunks = Array.from(new Set([...(result.data.uploadedChunks || []), ...dedupChunks]));
+      this.uploadedChunks.forEach(chunkIndex => {
+        if (this.chunks[chunkIndex]) {
+          this.chunks[chunkIndex].status = 'completed';
+          this.chunks[chunkIndex].progress = 100;
+        }
+      });
+      this.calculateTotalProgress();
+    }
+    return false;
+  }
+
+  /**
+   * 以滑动窗口并行上传未完成的分片
+   *
+   * 窗口从第一个未完成的分片（currentChunkIndex）开始，窗口内最多同时上传 chunkConcurrency 个分片，
+   * 窗口开头的分片完成后窗口向后滑动。一个慢分片不会让后面已完成的分片越积越多，
+   * 已上传的分片大致连续，中断后继续上传时需要重传的分片也集中在窗口内。
+   * 一个分片失败时任务立即标记为失败并中止其他正在上传的分片。
+   * 自适应分片时窗口需要分片才切分下一个，分片大小取决于之前完成的分片测得的吞吐量。
+   *
+   * @returns {Promise<boolean>} 全部上传后返回true；暂停、取消时返回false，失败时抛出错误
+   */
+  async uploadChunks() {
+    const inFlight = new Map(); // chunk -> 上传中的Promise
+    let failure = null;
+
+    for (;;) {
+      while (this.currentChunkIndex < this.chunks.length && this.chunks[this.currentChunkIndex].status === 'completed') {
+        this.currentChunkIndex++;
+      }
+      if (this.status !== 'uploading') break;
+
+      const { chunkConcurrency } = this.queue.settings;
+      while (this.adaptive && this.chunks.length < this.currentChunkIndex + chunkConcurrency && this.plannedBytes < this.file.size) {
+        this.planChunk();
+      }
+
+      // 窗口内还没有开始上传的分片（包括校验失败需要重传的分片）开始上传
+      const windowEnd = Math.min(this.chunks.length, this.currentChunkIndex + chunkConcurrency);
+      for (let index = this.currentChunkIndex; index < windowEnd; index++) {
+        const chunk = this.chunks[index];
+        if (chunk.status === 'completed' || inFlight.has(chunk)) continue;
+
+        const uploading = this.uploadChunk(chunk)
+          .catch(error => {
+            if (failure) return;
+            failure = error;
+            this.fail(error.message);
+            this.abortChunks('其他分片上传失败');
+          })
+          .then(() => inFlight.delete(chunk));
+        inFlight.set(chunk, uploading);
+      }
+
+      if (!inFlight.size) break;
+      await Promise.race(inFlight.values());
+    }
+
+    // 暂停、取消或失败后等待中止的分片结束，之后才能重新开始上传
+    await Promise.all(inFlight.values());
+    if (failure) throw failure;
+    return this.status === 'uploading' && this.currentChunkIndex >= this.chunks.length;
+  }
+
+  async uploadChunk(chunk) {
+    const chunkIndex = chunk.index;
+    const uploadId = this.uploadId;
+    this.perfMark(`chunkUpload-${chunkIndex}-start`);
+    chunk.status = 'uploading';
+
+    let blob;
+    let body;
+    let encoding;
+    try {
+      // 创建Blob对象，确保有正确的MIME类型；端到端加密时上传分片的密文
+      blob = this.encrypted
+        ? await this.readEncryptedChunk(chunk)
+        : new Blob([this.file.slice(chunk.start, chunk.end)], { type: this.file.type || 'application/octet-stream' });
+      if (!chunk.hash) {
+        chunk.hash = await this.computeChunkHash(blob, chunkIndex);
+      }
+      ({ body, encoding } = await this.compressChunk(blob));
+    } catch (error) {
+      chunk.status = 'failed';
+      throw new Error(`分片 ${chunkIndex + 1} 上传失败: ${error.message}`);
+    }
+
+    // 读取分片期间暂停或取消了任务
+    if (this.status !== 'uploading') {
+      chunk.status = 'paused';
+      return;
+    }
+
+    console.log(`准备上传分片 ${chunkIndex + 1}/${this.chunks.length}`, {
+      fileName: this.fileName,
+      uploadId: this.uploadId,
+      chunkHash: chunk.hash,
+      encoding,
+      size: blob.size,
+      sentSize: body.size
+    });
+
+    // 创建取消上传的控制器
+    const cancelTokenSource = axios.CancelToken.source();
+    chunk.cancelToken = cancelTokenSource;
+    const startTime = Date.now();
+
+    try {
+      const response = await this.sendChunk(chunk, body, encoding, {
+        cancelToken: cancelTokenSource.token,
+        onUploadProgress: (progressEvent) => {
+          if (progressEvent.lengthComputable) {
+            chunk.progress = Math.round((progressEvent.loaded / progressEvent.total) * 100);
+            this.calculateTotalProgress();
+          }
+        }
+      });
+
+      // 标记当前分片上传结束并测量
+      this.perfMark(`chunkUpload-${chunkIndex}-end`);
+      this.perfMeasure(`chunkUpload-${chunkIndex}`);
+
+      if (response.data.code !== 0) {
+        chunk.status = 'failed';
+        throw new Error(`分片 ${chunkIndex + 1} 上传失败: ${response.data.message}`);
+      }
+
+      // 请求结束之前任务被取消，会话已经删除
+      if (this.uploadId !== uploadId) {
+        chunk.status = 'pending';
+        return;
+      }
+
+      chunk.status = 'completed';
+      chunk.progress = 100;
+      if (this.chunkSizer) {
+        this.chunkSizer.record(blob.size, Date.now() - startTime);
+      }
+      this.countSentChunk(blob.size, body.size, encoding);
+      this.uploadedChunks.push(chunkIndex);
+      this.calculateTotalProgress();
+
+      // 存储已上传的分片信息到本地存储
+      this.saveState();
+    } catch (error) {
+      if (chunk.status === 'failed') throw error;
+
+      // 判断是否是用户主动取消的请求
+      if (axios.isCancel(error)) {
+        console.log(`${this.fileName} 的分片 ${chunkIndex + 1} 上传已中止`);
+        chunk.status = 'paused';
+        // 中止的分片恢复后从头上传，已发送的部分不再计入进度
+        this.calculateTotalProgress();
+      } else if (this.isChunkRetryable(error) && chunk.retries < MAX_CHUNK_RETRIES) {
+        // 服务端收到的分片内容与哈希不一致（传输过程中损坏），或之前中止的同一分片还在写入，自动重传该分片
+        const reason = error.response.data.code === CHUNK_WRITE_CONFLICT ? '写入冲突' : '校验失败';
+        if (this.chunkSizer && error.response.data.code === CHUNK_HASH_MISMATCH) {
+          this.chunkSizer.recordFailure();
+        }
+        chunk.retries++;
+        chunk.status = 'pending';
+        chunk.progress = 0;
+        console.warn(`分片 ${chunkIndex + 1} ${reason}，第 ${chunk.retries} 次重传`, error.response.data);
+        this.message = `分片 ${chunkIndex + 1} ${reason}，正在重传 (${chunk.retries}/${MAX_CHUNK_RETRIES})`;
+      } else {
+        console.error('上传分片出错:', error);
+        chunk.status = 'failed';
+        if (this.chunkSizer) {
+          this.chunkSizer.recordFailure();
+        }
+        throw new Error(`分片 ${chunkIndex + 1} 上传失败: ${errorMessage(error)}`);
+      }
+    } finally {
+      chunk.cancelToken = null;
+    }
+  }
+
+  // 自适应分片在上传前计算分片哈希，与预先计算时一样使用哈希线程池
+  async computeChunkHash(blob, chunkIndex) {
+    const result = await this.queue.getHashWorkerPool().computeChunkHash(blob, chunkIndex);
+    if (!result || !result.success) {
+      throw new Error(`分片哈希计算失败: ${(result && result.error) || '未知错误'}`);
+    }
+    return result.hash;
+  }
+
+  // 压缩分片：压缩后没有变小的分片（例如图片、视频等已经压缩过的内容）按原始数据上传
+  // 分片哈希仍是原始数据的哈希，服务端解压后校验
+  async compressChunk(blob) {
+    const { compressionEnabled, compressionFormat } = this.queue.settings;
+    if (!compressionEnabled || !COMPRESSION_SUPPORTED || this.encrypted) {
+      return { body: blob, encoding: null };
+    }
+
+    const compressed = await new Response(blob.stream().pipeThrough(new CompressionStream(compressionFormat))).blob();
+    if (compressed.size >= blob.size) {
+      return { body: blob, encoding: null };
+    }
+    return { body: compressed, encoding: compressionFormat };
+  }
+
+  countSentChunk(originalBytes, sentBytes, encoding) {
+    const stats = this.compressionStats;
+    stats.originalBytes += originalBytes;
+    stats.sentBytes += sentBytes;
+    stats.sentChunks++;
+    if (encoding) {
+      stats.compressedChunks++;
+    }
+  }
+
+  // 发送一个分片：优先以原始二进制PUT到 /api/upload/:uploadId/chunks/:index，
+  // 服务端不支持该接口时（旧版本服务端）改用multipart表单，之后的分片（包括其他文件）也不再尝试
+  // encoding 为分片的压缩格式，未压缩时为null；自适应分片同时发送分片在文件中的偏移量和原始大小
+  async sendChunk(chunk, blob, encoding, config) {
+    if (this.queue.rawChunkUpload) {
+      try {
+        const headers = {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Hash': chunk.hash
+        };
+        if (encoding) {
+          headers['Content-Encoding'] = encoding;
+        }
+        if (this.adaptive) {
+          headers['X-Chunk-Offset'] = chunk.start;
+          headers['X-Chunk-Size'] = chunk.end - chunk.start;
+        }
+        return await axios.put(`/api/upload/${encodeURIComponent(this.uploadId)}/chunks/${chunk.index}`, blob, {
+          ...config,
+          headers
+        });
+      } catch (error) {
+        if (!this.isRawUploadUnsupported(error)) throw error;
+        console.warn('服务端不支持原始二进制的分片上传，改用multipart表单');
+        this.queue.rawChunkUpload = false;
+      }
+    }
+
+    const formData = new FormData();
+    // 参数字段放在文件之前，服务端预分配写入时处理文件之前就需要知道分片写入的位置
+    formData.append('uploadId', this.uploadId);
+    formData.append('chunkIndex', chunk.index);
+    formData.append('chunkHash', chunk.hash);
+    formData.append('totalChunks', this.chunks.length);
+    if (encoding) {
+      formData.append('chunkEncoding', encoding);
+    }
+    if (this.adaptive) {
+      formData.append('chunkOffset', chunk.start);
+      formData.append('chunkSize', chunk.end - chunk.start);
+    }
+    // 确保使用'file'作为文件字段名，与服务器端multer配置一致
+    formData.append('file', blob, this.file.name);
+
+    return axios.post('/api/upload/chunk', formData, {
+      ...config,
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+  }
+
+  // 接口不存在（404、405）或不接受该请求体（415）时，响应不是本服务的 { code, message } 格式
+  isRawUploadUnsupported(error) {
+    const response = error.response;
+    return Boolean(
+      response &&
+      [404, 405, 415].includes(response.status) &&
+      !(response.data && typeof response.data.code === 'number')
+    );
+  }
+
+  isChunkRetryable(error) {
+    return Boolean(
+      error.response &&
+      error.response.data &&
+      [CHUNK_HASH_MISMATCH, CHUNK_WRITE_CONFLICT].includes(error.response.data.code)
+    );
+  }
+
+  calculateTotalProgress() {
+    if (this.chunks.length === 0) {
+      this.uploadProgress = 0;
+      return;
+    }
+
+    // 总进度 = (已完成分片的字节数 + 各个正在上传的分片已发送的字节数) / 文件大小
+    // 最后一个分片通常比其他分片小，按字节计算，多个分片同时上传时进度也不会跳动
+    // 自适应分片还没有全部切分，总量为文件大小
+    let loaded = 0;
+    let total = 0;
+    this.chunks.forEach(chunk => {
+      const size = chunk.end - chunk.start;
+      total += size;
+      if (chunk.status === 'completed') {
+        loaded += size;
+      } else if (chunk.status === 'uploading') {
+        loaded += size * chunk.progress / 100;
+      }
+    });
+    if (this.adaptive) {
+      total = this.file.size;
+    }
+    const progress = total ? (loaded / total) * 100 : 0;
+
+    // 确保进度值在有效范围内
+    this.uploadProgress = Math.min(100, Math.max(0, progress));
+  }
+
+  // 等待合并任务结束：优先通过Server-Sent Events接收进度，不支持或连接断开时改为轮询
+  waitForMergeJob(job) {
+    return new Promise((resolve, reject) => {
+      const finish = current => {
+        this.mergeJob = current;
+        resolve(current);
+      };
+
+      const poll = async () => {
+        try {
+          const response = await axios.get(job.statusUrl);
+          const current = response.data.data;
+          if (current.status !== 'running') {
+            finish(current);
+            return;
+          }
+          this.mergeJob = current;
+          setTimeout(poll, MERGE_POLL_INTERVAL);
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      if (typeof EventSource === 'undefined') {
+        poll();
+        return;
+      }
+
+      const source = new EventSource(`${job.eventsUrl}?access_token=${encodeURIComponent(this.queue.accessToken)}`);
+      source.addEventListener('progress', event => {
+        this.mergeJob = JSON.parse(event.data);
+      });
+      ['completed', 'failed'].forEach(name => {
+        source.addEventListener(name, event => {
+          source.close();
+          finish(JSON.parse(event.data));
+        });
+      });
+      source.onerror = () => {
+        // 服务端在推送结果后关闭连接，或连接异常断开；没有收到结果时改为轮询
+        source.close();
+        poll();
+      };
+    });
+  }
+
+  async mergeChunks() {
+    // 标记合并开始
+    this.perfMark('mergeChunks-start');
+    this.status = 'merging';
+    this.message = '所有分片上传完成，正在合并文件...';
+
+    let result;
+    try {
+      const response = await axios.post('/api/upload/complete', {
+        uploadId: this.uploadId,
+        fileName: this.fileName,
+        totalChunks: this.chunks.length
+      });
+      result = response.data;
+    } catch (error) {
+      console.error('合并文件请求失败:', error);
+      throw new Error(`合并文件失败: ${errorMessage(error)}`);
+    }
+    if (result.code !== 0) {
+      throw new Error(`合并文件失败: ${result.message}`);
+    }
+
+    // 服务端在后台合并，返回合并任务；等待任务结束后取得合并结果
+    let mergeResult = result.data;
+    if (mergeResult.jobId) {
+      this.mergeJob = mergeResult;
+      const job = await this.waitForMergeJob(mergeResult);
+      if (job.status === 'failed') {
+        console.error('合并任务失败:', job.error);
+        throw new Error(`合并文件失败: ${job.error.message || '未知错误'}`);
+      }
+      mergeResult = job.result;
+    }
+
+    console.log('文件合并成功:', mergeResult);
+    this.status = 'completed';
+    // 服务端启用了上传后检查（例如病毒扫描）时，检查通过之前文件不能下载
+    this.message = mergeResult.quarantined ? '正在进行安全检查，检查通过后即可下载' : '';
+    this.downloadUrl = mergeResult.downloadUrl;
+    this.downloadTarget = this.encrypted ? { fileName: mergeResult.fileName, versionId: mergeResult.versionId } : null;
+    this.uploadProgress = 100;
+    this.uploadId = null;
+
+    // 标记合并结束和整个上传过程结束并测量
+    this.perfMark('mergeChunks-end');
+    this.perfMeasure('mergeChunks');
+    this.perfMark('totalUpload-end');
+    this.perfMeasure('totalUpload');
+
+    // 记录总上传速度
+    const totalTimeMs = Date.now() - this.uploadStartTime;
+    const speedMBps = (this.file.size / (1024 * 1024)) / (totalTimeMs / 1000);
+    console.log(`${this.fileName} 总上传速度: ${speedMBps.toFixed(2)} MB/s`);
+
+    // 清除本地存储的上传状态
+    localStorage.removeItem(`upload_state_${this.fileName}`);
+  }
+
+  fail(message) {
+    this.status = 'failed';
+    this.message = message;
+    this.saveState();
+  }
+
+  // 中止所有正在上传的分片，被中止的分片标记为 paused
+  abortChunks(reason) {
+    this.chunks.forEach(chunk => {
+      if (chunk.cancelToken) {
+        chunk.cancelToken.cancel(reason);
+      }
+    });
+  }
+
+  // 暂停：中止正在上传的分片，已上传的分片保留在服务端，恢复后继续上传
+  pause() {
+    if (this.status === 'uploading') {
+      this.status = 'paused';
+      this.abortChunks('用户暂停上传');
+      this.saveState();
+    } else if (this.status === 'queued' || this.status === 'ready') {
+      this.status = 'paused';
+    }
+  }
+
+  resume() {
+    if (this.status !== 'paused') return;
+    this.status = this.hashed ? 'ready' : 'queued';
+  }
+
+  // 取消：删除服务端的上传会话和已上传的分片，重试时所有分片都需要再传一次
+  async cancel() {
+    if (this.finished || this.status === 'cancelled' || this.status === 'merging') return;
+
+    this.abortChunks('用户取消上传');
+
+    const uploadId = this.uploadId;
+    this.status = 'cancelled';
+    this.message = '';
+    this.uploadProgress = 0;
+    this.currentChunkIndex = 0;
+    this.uploadId = null;
+    this.uploadedChunks = [];
+    this.chunks.forEach(chunk => {
+      chunk.status = 'pending';
+      chunk.progress = 0;
+      chunk.retries = 0;
+    });
+    // 自适应分片的切分只属于这个会话，重试时按新测得的吞吐量重新切分
+    if (this.adaptive) {
+      this.chunks = [];
+      this.chunkSizer = null;
+    }
+
+    // 清除本地存储的上传状态
+    localStorage.removeItem(`upload_state_${this.fileName}`);
+
+    if (uploadId) {
+      await this.deleteSession(uploadId);
+    }
+  }
+
+  // 通知服务端删除上传会话和已上传的分片
+  async deleteSession(uploadId) {
+    try {
+      await axios.delete(`/api/upload/${uploadId}`);
+      console.log('服务端上传会话已删除:', uploadId);
+    } catch (error) {
+      // 会话可能已过期或已被清理，不影响取消操作
+      console.warn('通知服务端取消上传失败:', error.message);
+    }
+  }
+
+  // 重试失败或取消的任务：已计算的哈希和服务端已有的分片都会保留
+  retry() {
+    if (this.status !== 'failed' && this.status !== 'cancelled') return;
+
+    this.chunks.forEach(chunk => {
+      if (chunk.status !== 'completed') {
+        chunk.status = 'pending';
+        chunk.progress = 0;
+        chunk.retries = 0;
+      }
+    });
+    this.message = '';
+    this.status = this.hashed ? 'ready' : 'queued';
+  }
+
+  saveState() {
+    const state = {
+      uploadId: this.uploadId,
+      fileName: this.fileName,
+      fileSize: this.file.size,
+      chunkSize: this.chunkSize,
+      adaptive: this.adaptive,
+      uploadedChunks: this.uploadedChunks,
+      chunksHash: this.chunks.map(chunk => chunk.hash),
+      fileHash: this.fileHash,
+      encrypted: this.encrypted,
+      timestamp: Date.now()
+    };
+
+    localStorage.setItem(`upload_state_${this.fileName}`, JSON.stringify(state));
+  }
+
+  // 读取本地保存的同一文件（文件名、大小、整文件摘要和切分方式都相同）未完成的上传状态，没有时返回null
+  loadState() {
+    const stateJson = localStorage.getItem(`upload_state_${this.fileName}`);
+    if (!stateJson) return null;
+
+    try {
+      const state = JSON.parse(stateJson);
+
+      // 验证状态是否有效；端到端加密的上传每次重新生成nonce，不能继续之前的会话
+      if (
+        state.uploadId &&
+        state.fileName === this.fileName &&
+        state.fileSize === this.file.size &&
+        state.fileHash === this.fileHash &&
+        Boolean(state.adaptive) === this.adaptive &&
+        (this.adaptive || state.chunkSize === this.chunkSize) &&
+        !state.encrypted && !this.encrypted
+      ) {
+        return state;
+      }
+    } catch (error) {
+      console.error('解析上传状态出错:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * 按服务端登记的区间恢复自适应分片
+   *
+   * 窗口内的分片不一定按序号顺序到达服务端，登记的区间中可能有空缺（null）。空缺的分片位于前后两个
+   * 已登记的分片之间，连续的几个空缺平分这段字节：原来的切分满足大小限制，平分后同样满足，
+   * 并且与前后的分片首尾相接。最后一个登记的分片之后的部分继续按测得的吞吐量切分。
+   *
+   * @param {Array<[number, number]|null>} ranges - 服务端登记的区间 [偏移量, 大小]，按分片序号排列
+   * @returns {Array<Object>} 分片
+   */
+  restoreChunkRanges(ranges) {
+    const chunks = [];
+    for (let index = 0; index < ranges.length; index++) {
+      if (ranges[index]) {
+        const [start, size] = ranges[index];
+        chunks.push(this.createChunk(index, start, start + size));
+        continue;
+      }
+
+      let next = index;
+      while (!ranges[next]) next++;
+      const start = index ? chunks[index - 1].end : 0;
+      const gap = ranges[next][0] - start;
+      const count = next - index;
+      for (let i = 0; i < count; i++) {
+        const chunkStart = start + Math.floor(gap * i / count);
+        chunks.push(this.createChunk(index + i, chunkStart, start + Math.floor(gap * (i + 1) / count)));
+      }
+      index = next - 1;
+    }
+    return chunks;
+  }
+
+  /**
+   * 继续本地保存的上传会话（例如刷新页面后重新选择同一文件）：
+   * 向服务端查询会话的状态，会话仍然存在并且切分方式一致时，按服务端登记的已上传分片继续上传，
+   * 自适应分片按服务端登记的区间（chunkRanges）恢复切分，之后的分片再按测得的吞吐量切分
+   *
+   * @returns {Promise<boolean>} 是否继续了之前的会话，否则需要重新初始化上传
+   */
+  async resumeSession() {
+    const state = this.loadState();
+    // 队列中同一文件的另一个任务正在使用这个会话
+    if (!state || this.queue.tasks.some(task => task !== this && task.uploadId === state.uploadId)) return false;
+
+    let session;
+    try {
+      const response = await axios.get(`/api/upload/status/${encodeURIComponent(state.uploadId)}`);
+      session = response.data.data;
+    } catch (error) {
+      // 会话已过期、已完成或属于其他用户，重新初始化上传
+      console.warn('之前的上传会话已不可用:', errorMessage(error));
+      localStorage.removeItem(`upload_state_${this.fileName}`);
+      return false;
+    }
+
+    const adaptive = session.chunkSizing === 'adaptive';
+    if (
+      session.fileSize !== this.file.size ||
+      adaptive !== this.adaptive ||
+      (!adaptive && (session.chunkSize !== this.chunkSize || session.chunkCount !== this.chunks.length))
+    ) {
+      console.warn('之前的上传会话与当前文件的切分方式不一致，重新初始化上传', session);
+      return false;
+    }
+
+    if (adaptive) {
+      this.chunks = this.restoreChunkRanges(session.chunkRanges || []);
+      this.chunkSizer = null;
+    }
+    this.uploadId = session.uploadId;
+    this.uploadedChunks = session.uploadedChunks.slice();
+    this.currentChunkIndex = 0;
+
+    // 标记已上传的块
+    this.uploadedChunks.forEach(chunkIndex => {
+      if (this.chunks[chunkIndex]) {
+        this.chunks[chunkIndex].status = 'completed';
+        this.chunks[chunkIndex].progress = 100;
+      }
+    });
+    this.calculateTotalProgress();
+
+    console.log(`继续之前的上传会话: ${this.uploadId}`);
+    this.message = `已恢复上传状态，已上传 ${this.uploadedChunks.length} 个分片`;
+    return true;
+  }
+}